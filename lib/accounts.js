@@ -0,0 +1,57 @@
+const { validatePassword, hashPassword } = require('./passwords');
+
+// ---------------- ACCOUNTS ----------------
+// Staff accounts (teachers and admins) live in the 'teachers' collection.
+// Records from before roles existed have no `role` and count as teachers.
+
+const ROLES = ['teacher', 'admin'];
+
+const roleOf = user => (user && user.role) || 'teacher';
+
+// Validates and stores a new account. Resolves to { user } (without the
+// password hash) or { error } describing why it was refused.
+async function createAccount(store, { name, email, password, role = 'teacher' }) {
+    if (!name || !email || !password) return { error: 'Fill all fields' };
+    if (!ROLES.includes(role)) return { error: `Role must be one of: ${ROLES.join(', ')}` };
+
+    const passwordError = validatePassword(password);
+    if (passwordError) return { error: passwordError };
+
+    const existing = await store.getTeacherByEmail(email);
+    if (existing) return { error: 'Email already exists' };
+
+    const user = { id: Date.now().toString(), name, email, role, password: await hashPassword(password) };
+    await store.addTeacher(user);
+
+    const { password: _, ...userWithoutPassword } = user;
+    return { user: userWithoutPassword };
+}
+
+async function hasAdmin(store) {
+    const users = await store.getCollectionData('teachers');
+    return users.some(user => roleOf(user) === 'admin');
+}
+
+// First-admin bootstrap for a fresh install: when ADMIN_EMAIL and
+// ADMIN_PASSWORD are set and no admin exists yet, create that admin.
+// Does nothing once any admin exists, so the variables can stay set.
+async function bootstrapAdmin(store, config) {
+    const { adminEmail, adminPassword, adminName } = config;
+    if (!adminEmail || !adminPassword) return null;
+    if (await hasAdmin(store)) return null;
+
+    const { user, error } = await createAccount(store, {
+        name: adminName || 'Administrator',
+        email: adminEmail,
+        password: adminPassword,
+        role: 'admin'
+    });
+    if (error) {
+        console.error(`❌ Could not create the first admin (${adminEmail}): ${error}`);
+        return null;
+    }
+    console.log(`✅ Created first admin account ${adminEmail}.`);
+    return user;
+}
+
+module.exports = { ROLES, roleOf, createAccount, hasAdmin, bootstrapAdmin };
@@ -0,0 +1,185 @@
+const { isVisibleToClass } = require('./classFilter');
+
+// ---------------- ANNOUNCEMENTS ----------------
+// Publish windows, display order and per-student read receipts.
+
+// ---------------- Publish window ----------------
+// An announcement may carry `publishAt` and/or `expiresAt` (ISO date-times).
+// Students only see it in between; staff see every announcement with its
+// state: 'scheduled' (not yet published), 'published' or 'expired'.
+//
+// `publishedAt` / `expiredAt` record when the 'announcementWindows' job
+// (lib/jobs.js) noticed the window opening or closing, which is what sends
+// live updates and notification emails at that moment rather than when the
+// announcement was written. A publishAt already past when it is saved counts
+// as published then, so the email goes out once.
+
+const SCHEDULE_FIELDS = ['publishAt', 'expiresAt'];
+
+function announcementState(announcement, now = Date.now()) {
+    if (announcement.publishAt && Date.parse(announcement.publishAt) > now) return 'scheduled';
+    if (announcement.expiresAt && Date.parse(announcement.expiresAt) <= now) return 'expired';
+    return 'published';
+}
+
+const isLive = (announcement, now) => announcementState(announcement, now) === 'published';
+
+const withState = (announcement, now = Date.now()) => ({ ...announcement, state: announcementState(announcement, now) });
+
+// Reads publishAt/expiresAt from a request body; null or '' clears a field.
+// Returns { updates } with only the fields that change, or { error }.
+function parseSchedule(body, current = {}) {
+    const updates = {};
+    for (const field of SCHEDULE_FIELDS) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null || body[field] === '') {
+            if (current[field]) updates[field] = null;
+            continue;
+        }
+        const time = Date.parse(body[field]);
+        if (Number.isNaN(time)) return { error: `${field} must be a date and time` };
+        const value = new Date(time).toISOString();
+        if (value !== current[field]) updates[field] = value;
+    }
+
+    const next = { ...current, ...updates };
+    if (next.publishAt && next.expiresAt && Date.parse(next.expiresAt) <= Date.parse(next.publishAt)) {
+        return { error: 'expiresAt must be after publishAt' };
+    }
+
+    // Moved back into the future: the job announces it again when it opens
+    const now = Date.now();
+    if (updates.publishAt && Date.parse(updates.publishAt) > now && current.publishedAt) updates.publishedAt = null;
+    // Already in the past on a new announcement, or on one without publishAt
+    // that went out when it was written: it is announced then, not by the job
+    if (updates.publishAt && Date.parse(updates.publishAt) <= now && !current.publishAt && !current.publishedAt) {
+        updates.publishedAt = new Date(now).toISOString();
+    }
+    if (updates.expiresAt !== undefined && current.expiredAt && !(updates.expiresAt && Date.parse(updates.expiresAt) <= now)) {
+        updates.expiredAt = null;
+    }
+    return { updates };
+}
+
+// ---------------- Priority and pinning ----------------
+// Lists are sorted on the server: pinned first, then by priority, then the
+// most recent (by publishAt, or createdAt when it went out immediately).
+
+const PRIORITIES = ['normal', 'important', 'urgent'];
+
+const priorityRank = announcement => Math.max(PRIORITIES.indexOf(announcement.priority), 0);
+const postedAt = announcement => Date.parse(announcement.publishAt || announcement.createdAt) || 0;
+
+function sortAnnouncements(announcements) {
+    return [...announcements].sort((a, b) =>
+        (!!b.pinned - !!a.pinned) || (priorityRank(b) - priorityRank(a)) || (postedAt(b) - postedAt(a)));
+}
+
+// Reads priority/pinned from a request body. Returns { updates } with only the
+// fields that change, or { error }.
+function parseDisplay(body, current = {}) {
+    const updates = {};
+    if (body.priority !== undefined) {
+        if (!PRIORITIES.includes(body.priority)) return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+        if (body.priority !== (current.priority || 'normal')) updates.priority = body.priority;
+    }
+    if (body.pinned !== undefined) {
+        if (typeof body.pinned !== 'boolean') return { error: 'pinned must be true or false' };
+        if (body.pinned !== !!current.pinned) updates.pinned = body.pinned;
+    }
+    return { updates };
+}
+
+// ---------------- Read receipts ----------------
+// One 'announcementReads' record per (announcement, student) with a
+// deterministic ID, like task completion, so marking read is idempotent.
+
+const readId = (announcementId, studentId) => `${announcementId}:${studentId}`;
+
+// Resolves to the read record (the existing one when already read)
+async function markRead(store, announcement, student) {
+    const id = readId(announcement.id, student.id);
+    const existing = await store.getCollectionItem('announcementReads', id);
+    if (existing) return existing;
+    const read = {
+        id,
+        announcementId: announcement.id,
+        studentId: student.id,
+        grade: String(student.grade),
+        classLetter: String(student.classLetter),
+        readAt: new Date().toISOString()
+    };
+    await store.addToCollection('announcementReads', read);
+    return read;
+}
+
+// Adds the student's own `read`/`readAt` to each announcement
+async function withReadStatus(store, announcements, studentId) {
+    const reads = (await store.getCollectionData('announcementReads')).filter(r => r.studentId === studentId);
+    const byAnnouncement = new Map(reads.map(r => [r.announcementId, r]));
+    return announcements.map(announcement => {
+        const read = byAnnouncement.get(announcement.id);
+        return { ...announcement, read: !!read, readAt: read ? read.readAt : null };
+    });
+}
+
+const share = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : null);
+
+// Teacher view: who has read it, per class it reaches (optionally just one
+// class). `share` is the percentage of enrolled students, null for an empty class.
+async function readReport(store, announcement, { grade, classLetter } = {}) {
+    const students = (await store.getCollectionData('students')).filter(student =>
+        isVisibleToClass(announcement, student.grade, student.classLetter) &&
+        (!grade || String(student.grade) === String(grade)) &&
+        (!classLetter || String(student.classLetter).toUpperCase() === String(classLetter).toUpperCase()));
+    const reads = (await store.getCollectionData('announcementReads')).filter(r => r.announcementId === announcement.id);
+    const byStudent = new Map(reads.map(r => [r.studentId, r]));
+
+    const classes = new Map();
+    for (const student of students) {
+        const key = `${student.grade}${student.classLetter}`;
+        if (!classes.has(key)) classes.set(key, { class: key, grade: student.grade, classLetter: student.classLetter, read: [], unread: [] });
+        const summary = { id: student.id, name: student.name };
+        const read = byStudent.get(student.id);
+        if (read) classes.get(key).read.push({ ...summary, readAt: read.readAt });
+        else classes.get(key).unread.push(summary);
+    }
+
+    const readCount = students.filter(student => byStudent.has(student.id)).length;
+    return {
+        announcementId: announcement.id,
+        totalStudents: students.length,
+        readCount,
+        share: share(readCount, students.length),
+        classes: [...classes.values()]
+            .sort((a, b) => a.class.localeCompare(b.class, undefined, { numeric: true }))
+            .map(c => ({ ...c, totalStudents: c.read.length + c.unread.length, readCount: c.read.length, share: share(c.read.length, c.read.length + c.unread.length) }))
+    };
+}
+
+async function deleteReadsForStudent(store, studentId) {
+    const reads = (await store.getCollectionData('announcementReads')).filter(r => r.studentId === studentId);
+    for (const read of reads) await store.deleteCollectionItem('announcementReads', read.id);
+}
+
+// Deletes an announcement together with its read receipts
+async function removeAnnouncement(store, announcementId) {
+    await store.deleteCollectionItem('announcements', announcementId);
+    const reads = (await store.getCollectionData('announcementReads')).filter(r => r.announcementId === announcementId);
+    for (const read of reads) await store.deleteCollectionItem('announcementReads', read.id);
+}
+
+module.exports = {
+    PRIORITIES,
+    announcementState,
+    isLive,
+    withState,
+    parseSchedule,
+    sortAnnouncements,
+    parseDisplay,
+    markRead,
+    withReadStatus,
+    readReport,
+    deleteReadsForStudent,
+    removeAnnouncement
+};
@@ -0,0 +1,647 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const contentDisposition = require('content-disposition');
+const { assertStore } = require('./stores');
+const { validatePassword, hashPassword, verifyPassword } = require('./passwords');
+const { ROLES, roleOf, createAccount, bootstrapAdmin } = require('./accounts');
+const { createAuth } = require('./auth');
+const { authorizeMutation } = require('./policy');
+const { createFileService, uploadRecord } = require('./fileStorage');
+const { acceptUpload, reserveQuota, sendUploadError, UploadRejectedError } = require('./uploadPolicy');
+const { IMAGE_TYPES, DOCUMENT_TYPES } = require('./fileTypes');
+const { registerChunkedUploadRoutes } = require('./routes/chunkedUploads');
+const { registerStudentRoutes } = require('./routes/students');
+const { registerCompletionRoutes } = require('./routes/completions');
+const { registerSubmissionRoutes } = require('./routes/submissions');
+const { registerGradebookRoutes } = require('./routes/gradebook');
+const { parseCutoff, refreshLateFlags } = require('./submissions');
+const { taskChanges, recordRevision, revisionsFor, withUpdatedMarker } = require('./taskRevisions');
+const { withCompletionStatus } = require('./completions');
+const { removeTask } = require('./tasks');
+const { parseTargets, targetChanges } = require('./targets');
+const { createSeriesExpander, cancelOccurrence } = require('./taskSeries');
+const { registerTaskSeriesRoutes } = require('./routes/taskSeries');
+const { registerCalendarRoutes } = require('./routes/calendar');
+const { requireClassScope } = require('./students');
+const { isLive, withState, parseSchedule, parseDisplay, sortAnnouncements, withReadStatus, removeAnnouncement } = require('./announcements');
+const { registerAnnouncementReadRoutes } = require('./routes/announcementReads');
+const { createSearchIndex } = require('./search');
+const { registerSearchRoutes } = require('./routes/search');
+const { createEventBus, observeStore } = require('./events');
+const { registerEventRoutes } = require('./routes/events');
+const { createTransport } = require('./mail');
+const { createNotifier } = require('./notifications');
+const { registerNotificationRoutes } = require('./routes/notifications');
+const { createScheduler } = require('./scheduler');
+const { createJobs } = require('./jobs');
+const { registerJobRoutes } = require('./routes/jobs');
+const { loadConfig } = require('./config');
+
+// ---------------- APP FACTORY ----------------
+// Builds the Express app around a storage driver (see lib/stores/index.js).
+// Every entry point (server.js locally, the Vercel functions) goes through
+// here, so routes only exist once. When `staticDir` is given the frontend in
+// it is served from the same origin as /api/*.
+
+function createApp({ store: driver, config = loadConfig(), staticDir }) {
+    assertStore(driver);
+
+    // Writes to tasks/announcements/uploads are published for /api/events
+    const events = createEventBus();
+    const store = observeStore(driver, events);
+
+    const app = express();
+    // So req.ip (sign-in limits) is the client behind Vercel or a reverse proxy
+    app.set('trust proxy', config.trustProxy);
+    // startServer() ends open event streams on shutdown
+    app.locals.events = events;
+
+    // New items are emailed to subscribed contacts (lib/notifications.js)
+    const notifier = createNotifier({ store, transport: createTransport(config), config, events });
+    app.locals.notifier = notifier;
+    const auth = createAuth({ store, config });
+    const { requireTeacher, requireAdmin } = auth;
+
+    // First-admin bootstrap (ADMIN_EMAIL/ADMIN_PASSWORD); requests wait for it
+    const ready = bootstrapAdmin(store, config).catch(e => console.error("Admin bootstrap failed:", e));
+    app.use((req, res, next) => { ready.then(() => next()); });
+
+    // Required for parsing JSON bodies
+    app.use(express.json());
+
+    // Resolves the session token (if any) into req.user for every route
+    app.use(auth.authenticate);
+
+    // ---------------- File Upload (Memory-Based for Cloud) ----------------
+    // Size limits and allowed types per route (see lib/uploadPolicy.js)
+    const upload = acceptUpload({ field: 'schoolLogo', maxBytes: config.maxLogoBytes, types: IMAGE_TYPES }); // for logos
+    const fileUpload = acceptUpload({ field: 'file', maxBytes: config.maxUploadBytes, types: [...DOCUMENT_TYPES, ...IMAGE_TYPES] }); // for general files
+
+    // Local disk (UPLOAD_DIR) unless the driver brings its own file storage
+    const files = createFileService({ store, config });
+
+    // Reminders, digests and cleanup (lib/jobs.js); startServer() stops it
+    const scheduler = createScheduler({ store, jobs: createJobs({ store, files, notifier, config }) });
+    if (config.jobsEnabled) scheduler.start();
+    app.locals.scheduler = scheduler;
+
+    // Streams a stored file with its original name and type; `?download=1`
+    // asks the browser to save it instead of opening it.
+    function sendStoredFile(req, res, fullPath, { originalName, mimeType }) {
+        res.set('Content-Disposition', contentDisposition(originalName, { type: req.query.download ? 'attachment' : 'inline' }));
+        res.type(mimeType || path.extname(originalName) || 'application/octet-stream');
+        res.sendFile(fullPath, err => {
+            if (err && !res.headersSent) res.status(err.status || 500).json({ error: 'Failed to read file' });
+        });
+    }
+
+    // ---------------- Routes ----------------
+
+    // School logo stored on local disk (remote logos are plain URLs)
+    app.get('/api/school-logo', async (req, res) => {
+        try {
+            const school = await store.getSchoolData();
+            if (!school.schoolLogoKey || !files.isLocal) return res.status(404).json({ error: 'No uploaded logo' });
+            const location = await files.locate({ storageKey: school.schoolLogoKey });
+            if (!location) return res.status(404).json({ error: 'No uploaded logo' });
+            sendStoredFile(req, res, location.path, { originalName: path.basename(school.schoolLogoKey), mimeType: school.schoolLogoType });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to read logo' });
+        }
+    });
+
+    // Get school info
+    app.get('/api/school-info', async (req, res) => {
+        try {
+            const school = await store.getSchoolData();
+            res.json(school);
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to fetch school data' });
+        }
+    });
+
+    // ---------------- Admin ----------------
+    // Every /api/admin/* route requires a signed-in admin; this runs first.
+    app.use('/api/admin', requireAdmin);
+
+    // Create a teacher or admin account
+    app.post('/api/admin/accounts', async (req, res) => {
+        const { name, email, password, role } = req.body;
+        try {
+            const { user, error } = await createAccount(store, { name, email, password, role });
+            if (error) return res.status(400).json({ error });
+            res.json({ message: `${user.role === 'admin' ? 'Admin' : 'Teacher'} account created!`, user });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to create account due to a server error.' });
+        }
+    });
+
+    // Change a user's role (an admin cannot demote themselves, so one always remains)
+    app.patch('/api/admin/accounts/:id/role', async (req, res) => {
+        const { role } = req.body;
+        if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        if (req.params.id === req.user.id && role !== 'admin') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
+
+        try {
+            const user = await store.getCollectionItem('teachers', req.params.id);
+            if (!user) return res.status(404).json({ error: 'Account not found' });
+            await store.updateCollectionItem('teachers', user.id, { role });
+            res.json({ message: `${user.email} is now ${role === 'admin' ? 'an admin' : 'a teacher'}` });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to update role due to a server error.' });
+        }
+    });
+
+    // Update school info + logo upload
+    app.patch('/api/admin/update-school-info', upload, async (req, res) => {
+        const { schoolName } = req.body;
+        let updates = {};
+
+        if (schoolName) updates.schoolName = schoolName;
+
+        try {
+            // Read before updating: the memory store returns the live object
+            const previousLogoKey = (await store.getSchoolData()).schoolLogoKey;
+
+            if (req.file) {
+                const stored = await files.save('logos', req.file);
+                if (stored.storageKey) {
+                    // Cache-busting query so browsers pick up the new logo
+                    updates.schoolLogo = `/api/school-logo?v=${Date.now()}`;
+                    updates.schoolLogoKey = stored.storageKey;
+                    updates.schoolLogoType = req.file.mimetype;
+                } else {
+                    updates.schoolLogo = stored.url;
+                }
+            }
+
+            const school = await store.updateSchoolData(updates);
+            if (updates.schoolLogoKey && previousLogoKey) {
+                await files.removeKey(previousLogoKey).catch(e => console.warn("Could not delete old logo:", e.message));
+            }
+            res.json({ message: 'School info updated', school });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to update school data' });
+        }
+    });
+
+    // Admin reset teacher password
+    app.post('/api/admin/reset-teacher-password', async (req, res) => {
+        const { email, newPassword } = req.body;
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) return res.json({ error: passwordError });
+
+        try {
+            const teacher = await store.getTeacherByEmail(email);
+            
+            if (!teacher) return res.json({ error: 'Teacher not found' });
+            
+            // Drivers map the logical 'teachers' collection to their own (Firestore: 'users')
+            await store.updateCollectionItem('teachers', teacher.id, { password: await hashPassword(newPassword) });
+            // Whoever knew the old password is signed out too
+            await auth.revokeUserSessions(teacher.id);
+
+            res.json({ message: `Password for ${email} reset successfully!` });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to reset password due to a server error.' });
+        }
+    });
+
+    // Teacher registration/login (registration can only ever create teachers)
+    app.post('/api/register', async (req, res) => {
+        const { name, email, password } = req.body;
+        try {
+            const { error } = await createAccount(store, { name, email, password, role: 'teacher' });
+            if (error) return res.json({ error });
+            res.json({ message: 'Teacher registered!' });
+        } catch (e) {
+            console.error("Registration failed:", e);
+            res.status(500).json({ error: 'Failed to register due to a server error.' });
+        }
+    });
+
+    app.post('/api/login', async (req, res) => {
+        const { email, password } = req.body;
+        let user;
+        try {
+            user = await store.getTeacherByEmail(email);
+            const { valid, needsRehash } = user ? await verifyPassword(password, user.password) : { valid: false };
+
+            if (!valid) return res.json({ error: 'Invalid credentials' });
+
+            // Upgrade plaintext (or outdated) hashes now that we know the password
+            if (needsRehash) {
+                try {
+                    await store.updateCollectionItem('teachers', user.id, { password: await hashPassword(password) });
+                } catch (e) {
+                    console.error("Password rehash failed (login still succeeds):", e);
+                }
+            }
+        } catch (e) {
+            console.error("Login failed:", e);
+            return res.status(500).json({ error: 'Failed to log in due to a server error.' });
+        }
+        
+        // Ensure we don't return the password
+        const { password: _, ...userWithoutPassword } = user;
+        try {
+            const { token, expiresAt } = await auth.issueSession(user);
+            res.json({ user: { ...userWithoutPassword, role: roleOf(user) }, token, expiresAt });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to start session due to a server error.' });
+        }
+    });
+
+    // Sessions
+    app.get('/api/session', auth.requireSignedIn, (req, res) => {
+        res.json({ user: req.user, expiresAt: req.session.expiresAt });
+    });
+
+    // Swaps a still-valid token for a fresh one; the old token stops working
+    app.post('/api/session/refresh', auth.requireSignedIn, async (req, res) => {
+        try {
+            const { token, expiresAt } = await auth.issueSession(req.user, { kind: req.session.kind });
+            await auth.revokeSession(req.session.id);
+            res.json({ user: req.user, token, expiresAt });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to refresh session due to a server error.' });
+        }
+    });
+
+    app.post('/api/logout', auth.requireSignedIn, async (req, res) => {
+        try {
+            await auth.revokeSession(req.session.id);
+            res.json({ message: 'Logged out' });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to log out due to a server error.' });
+        }
+    });
+
+    // Tasks
+    // Target: grade/classLetter (+ exceptClasses), or targets: [...] (lib/targets.js)
+    app.post('/api/task', requireTeacher, async (req, res) => {
+        const { subject, description, dueDate } = req.body;
+        const target = parseTargets(req.body);
+        if (target.missing || !subject || !description || !dueDate) {
+            return res.json({ error: 'Missing task details' });
+        }
+        if (target.error) return res.status(400).json({ error: target.error });
+        // Optional: after this, students can no longer (re)submit work
+        const { cutoff, error: cutoffError } = parseCutoff(req.body.submissionCutoff);
+        if (cutoffError) return res.status(400).json({ error: cutoffError });
+
+        // Ownership comes from the session, never from the request body
+        const teacher = req.user;
+
+        const newTask = {
+            id: Date.now().toString(),
+            grade: target.grade,
+            classLetter: target.classLetter,
+            ...(target.targets && { targets: target.targets, targetLabel: target.targetLabel }),
+            subject, description, dueDate,
+            submissionCutoff: cutoff,
+            teacher: { id: teacher.id, name: teacher.name }, 
+            createdAt: new Date().toISOString()
+        };
+        try {
+            await store.addToCollection('tasks', newTask);
+            res.json({ message: 'Task added!' });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to add task due to a server error.' });
+        }
+    });
+
+    // Recurring tasks are expanded into concrete tasks before any listing
+    const ensureSeriesExpanded = createSeriesExpander(store);
+
+    app.get('/api/tasks', async (req, res) => {
+        try {
+            await ensureSeriesExpanded();
+            const tasks = await store.getCollectionData('tasks');
+            res.json(tasks);
+        } catch (e) {
+            console.error("Loading tasks failed:", e);
+            res.status(500).json({ error: 'Failed to load tasks' });
+        }
+    });
+
+    // Students also get their own done/completedAt on each task, and
+    // `updated: true` on tasks whose due date was moved
+    app.get('/api/tasks/student', requireClassScope, async (req, res) => {
+        const { grade, classLetter } = req.classScope;
+        try {
+            await ensureSeriesExpanded();
+            const filtered = withUpdatedMarker(await store.getStudentCollectionData('tasks', grade, classLetter));
+            if (req.user.role === 'student') {
+                return res.json(await withCompletionStatus(store, filtered, req.user.id));
+            }
+            res.json(filtered);
+        } catch (e) {
+            console.error("Loading student tasks failed:", e);
+            res.status(500).json({ error: 'Failed to load tasks' });
+        }
+    });
+
+    // Student sign-in, rosters and per-student completion (lib/routes/students.js, lib/routes/completions.js)
+    registerStudentRoutes(app, { store, auth, files });
+    registerCompletionRoutes(app, { store, auth });
+
+    // Homework handed back by students, marking and the gradebook
+    // (lib/routes/submissions.js, lib/routes/gradebook.js)
+    registerSubmissionRoutes(app, { store, config, files, auth, sendStoredFile });
+    registerGradebookRoutes(app, { store, auth });
+
+    // Live updates (lib/routes/events.js)
+    registerEventRoutes(app, { auth, events });
+
+    // Recurring tasks (lib/routes/taskSeries.js)
+    registerTaskSeriesRoutes(app, { store, files, auth, notifier });
+
+    // Per-class .ics feeds of due dates (lib/routes/calendar.js)
+    registerCalendarRoutes(app, { store, auth, ensureSeriesExpanded });
+
+    // Parent email contacts, outbox and unsubscribe links (lib/routes/notifications.js)
+    registerNotificationRoutes(app, { store, auth });
+
+    // Job state and run history for admins (lib/routes/jobs.js)
+    registerJobRoutes(app, { store, scheduler });
+
+    // Full-text search over tasks, announcements and files, indexed in
+    // memory and kept current from the event bus (lib/search.js)
+    const searchIndex = createSearchIndex({ store, events });
+    registerSearchRoutes(app, { auth, searchIndex });
+
+    // Correct a task in place (same ID, so completion and submissions stay
+    // attached): any of subject, description, dueDate, grade, classLetter.
+    app.patch('/api/task/:id', requireTeacher, authorizeMutation(store, 'tasks'), async (req, res) => {
+        const task = req.record;
+        const { changes, updates, error } = taskChanges(task, req.body || {});
+        if (error) return res.status(400).json({ error });
+        if (!Object.keys(changes).length) return res.json({ message: 'Nothing changed', task });
+
+        const now = new Date().toISOString();
+        updates.updatedAt = now;
+        if (changes.dueDate) {
+            updates.dueDateChangedAt = now;
+            updates.previousDueDate = changes.dueDate.from;
+        }
+
+        try {
+            await store.updateCollectionItem('tasks', task.id, updates);
+            const revision = await recordRevision(store, task, changes, req.user);
+            const updated = { ...task, ...updates };
+            if (changes.dueDate) await refreshLateFlags(store, updated);
+            res.json({ message: 'Task updated!', task: updated, revision });
+        } catch (e) {
+            console.error("Task update failed:", e);
+            res.status(500).json({ error: 'Failed to update task due to a server error.' });
+        }
+    });
+
+    // Who changed what and when (the task's teacher or an admin)
+    app.get('/api/task/:id/revisions', requireTeacher, authorizeMutation(store, 'tasks', { action: 'view' }), async (req, res) => {
+        try {
+            res.json({ taskId: req.record.id, revisions: await revisionsFor(store, req.record.id) });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to load task history.' });
+        }
+    });
+
+    app.delete('/api/task/:id', requireTeacher, authorizeMutation(store, 'tasks'), async (req, res) => {
+        try {
+            await removeTask(store, files, req.params.id);
+            // Deleting one occurrence of a recurring task cancels just that date
+            await cancelOccurrence(store, req.record);
+            res.json({ message: 'Task deleted successfully!' });
+        } catch (e) {
+            console.error("Task deletion failed:", e);
+            res.status(500).json({ error: 'Failed to delete task due to a server error.' });
+        }
+    });
+
+    // Announcements
+    // Same targets as tasks; optional publishAt/expiresAt, priority
+    // (normal|important|urgent) and pinned (lib/announcements.js)
+    app.post('/api/announcement', requireTeacher, async (req, res) => {
+        const { message } = req.body;
+        const target = parseTargets(req.body);
+        if (target.missing || !message) return res.json({ error: 'Missing announcement info' });
+        if (target.error) return res.status(400).json({ error: target.error });
+        const schedule = parseSchedule(req.body);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+        const display = parseDisplay(req.body);
+        if (display.error) return res.status(400).json({ error: display.error });
+
+        const teacher = req.user;
+        
+        const newAnnouncement = {
+            id: Date.now().toString(),
+            grade: target.grade,
+            classLetter: target.classLetter,
+            ...(target.targets && { targets: target.targets, targetLabel: target.targetLabel }),
+            message,
+            priority: 'normal',
+            pinned: false,
+            ...display.updates,
+            ...schedule.updates,
+            teacher: { id: teacher.id, name: teacher.name },
+            createdAt: new Date().toISOString()
+        };
+        
+        try {
+            await store.addToCollection('announcements', newAnnouncement);
+            const scheduled = !isLive(newAnnouncement) && newAnnouncement.publishAt;
+            res.json({ message: scheduled ? 'Announcement scheduled!' : 'Announcement added!', announcement: withState(newAnnouncement) });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to add announcement due to a server error.' });
+        }
+    });
+
+    // Staff get every announcement with its state; anyone else only what is published now
+    app.get('/api/announcements', async (req, res) => {
+        const now = Date.now();
+        const isStaff = req.user && req.user.role !== 'student';
+        try {
+            const announcements = sortAnnouncements(await store.getCollectionData('announcements')).map(a => withState(a, now));
+            res.json(isStaff ? announcements : announcements.filter(a => a.state === 'published'));
+        } catch (e) {
+            console.error("Loading announcements failed:", e);
+            res.status(500).json({ error: 'Failed to load announcements' });
+        }
+    });
+
+    // A signed-in student also gets their own `read` flag on each
+    app.get('/api/announcements/student', requireClassScope, async (req, res) => {
+        const { grade, classLetter } = req.classScope;
+        const now = Date.now();
+        try {
+            const filtered = sortAnnouncements(await store.getStudentCollectionData('announcements', grade, classLetter))
+                .filter(a => isLive(a, now));
+            res.json(req.user.role === 'student' ? await withReadStatus(store, filtered, req.user.id) : filtered);
+        } catch (e) {
+            console.error("Loading student announcements failed:", e);
+            res.status(500).json({ error: 'Failed to load announcements' });
+        }
+    });
+
+    // Read receipts (lib/routes/announcementReads.js)
+    registerAnnouncementReadRoutes(app, { store, auth });
+
+    // Change the message, the target, the publish window, priority and/or
+    // pinning; one record, so every class sees the edit
+    app.patch('/api/announcement/:id', requireTeacher, authorizeMutation(store, 'announcements'), async (req, res) => {
+        const announcement = req.record;
+        const body = req.body || {};
+        const schedule = parseSchedule(body, announcement);
+        if (schedule.error) return res.status(400).json({ error: schedule.error });
+        const display = parseDisplay(body, announcement);
+        if (display.error) return res.status(400).json({ error: display.error });
+        const updates = { ...schedule.updates, ...display.updates };
+
+        if (body.message !== undefined) {
+            const message = String(body.message).trim();
+            if (!message) return res.status(400).json({ error: 'message cannot be empty' });
+            if (message !== announcement.message) updates.message = message;
+        }
+        if (['grade', 'classLetter', 'exceptClasses', 'targets'].some(field => body[field] !== undefined)) {
+            const singleClass = !Array.isArray(announcement.targets) && body.targets === undefined;
+            const parsed = parseTargets(singleClass ? { grade: announcement.grade, classLetter: announcement.classLetter, ...body } : body);
+            if (parsed.error) return res.status(400).json({ error: parsed.error });
+            if (parsed.missing) return res.status(400).json({ error: 'Give grade and classLetter, or targets' });
+            Object.assign(updates, targetChanges(announcement, parsed).updates);
+        }
+        if (!Object.keys(updates).length) return res.json({ message: 'Nothing changed', announcement: withState(announcement) });
+
+        try {
+            updates.updatedAt = new Date().toISOString();
+            await store.updateCollectionItem('announcements', announcement.id, updates);
+            res.json({ message: 'Announcement updated!', announcement: withState({ ...announcement, ...updates }) });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to update announcement due to a server error.' });
+        }
+    });
+
+    app.delete('/api/announcement/:id', requireTeacher, authorizeMutation(store, 'announcements'), async (req, res) => {
+        try {
+            await removeAnnouncement(store, req.params.id);
+            res.json({ message: 'Announcement deleted successfully!' });
+        } catch (e) {
+            console.error("Announcement deletion failed:", e);
+            res.status(500).json({ error: 'Failed to delete announcement due to a server error.' });
+        }
+    });
+
+    // File upload (bytes to file storage, metadata to the store)
+    // requireTeacher runs before multer so anonymous uploads are never buffered
+    app.post('/api/upload', requireTeacher, fileUpload, async (req, res) => {
+        const { grade, classLetter } = req.body;
+        if (!req.file) return res.status(400).json({ error: 'File required', code: 'NO_FILE' });
+
+        const teacherId = req.user.id;
+        const id = Date.now().toString();
+
+        let stored;
+        let releaseQuota;
+        try {
+            releaseQuota = await reserveQuota(store, teacherId, req.file.size, config.teacherQuotaBytes);
+            stored = await files.save('files', req.file);
+        } catch (e) {
+            if (releaseQuota) releaseQuota();
+            if (e instanceof UploadRejectedError) return sendUploadError(res, e);
+            console.error("File storage upload failed:", e);
+            return res.status(500).json({ error: 'Failed to store file.' });
+        }
+
+        const newUpload = uploadRecord({
+            id, teacherId, stored, grade, classLetter,
+            originalName: req.file.originalname,
+            mimeType: req.file.mimetype
+        });
+
+        try {
+            await store.addToCollection('uploads', newUpload);
+            res.json({ message: 'File uploaded successfully!', file: newUpload });
+        } catch (e) {
+            // Don't leave orphaned bytes behind
+            await files.remove(newUpload).catch(() => {});
+            res.status(500).json({ error: 'Failed to save file metadata to database.' });
+        } finally {
+            // The record (if any) counts from here on
+            releaseQuota();
+        }
+    });
+
+    // Large files in resumable chunks (lib/routes/chunkedUploads.js)
+    registerChunkedUploadRoutes(app, { store, config, files, requireTeacher });
+
+    // Download/open an uploaded file (supports Range requests for seeking/resuming)
+    app.get('/api/files/:id', async (req, res) => {
+        try {
+            const record = await store.getCollectionItem('uploads', req.params.id);
+            if (!record) return res.status(404).json({ error: 'File not found' });
+
+            const location = await files.locate(record);
+            if (!location) return res.status(404).json({ error: 'File contents are missing' });
+            if (location.url) return res.redirect(location.url);
+
+            sendStoredFile(req, res, location.path, record);
+        } catch (e) {
+            console.error("File download failed:", e);
+            res.status(500).json({ error: 'Failed to read file' });
+        }
+    });
+
+    app.get('/api/uploads', async (req, res) => {
+        const database = await store.getCollectionData('uploads');
+        const { teacherId } = req.query;
+        const files = database.filter(f => !teacherId || f.teacherId === teacherId);
+        res.json({ files });
+    });
+
+    app.get('/api/uploads/student', requireClassScope, async (req, res) => {
+        const { grade, classLetter } = req.classScope;
+        const filtered = await store.getStudentCollectionData('uploads', grade, classLetter);
+        res.json({ files: filtered });
+    });
+
+    // Delete upload (stored bytes and metadata)
+    app.delete('/api/upload/:id', requireTeacher, authorizeMutation(store, 'uploads'), async (req, res) => {
+        const uploadId = req.params.id;
+        
+        try {
+            try {
+                await files.remove(req.record);
+            } catch (error) {
+                console.warn("Could not delete stored file (non-critical):", error.message);
+            }
+
+            await store.deleteCollectionItem('uploads', uploadId);
+
+            res.json({ message: 'File and metadata deleted successfully!' });
+        } catch (e) {
+            console.error("Upload deletion failed:", e);
+            res.status(500).json({ error: 'Failed to delete upload due to a server error.' });
+        }
+    });
+
+    // ---------------- Static Frontend ----------------
+    // Registered after the API so a file in public/ can never shadow a route.
+    if (staticDir && fs.existsSync(staticDir)) {
+        app.use(express.static(staticDir));
+    }
+
+    // ---------------- Errors ----------------
+    // Anything a middleware passes to next(err) still gets a JSON answer.
+    app.use((err, req, res, next) => {
+        console.error("Unhandled request error:", err);
+        if (res.headersSent) return next(err);
+        res.status(500).json({ error: 'Something went wrong on the server.' });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./tokens');
+const { roleOf } = require('./accounts');
+
+// ---------------- SESSIONS ----------------
+// /api/login issues a signed, expiring token for a session record kept in the
+// 'sessions' collection. The token alone proves who signed it; the record is
+// what makes logout and refresh able to revoke it before it expires.
+//
+// Staff sessions (kind 'staff') belong to a record in 'teachers'; student
+// sessions (kind 'student') to a record in 'students' and always carry the
+// 'student' role.
+//
+// Clients send it as `Authorization: Bearer <token>`.
+
+function createAuth({ store, config }) {
+    const secret = config.sessionSecret;
+    const ttlMs = config.sessionTtlMs;
+
+    const USER_COLLECTIONS = { staff: 'teachers', student: 'students' };
+
+    async function issueSession(user, { kind = 'staff' } = {}) {
+        const now = Date.now();
+        const session = {
+            id: crypto.randomUUID(),
+            userId: user.id,
+            kind,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString(),
+            revokedAt: null
+        };
+        await store.addToCollection('sessions', session);
+        const token = signToken({ sid: session.id, sub: user.id, exp: now + ttlMs }, secret);
+        return { token, expiresAt: session.expiresAt };
+    }
+
+    // Told the ID of every session revoked in this process (open event
+    // streams of that session end)
+    const revokeListeners = new Set();
+    function onRevoke(listener) {
+        revokeListeners.add(listener);
+        return () => revokeListeners.delete(listener);
+    }
+
+    async function revokeSession(sessionId) {
+        await store.updateCollectionItem('sessions', sessionId, { revokedAt: new Date().toISOString() });
+        for (const listener of revokeListeners) listener(sessionId);
+    }
+
+    // Signs the user out everywhere, e.g. after their password or PIN changed
+    async function revokeUserSessions(userId, { kind = 'staff' } = {}) {
+        const sessions = (await store.getCollectionData('sessions'))
+            .filter(s => s.userId === userId && (s.kind || 'staff') === kind && !s.revokedAt);
+        for (const session of sessions) await revokeSession(session.id);
+        return sessions.length;
+    }
+
+    // Resolves a bearer token to { session, user }, or null when the token is
+    // missing, forged, expired or revoked, or its user no longer exists.
+    async function resolveToken(token) {
+        const claims = verifyToken(token, secret);
+        if (!claims) return null;
+
+        const session = await store.getCollectionItem('sessions', claims.sid);
+        if (!session || session.revokedAt || session.userId !== claims.sub) return null;
+
+        // Sessions from before student sessions existed are staff sessions
+        const kind = session.kind || 'staff';
+        const user = await store.getCollectionItem(USER_COLLECTIONS[kind], claims.sub);
+        if (!user) return null;
+
+        // Never hand password/PIN hashes to route handlers
+        const { password: _, pin: __, ...safeUser } = user;
+        return { session: { ...session, kind }, user: { ...safeUser, role: kind === 'student' ? 'student' : roleOf(user) } };
+    }
+
+    function bearerToken(req) {
+        const header = req.get('authorization') || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : null;
+    }
+
+    // Sets req.user / req.session when a valid token is present; never rejects.
+    async function authenticate(req, res, next) {
+        try {
+            const token = bearerToken(req);
+            const resolved = token ? await resolveToken(token) : null;
+            if (resolved) {
+                req.user = resolved.user;
+                req.session = resolved.session;
+            }
+            next();
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    // Route guard: 401 unless signed in, 403 unless the user has one of the roles.
+    function requireRole(...roles) {
+        return (req, res, next) => {
+            if (!req.user) return res.status(401).json({ error: 'Please log in again' });
+            if (!roles.includes(req.user.role)) return res.status(403).json({ error: 'You do not have permission to do that' });
+            next();
+        };
+    }
+
+    // Any signed-in staff member (admins can do everything teachers can)
+    const requireTeacher = requireRole('teacher', 'admin');
+    const requireAdmin = requireRole('admin');
+    const requireStudent = requireRole('student');
+    const requireSignedIn = requireRole('teacher', 'admin', 'student');
+
+    return {
+        issueSession, revokeSession, revokeUserSessions, onRevoke, resolveToken, bearerToken, authenticate,
+        requireRole, requireTeacher, requireAdmin, requireStudent, requireSignedIn
+    };
+}
+
+module.exports = { createAuth };
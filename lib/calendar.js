@@ -0,0 +1,84 @@
+// ---------------- iCALENDAR (RFC 5545) ----------------
+// Builds the .ics feed of a class's homework: one all-day VEVENT per task on
+// its due date. The UID is derived from the task ID only, so calendar apps
+// update an edited task (e.g. a moved due date) instead of adding a copy.
+
+const escapeText = value => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space, without splitting a UTF-8 character.
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length ? 74 : 75;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+const utcStamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// All-day date (YYYYMMDD) of a task's due date, or null when it has none.
+function dueDay(task) {
+    const dueDate = String(task.dueDate || '');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) return dueDate.replace(/-/g, '');
+    const date = new Date(dueDate);
+    if (Number.isNaN(date.getTime())) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+function nextDay(day) {
+    const date = new Date(Date.UTC(Number(day.slice(0, 4)), Number(day.slice(4, 6)) - 1, Number(day.slice(6, 8)) + 1));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function taskEvent(task) {
+    const day = dueDay(task);
+    if (!day) return [];
+    const modified = new Date(task.updatedAt || task.createdAt || Date.now());
+    return [
+        'BEGIN:VEVENT',
+        `UID:task-${task.id}@homework`,
+        `DTSTAMP:${utcStamp(modified)}`,
+        `LAST-MODIFIED:${utcStamp(modified)}`,
+        `DTSTART;VALUE=DATE:${day}`,
+        `DTEND;VALUE=DATE:${nextDay(day)}`,
+        `SUMMARY:${escapeText(task.subject)}`,
+        `DESCRIPTION:${escapeText(task.teacher ? `${task.description}\n\n${task.teacher.name}` : task.description)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+function homeworkCalendar({ name, tasks }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//School Homework//Homework Feed//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...tasks.flatMap(taskEvent),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { homeworkCalendar, escapeText, foldLine };
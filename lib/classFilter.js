@@ -0,0 +1,21 @@
+// Grade/class matching shared by every student-facing listing: an item is
+// visible when it targets the student's grade (or 'all') and their class
+// letter, compared case-insensitively (or 'all').
+//
+// Items posted to several classes at once (lib/targets.js) carry a `targets`
+// list instead; they are visible when any target matches, where a target for
+// a whole grade can leave out some classes with `except`.
+function matchesTarget(target, grade, classLetter) {
+    const wantedClass = String(classLetter || '').toUpperCase();
+    if (target.grade !== String(grade) && target.grade !== 'all') return false;
+    if (target.classLetter === 'all') return !(target.except || []).includes(wantedClass);
+    return String(target.classLetter).toUpperCase() === wantedClass;
+}
+
+function isVisibleToClass(item, grade, classLetter) {
+    if (Array.isArray(item.targets)) return item.targets.some(target => matchesTarget(target, grade, classLetter));
+    return (item.grade === String(grade) || item.grade === 'all') &&
+        (String(item.classLetter).toUpperCase() === String(classLetter || '').toUpperCase() || item.classLetter === 'all');
+}
+
+module.exports = { isVisibleToClass };
@@ -0,0 +1,80 @@
+const { isVisibleToClass } = require('./classFilter');
+
+// ---------------- HOMEWORK COMPLETION ----------------
+// Whether a task is done is tracked per student in the 'completions'
+// collection, one record per (task, student) with a deterministic ID, so
+// ticking a task off is idempotent and never affects anyone else.
+
+const completionId = (taskId, studentId) => `${taskId}:${studentId}`;
+
+async function setCompletion(store, task, student, done) {
+    const id = completionId(task.id, student.id);
+    const existing = await store.getCollectionItem('completions', id);
+
+    if (done && !existing) {
+        await store.addToCollection('completions', {
+            id,
+            taskId: task.id,
+            studentId: student.id,
+            grade: String(student.grade),
+            classLetter: String(student.classLetter),
+            completedAt: new Date().toISOString()
+        });
+    } else if (!done && existing) {
+        await store.deleteCollectionItem('completions', id);
+    }
+    return done;
+}
+
+// Adds the student's own `done`/`completedAt` to each task. Any legacy
+// task-wide `done` flag is ignored.
+async function withCompletionStatus(store, tasks, studentId) {
+    const completions = (await store.getCollectionData('completions')).filter(c => c.studentId === studentId);
+    const byTask = new Map(completions.map(c => [c.taskId, c]));
+    return tasks.map(task => {
+        const completion = byTask.get(task.id);
+        return { ...task, done: !!completion, completedAt: completion ? completion.completedAt : null };
+    });
+}
+
+// Teacher view of one task: which students in the targeted classes have and
+// haven't completed it.
+async function completionReport(store, task) {
+    const students = (await store.getCollectionData('students'))
+        .filter(student => isVisibleToClass(task, student.grade, student.classLetter));
+    const completions = (await store.getCollectionData('completions')).filter(c => c.taskId === task.id);
+    const byStudent = new Map(completions.map(c => [c.studentId, c]));
+
+    const summary = student => ({ id: student.id, name: student.name, grade: student.grade, classLetter: student.classLetter });
+    const completed = students
+        .filter(student => byStudent.has(student.id))
+        .map(student => ({ ...summary(student), completedAt: byStudent.get(student.id).completedAt }));
+    const notCompleted = students.filter(student => !byStudent.has(student.id)).map(summary);
+
+    return {
+        taskId: task.id,
+        totalStudents: students.length,
+        completedCount: completed.length,
+        completed,
+        notCompleted
+    };
+}
+
+async function deleteCompletionsForTask(store, taskId) {
+    const completions = (await store.getCollectionData('completions')).filter(c => c.taskId === taskId);
+    for (const completion of completions) await store.deleteCollectionItem('completions', completion.id);
+}
+
+async function deleteCompletionsForStudent(store, studentId) {
+    const completions = (await store.getCollectionData('completions')).filter(c => c.studentId === studentId);
+    for (const completion of completions) await store.deleteCollectionItem('completions', completion.id);
+}
+
+module.exports = {
+    completionId,
+    setCompletion,
+    withCompletionStatus,
+    completionReport,
+    deleteCompletionsForTask,
+    deleteCompletionsForStudent
+};
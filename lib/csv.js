@@ -0,0 +1,18 @@
+// ---------------- CSV ----------------
+// RFC 4180 output for spreadsheet exports. Cells that a spreadsheet would
+// treat as a formula (=, +, -, @ at the start) are prefixed with a quote so
+// exported text can never run as one.
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of arrays of cells; returns the CSV text.
+function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { isVisibleToClass } = require('./classFilter');
+
+// ---------------- LIVE UPDATES (SERVER-SENT EVENTS) ----------------
+// observeStore() wraps the storage driver so every create/update/delete of a
+// task, announcement or upload - whichever route or job made it - is
+// published on the event bus. GET /api/events streams the events a client's
+// scope may see (lib/routes/events.js).
+//
+// Event IDs are "<bootId>-<sequence>". The last BUFFER_SIZE events are kept
+// so a reconnecting client (EventSource sends Last-Event-ID) gets what it
+// missed. When that is impossible (server restarted, or too far behind) it
+// gets a `reset` event and should reload its lists. The bus is per process;
+// with several instances each streams its own writes.
+
+const BUFFER_SIZE = 500;
+
+const OBSERVED = {
+    tasks: 'task',
+    announcements: 'announcement',
+    uploads: 'upload'
+};
+
+const ownerOf = record => String((record.teacher && record.teacher.id) || record.teacherId || '');
+
+// What goes over the wire: never storage internals
+function eventData(record) {
+    const { storageKey: _, ...rest } = record;
+    return JSON.parse(JSON.stringify(rest));
+}
+
+function createEventBus({ bufferSize = BUFFER_SIZE } = {}) {
+    const bootId = crypto.randomBytes(4).toString('hex');
+    let sequence = 0;
+    const buffer = [];
+    const subscribers = new Set();
+
+    // `previous` (updates only) is the record before the change, so a class
+    // an item was just moved away from still hears about it.
+    function publish(type, action, record, previous) {
+        const event = {
+            id: `${bootId}-${++sequence}`,
+            type,
+            action,
+            at: new Date().toISOString(),
+            data: action === 'deleted' ? { id: record.id } : eventData(record),
+            // Who may see it, kept off the wire
+            audience: { records: [record, previous].filter(Boolean).map(eventData), ownerId: ownerOf(record) }
+        };
+        buffer.push(event);
+        if (buffer.length > bufferSize) buffer.shift();
+        for (const subscriber of subscribers) subscriber(event);
+    }
+
+    // Events after `lastEventId`, or null when they can't all be replayed.
+    function since(lastEventId) {
+        const [boot, seq] = String(lastEventId).split('-');
+        const wanted = Number(seq);
+        if (boot !== bootId || !Number.isInteger(wanted)) return null;
+        if (wanted >= sequence) return [];
+        const oldest = buffer.length ? Number(buffer[0].id.split('-')[1]) : sequence + 1;
+        if (wanted + 1 < oldest) return null;
+        return buffer.filter(event => Number(event.id.split('-')[1]) > wanted);
+    }
+
+    function subscribe(listener) {
+        subscribers.add(listener);
+        return () => subscribers.delete(listener);
+    }
+
+    // Ends every open stream (graceful shutdown)
+    const closers = new Set();
+    function onClose(closer) {
+        closers.add(closer);
+        return () => closers.delete(closer);
+    }
+    function close() {
+        for (const closer of closers) closer();
+        closers.clear();
+    }
+
+    return { publish, since, subscribe, onClose, close };
+}
+
+// Scope of one stream: { grade, classLetter } (a class) or { teacherId }.
+function inScope(event, scope) {
+    if (scope.teacherId) return event.audience.ownerId === String(scope.teacherId);
+    return event.audience.records.some(record => isVisibleToClass(record, scope.grade, scope.classLetter));
+}
+
+// Returns a store with the same interface whose writes to the observed
+// collections are published. Updates publish the record as it is afterwards;
+// deletes publish the record as it was, so scope checks still work.
+function observeStore(store, bus) {
+    const copy = async (name, id) => {
+        const item = await store.getCollectionItem(name, id);
+        return item && JSON.parse(JSON.stringify(item));
+    };
+
+    return {
+        ...store,
+        async addToCollection(name, item) {
+            await store.addToCollection(name, item);
+            if (OBSERVED[name]) bus.publish(OBSERVED[name], 'created', item);
+        },
+        async updateCollectionItem(name, id, updates) {
+            const previous = OBSERVED[name] ? await copy(name, id) : null;
+            await store.updateCollectionItem(name, id, updates);
+            if (!previous) return;
+            const item = await copy(name, id);
+            if (item) bus.publish(OBSERVED[name], 'updated', item, previous);
+        },
+        async deleteCollectionItem(name, id) {
+            const item = OBSERVED[name] ? await copy(name, id) : null;
+            await store.deleteCollectionItem(name, id);
+            if (item) bus.publish(OBSERVED[name], 'deleted', item);
+        }
+    };
+}
+
+module.exports = { createEventBus, observeStore, inScope };
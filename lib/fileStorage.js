@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ---------------- LOCAL FILE STORAGE ----------------
+// Keeps uploaded bytes on disk under one directory (UPLOAD_DIR, ./uploads by
+// default). Files are addressed by a storage key relative to that directory,
+// e.g. "files/1759763108899-3f9a1c-worksheet.pdf"; the metadata record keeps
+// the key, the bytes never go through the data store.
+
+const safeName = name => String(name || 'file').replace(/[^\w.\-]+/g, '_').slice(-100);
+
+function createLocalFileStorage({ dir }) {
+    const root = path.resolve(dir);
+
+    // Maps a key to an absolute path, refusing anything outside the root.
+    function resolveKey(key) {
+        const fullPath = path.resolve(root, String(key));
+        if (fullPath !== root && fullPath.startsWith(root + path.sep)) return fullPath;
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    // Writes a multer file (memory storage) and resolves to { key, size }.
+    async function save(folder, file) {
+        const key = `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName(file.originalname)}`;
+        const fullPath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        // 'wx' so two uploads can never overwrite each other
+        await fs.promises.writeFile(fullPath, file.buffer, { flag: 'wx' });
+        return { key, size: file.buffer.length };
+    }
+
+    // Moves a file that is already on disk (e.g. an assembled chunked upload)
+    // into storage and resolves to { key, size }.
+    async function adopt(folder, sourcePath, originalName) {
+        const key = `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName(originalName)}`;
+        const fullPath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        try {
+            await fs.promises.rename(sourcePath, fullPath);
+        } catch (e) {
+            // Different filesystem: copy, then drop the source
+            if (e.code !== 'EXDEV') throw e;
+            await fs.promises.copyFile(sourcePath, fullPath, fs.constants.COPYFILE_EXCL);
+            await fs.promises.unlink(sourcePath);
+        }
+        const { size } = await fs.promises.stat(fullPath);
+        return { key, size };
+    }
+
+    async function exists(key) {
+        try {
+            return (await fs.promises.stat(resolveKey(key))).isFile();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Deleting a file that is already gone is not an error.
+    async function remove(key) {
+        try {
+            await fs.promises.unlink(resolveKey(key));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+
+    return { root, save, adopt, exists, remove, resolveKey };
+}
+
+// ---------------- FILE SERVICE ----------------
+// What the routes use. Drivers with their own file storage (Firestore ->
+// Firebase Storage) keep it and records get a remote URL; every other driver
+// stores bytes locally and records get a `storageKey`.
+
+function createFileService({ store, config }) {
+    const local = store.saveFile ? null : createLocalFileStorage({ dir: config.uploadDir });
+
+    // Resolves to the fields to merge into the metadata record:
+    // { storageKey, size } locally, { url, size } for remote storage.
+    async function save(folder, file) {
+        if (!local) return { url: await store.saveFile(folder, file), size: file.buffer.length };
+        const { key, size } = await local.save(folder, file);
+        return { storageKey: key, size };
+    }
+
+    // Where a record's bytes are: { path } on disk, { url } remotely, or null
+    // when they are gone. Records from the old local server only have a bare
+    // `filename` inside the upload directory.
+    async function locate(record) {
+        const key = record.storageKey || (/^[^/\\:]+$/.test(record.filename || '') ? record.filename : null);
+        if (local && key && await local.exists(key)) return { path: local.resolveKey(key) };
+        if (/^https?:\/\//.test(record.filename || '')) return { url: record.filename };
+        return null;
+    }
+
+    // Same as save() for a file already on disk; the source is moved or deleted.
+    async function saveFromPath(folder, sourcePath, { originalName, mimeType }) {
+        if (local) {
+            const { key, size } = await local.adopt(folder, sourcePath, originalName);
+            return { storageKey: key, size };
+        }
+        const { size } = await fs.promises.stat(sourcePath);
+        const url = store.saveLocalFile
+            ? await store.saveLocalFile(folder, sourcePath, { originalName, mimeType })
+            : await store.saveFile(folder, { buffer: await fs.promises.readFile(sourcePath), originalname: originalName, mimetype: mimeType });
+        await fs.promises.unlink(sourcePath);
+        return { url, size };
+    }
+
+    async function remove(record) {
+        if (record.storageKey && local) return local.remove(record.storageKey);
+        if (!local && record.filename && store.deleteFile) return store.deleteFile(record.filename);
+    }
+
+    return { save, saveFromPath, locate, remove, removeKey: key => (local ? local.remove(key) : undefined), isLocal: !!local };
+}
+
+// Metadata record for the 'uploads' collection, shared by every upload route.
+function uploadRecord({ id, teacherId, stored, originalName, mimeType, grade, classLetter }) {
+    return {
+        id,
+        teacherId: String(teacherId),
+        // Local files are served by GET /api/files/:id
+        filename: stored.url || `/api/files/${id}`,
+        ...(stored.storageKey && { storageKey: stored.storageKey }),
+        originalName,
+        mimeType,
+        size: stored.size,
+        grade: String(grade || 'all'),
+        classLetter: String(classLetter || 'all'),
+        uploadedAt: new Date().toISOString()
+    };
+}
+
+module.exports = { createLocalFileStorage, createFileService, uploadRecord, safeName };
@@ -0,0 +1,90 @@
+const path = require('path');
+
+// ---------------- FILE TYPE SNIFFING ----------------
+// Upload types are decided by the file's first bytes ("magic numbers"), not by
+// the client's mimetype. The extension must also belong to the detected type,
+// so a PNG renamed to .pdf is rejected rather than served as a PDF.
+
+const startsWith = (buf, bytes, offset = 0) =>
+    buf.length >= offset + bytes.length && bytes.every((byte, i) => buf[offset + i] === byte);
+const ascii = text => [...Buffer.from(text, 'latin1')];
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+const OLE2 = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Text files have no signature: accept valid UTF-8 without NUL bytes.
+function looksLikeText(buf) {
+    const sample = buf.subarray(0, 8192);
+    if (sample.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample.length < buf.length ? trimPartialChar(sample) : sample);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Drops a multi-byte character cut in half at the end of the sample.
+function trimPartialChar(sample) {
+    let end = sample.length;
+    for (let i = 1; i <= 3 && end - i >= 0; i++) {
+        const byte = sample[end - i];
+        if ((byte & 0xc0) === 0x80) continue;       // continuation byte
+        if (byte >= 0xc0) return sample.subarray(0, end - i); // lead byte of a cut character
+        break;
+    }
+    return sample;
+}
+
+const FILE_TYPES = {
+    png: { mime: 'image/png', extensions: ['.png'], matches: buf => startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    jpeg: { mime: 'image/jpeg', extensions: ['.jpg', '.jpeg'], matches: buf => startsWith(buf, [0xff, 0xd8, 0xff]) },
+    gif: { mime: 'image/gif', extensions: ['.gif'], matches: buf => startsWith(buf, ascii('GIF87a')) || startsWith(buf, ascii('GIF89a')) },
+    webp: { mime: 'image/webp', extensions: ['.webp'], matches: buf => startsWith(buf, ascii('RIFF')) && startsWith(buf, ascii('WEBP'), 8) },
+    pdf: { mime: 'application/pdf', extensions: ['.pdf'], matches: buf => startsWith(buf, ascii('%PDF-')) },
+    docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'], matches: buf => startsWith(buf, ZIP) },
+    xlsx: { mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'], matches: buf => startsWith(buf, ZIP) },
+    pptx: { mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['.pptx'], matches: buf => startsWith(buf, ZIP) },
+    odt: { mime: 'application/vnd.oasis.opendocument.text', extensions: ['.odt'], matches: buf => startsWith(buf, ZIP) },
+    ods: { mime: 'application/vnd.oasis.opendocument.spreadsheet', extensions: ['.ods'], matches: buf => startsWith(buf, ZIP) },
+    odp: { mime: 'application/vnd.oasis.opendocument.presentation', extensions: ['.odp'], matches: buf => startsWith(buf, ZIP) },
+    doc: { mime: 'application/msword', extensions: ['.doc'], matches: buf => startsWith(buf, OLE2) },
+    xls: { mime: 'application/vnd.ms-excel', extensions: ['.xls'], matches: buf => startsWith(buf, OLE2) },
+    ppt: { mime: 'application/vnd.ms-powerpoint', extensions: ['.ppt'], matches: buf => startsWith(buf, OLE2) },
+    rtf: { mime: 'application/rtf', extensions: ['.rtf'], matches: buf => startsWith(buf, ascii('{\\rtf')) },
+    txt: { mime: 'text/plain', extensions: ['.txt'], matches: looksLikeText },
+    csv: { mime: 'text/csv', extensions: ['.csv'], matches: looksLikeText },
+    // ISO base media files all carry 'ftyp' at offset 4
+    mp4: { mime: 'video/mp4', extensions: ['.mp4', '.m4v'], matches: buf => startsWith(buf, ascii('ftyp'), 4) },
+    mov: { mime: 'video/quicktime', extensions: ['.mov'], matches: buf => startsWith(buf, ascii('ftyp'), 4) || startsWith(buf, ascii('moov'), 4) },
+    m4a: { mime: 'audio/mp4', extensions: ['.m4a'], matches: buf => startsWith(buf, ascii('ftyp'), 4) },
+    webm: { mime: 'video/webm', extensions: ['.webm'], matches: buf => startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3]) },
+    mp3: { mime: 'audio/mpeg', extensions: ['.mp3'], matches: buf => startsWith(buf, ascii('ID3')) || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) },
+    wav: { mime: 'audio/wav', extensions: ['.wav'], matches: buf => startsWith(buf, ascii('RIFF')) && startsWith(buf, ascii('WAVE'), 8) }
+};
+
+const IMAGE_TYPES = ['png', 'jpeg', 'gif', 'webp'];
+const DOCUMENT_TYPES = ['pdf', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'doc', 'xls', 'ppt', 'rtf', 'txt', 'csv'];
+// Recorded lessons; too big for a single request, so only accepted by chunked uploads
+const MEDIA_TYPES = ['mp4', 'mov', 'm4a', 'webm', 'mp3', 'wav'];
+
+const extensionsFor = allowed => allowed.flatMap(name => FILE_TYPES[name].extensions);
+
+// Checks `buffer` (at least the first few KB of the file) against the allowed
+// type names. Resolves to { type, mime } or { error, code } explaining the refusal.
+function detectFileType(buffer, filename, allowed) {
+    const extension = path.extname(filename || '').toLowerCase();
+    const candidates = allowed.filter(name => FILE_TYPES[name].extensions.includes(extension));
+
+    if (!candidates.length) {
+        return { code: 'UNSUPPORTED_TYPE', error: `Files of type "${extension || 'unknown'}" are not allowed here. Allowed: ${extensionsFor(allowed).join(', ')}` };
+    }
+
+    const match = candidates.find(name => FILE_TYPES[name].matches(buffer));
+    if (!match) {
+        return { code: 'CONTENT_MISMATCH', error: `The file's contents do not look like a ${extension} file` };
+    }
+    return { type: match, mime: FILE_TYPES[match].mime };
+}
+
+module.exports = { FILE_TYPES, IMAGE_TYPES, DOCUMENT_TYPES, MEDIA_TYPES, extensionsFor, detectFileType };
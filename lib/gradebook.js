@@ -0,0 +1,104 @@
+const { roleOf } = require('./accounts');
+const { dueDeadline, round } = require('./submissions');
+const { toCsv } = require('./csv');
+
+// ---------------- GRADEBOOK ----------------
+// Marks for one grade/class and subject, across every task of that subject
+// the class can see: one row per enrolled student, one column per task.
+// Teachers get the tasks they set; admins get everyone's.
+//
+// Each cell has a status:
+//   marked    - submitted and marked (percentage counts in the averages)
+//   submitted - handed in, not marked yet
+//   missing   - nothing handed in and the due date has passed
+//   pending   - nothing handed in yet, still before the due date
+// Averages are over marked work only; feedback-only marks don't count.
+
+const mean = values => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+function cellFor(task, submission, now) {
+    if (submission) {
+        const mark = submission.mark;
+        const marked = !!(mark && mark.percentage !== null && mark.percentage !== undefined);
+        return {
+            taskId: task.id,
+            status: marked ? 'marked' : 'submitted',
+            percentage: marked ? mark.percentage : null,
+            score: marked ? mark.score : null,
+            maxScore: marked ? mark.maxScore : null,
+            late: !!submission.late,
+            submissionId: submission.id
+        };
+    }
+    const deadline = dueDeadline(task);
+    return { taskId: task.id, status: deadline && now > deadline ? 'missing' : 'pending', percentage: null, late: false };
+}
+
+async function buildGradebook(store, { grade, classLetter, subject, user, now = new Date() }) {
+    const wantedSubject = String(subject).trim().toLowerCase();
+    const wantedClass = String(classLetter).toUpperCase();
+    const isAdmin = roleOf(user) === 'admin';
+
+    const tasks = (await store.getStudentCollectionData('tasks', grade, classLetter))
+        .filter(task => String(task.subject || '').trim().toLowerCase() === wantedSubject)
+        .filter(task => isAdmin || (task.teacher && String(task.teacher.id) === String(user.id)))
+        .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate)));
+
+    const students = (await store.getStudentCollectionData('students', grade, classLetter))
+        .filter(student => student.grade === String(grade) && student.classLetter === wantedClass)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const taskIds = new Set(tasks.map(task => task.id));
+    const submissions = new Map((await store.getCollectionData('submissions'))
+        .filter(s => taskIds.has(s.taskId))
+        .map(s => [`${s.taskId}:${s.studentId}`, s]));
+
+    const rows = students.map(student => {
+        const cells = tasks.map(task => cellFor(task, submissions.get(`${task.id}:${student.id}`), now));
+        return {
+            student: { id: student.id, name: student.name },
+            cells,
+            averagePercentage: mean(cells.filter(c => c.status === 'marked').map(c => c.percentage)),
+            missingCount: cells.filter(c => c.status === 'missing').length,
+            lateCount: cells.filter(c => c.late).length
+        };
+    });
+
+    const columns = tasks.map((task, index) => {
+        const cells = rows.map(row => row.cells[index]);
+        return {
+            id: task.id,
+            description: task.description,
+            dueDate: task.dueDate,
+            averagePercentage: mean(cells.filter(c => c.status === 'marked').map(c => c.percentage)),
+            submittedCount: cells.filter(c => c.status === 'marked' || c.status === 'submitted').length,
+            markedCount: cells.filter(c => c.status === 'marked').length,
+            missingCount: cells.filter(c => c.status === 'missing').length
+        };
+    });
+
+    const allMarks = rows.flatMap(row => row.cells.filter(c => c.status === 'marked').map(c => c.percentage));
+    return {
+        grade: String(grade),
+        classLetter: wantedClass,
+        subject: tasks.length ? tasks[0].subject : String(subject).trim(),
+        generatedAt: now.toISOString(),
+        tasks: columns,
+        students: rows,
+        classAverage: mean(allMarks),
+        missingTotal: rows.reduce((sum, row) => sum + row.missingCount, 0)
+    };
+}
+
+// Spreadsheet layout: students down, tasks across, then average/missing/late;
+// a last row with the per-task and class averages.
+function gradebookCsv(book) {
+    const cellText = cell => (cell.status === 'marked' ? cell.percentage : cell.status === 'pending' ? '' : cell.status);
+    return toCsv([
+        ['Student', ...book.tasks.map(task => `${task.description} (due ${task.dueDate})`), 'Average %', 'Missing', 'Late'],
+        ...book.students.map(row => [row.student.name, ...row.cells.map(cellText), row.averagePercentage, row.missingCount, row.lateCount]),
+        ['Class average', ...book.tasks.map(task => task.averagePercentage), book.classAverage, book.missingTotal, '']
+    ]);
+}
+
+module.exports = { buildGradebook, gradebookCsv };
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const { DAY_MS, today, formatDay } = require('./taskSeries');
+const { announcementState, removeAnnouncement } = require('./announcements');
+
+// ---------------- BACKGROUND JOBS ----------------
+// What lib/scheduler.js runs. Each run resolves to a small summary that ends
+// up in the job's run record (GET /api/admin/jobs/runs).
+//
+//   dueReminders        - emails contacts about tasks due tomorrow (once per
+//                         task and due date, through the notification outbox)
+//   emailDigests        - sends instant retries and the daily digests
+//   announcementWindows - marks scheduled announcements published (and emails
+//                         them) and expired ones expired, so live updates go out
+//   expireAnnouncements - deletes announcements ANNOUNCEMENT_TTL_DAYS after their
+//                         expiresAt; ones without an expiry are kept
+//   purgeOrphanedFiles  - deletes stored bytes no record points to any more
+//                         (has a dry run: POST /api/admin/jobs/:name/run?dryRun=1)
+
+const HOUR_MS = 60 * 60 * 1000;
+// Bytes younger than this may belong to an upload whose record is still being written
+const ORPHAN_GRACE_MS = HOUR_MS;
+// The folders under UPLOAD_DIR the portal writes to (lib/fileStorage.js and
+// chunked uploads). Anything else there, like the files the old local server
+// kept at the top level, is never purged.
+const MANAGED_FOLDERS = ['files', 'logos', 'submissions', '.partial'];
+
+async function sendDueReminders({ store, notifier, now }) {
+    const tomorrow = formatDay(today(now) + DAY_MS);
+    const tasks = (await store.getCollectionData('tasks')).filter(task => String(task.dueDate || '').slice(0, 10) === tomorrow);
+    let queued = 0;
+    for (const task of tasks) queued += await notifier.remind(task);
+    return { dueDate: tomorrow, tasks: tasks.length, queued };
+}
+
+async function openAnnouncementWindows({ store, notifier, now }) {
+    let published = 0;
+    let expired = 0;
+    for (const announcement of await store.getCollectionData('announcements')) {
+        const state = announcementState(announcement, now.getTime());
+        if (state === 'published' && announcement.publishAt && !announcement.publishedAt) {
+            await store.updateCollectionItem('announcements', announcement.id, { publishedAt: now.toISOString() });
+            await notifier.notify('announcement', announcement);
+            published++;
+        } else if (state === 'expired' && !announcement.expiredAt) {
+            await store.updateCollectionItem('announcements', announcement.id, { expiredAt: now.toISOString() });
+            expired++;
+        }
+    }
+    return { published, expired };
+}
+
+async function expireAnnouncements({ store, ttlDays, now }) {
+    if (!ttlDays) return { deleted: 0, disabled: true };
+    const cutoff = now.getTime() - ttlDays * DAY_MS;
+    const expired = (await store.getCollectionData('announcements')).filter(a => a.expiresAt && Date.parse(a.expiresAt) < cutoff);
+    for (const announcement of expired) await removeAnnouncement(store, announcement.id);
+    return { deleted: expired.length };
+}
+
+// Every file under `dir`, as keys relative to `root` ('/'-separated)
+async function listFiles(root, dir = root) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+    const keys = [];
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) keys.push(...await listFiles(root, fullPath));
+        else if (entry.isFile()) keys.push(path.relative(root, fullPath).split(path.sep).join('/'));
+    }
+    return keys;
+}
+
+// Keys of every stored file something still points to
+async function referencedKeys(store) {
+    const [uploads, submissions, school] = await Promise.all([
+        store.getCollectionData('uploads'),
+        store.getCollectionData('submissions'),
+        store.getSchoolData()
+    ]);
+    const keys = new Set();
+    for (const upload of uploads) {
+        if (upload.storageKey) keys.add(upload.storageKey);
+        // Records from the old local server keep a bare file name
+        else if (/^[^/\\:]+$/.test(upload.filename || '')) keys.add(upload.filename);
+    }
+    for (const submission of submissions) {
+        for (const file of submission.files || []) if (file.storageKey) keys.add(file.storageKey);
+    }
+    if (school && school.schoolLogoKey) keys.add(school.schoolLogoKey);
+    return keys;
+}
+
+// Local storage only; remote storage deletes its bytes together with the record.
+// Partial chunked uploads (UPLOAD_DIR/.partial/<uploadId>) go when their
+// session is gone or has expired. A dry run only lists what would go.
+async function purgeOrphanedFiles({ store, files, uploadDir, now, dryRun = false }) {
+    if (!files.isLocal) return { skipped: 'remote file storage' };
+    const root = path.resolve(uploadDir);
+    const [keys, sessions] = await Promise.all([referencedKeys(store), store.getCollectionData('uploadSessions')]);
+    const liveSessions = new Set(sessions.filter(s => Date.parse(s.expiresAt) > now.getTime()).map(s => s.id));
+
+    const orphans = [];
+    let bytes = 0;
+    for (const folder of MANAGED_FOLDERS) {
+        for (const key of await listFiles(root, path.join(root, folder))) {
+            const [, name, ...rest] = key.split('/');
+            const referenced = folder === '.partial' && !rest.length ? liveSessions.has(name) : keys.has(key);
+            if (referenced) continue;
+
+            const { size, mtimeMs } = await fs.promises.stat(path.join(root, key));
+            if (now.getTime() - mtimeMs < ORPHAN_GRACE_MS) continue;
+            if (!dryRun) await files.removeKey(key);
+            orphans.push(key);
+            bytes += size;
+        }
+    }
+    if (dryRun) return { dryRun: true, wouldDelete: orphans, bytes };
+
+    // Expired sessions whose bytes just went
+    for (const session of sessions) {
+        if (!liveSessions.has(session.id)) await store.deleteCollectionItem('uploadSessions', session.id);
+    }
+    return { deleted: orphans.length, bytes };
+}
+
+function createJobs({ store, files, notifier, config }) {
+    return [
+        {
+            name: 'dueReminders',
+            description: 'Email contacts about homework due tomorrow',
+            intervalMs: HOUR_MS,
+            run: ({ now }) => sendDueReminders({ store, notifier, now })
+        },
+        {
+            name: 'emailDigests',
+            description: 'Send daily digests and retry failed emails',
+            intervalMs: 15 * 60 * 1000,
+            run: ({ now }) => notifier.run(now)
+        },
+        {
+            name: 'announcementWindows',
+            description: 'Publish scheduled announcements and retire expired ones',
+            intervalMs: 60 * 1000,
+            run: ({ now }) => openAnnouncementWindows({ store, notifier, now })
+        },
+        {
+            name: 'expireAnnouncements',
+            description: `Delete announcements ${config.announcementTtlDays || '∞'} days after their expiry date`,
+            intervalMs: 6 * HOUR_MS,
+            run: ({ now }) => expireAnnouncements({ store, ttlDays: config.announcementTtlDays, now })
+        },
+        {
+            name: 'purgeOrphanedFiles',
+            description: 'Delete uploaded files no record refers to',
+            intervalMs: 24 * HOUR_MS,
+            dryRun: true,
+            run: ({ now, dryRun }) => purgeOrphanedFiles({ store, files, uploadDir: config.uploadDir, now, dryRun })
+        }
+    ];
+}
+
+module.exports = { createJobs, purgeOrphanedFiles, expireAnnouncements };
@@ -0,0 +1,31 @@
+const { createOutboxTransport } = require('./outbox');
+const { createSmtpTransport } = require('./smtp');
+
+// ---------------- MAIL TRANSPORTS ----------------
+// A transport is an object with `name` and one async method:
+//
+//   send({ from, to, subject, text, headers })  -> { messageId }
+//
+// and throws when the message could not be handed over. The notifier
+// (lib/notifications.js) doesn't know which one it talks to.
+//
+//   outbox - writes each message as an .eml file (MAIL_OUTBOX_DIR); for
+//            development and tests, nothing leaves the machine
+//   smtp   - sends through SMTP_URL
+
+function createTransport(config) {
+    switch (config.mailTransport) {
+        case 'smtp':
+            if (!config.smtpUrl) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL');
+            return createSmtpTransport({ url: config.smtpUrl });
+        case 'outbox':
+            return createOutboxTransport({ dir: config.mailOutboxDir });
+        case undefined:
+            // Production without SMTP_URL: the outbox would keep every email on the server
+            throw new Error("Email is not configured. Set SMTP_URL (or MAIL_TRANSPORT=outbox to keep emails as files) before starting in production.");
+        default:
+            throw new Error(`Unknown mail transport: ${config.mailTransport}`);
+    }
+}
+
+module.exports = { createTransport };
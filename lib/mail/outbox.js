@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// ---------------- OUTBOX TRANSPORT ----------------
+// Builds the real MIME message (via nodemailer's stream transport) and writes
+// it to <dir>/<time>-<random>.eml instead of sending it. Open the files in a
+// mail client, or read them in tests.
+
+function createOutboxTransport({ dir }) {
+    const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+
+    async function send(message) {
+        const info = await builder.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        await fs.promises.writeFile(file, info.message, { flag: 'wx' });
+        return { messageId: info.messageId, file };
+    }
+
+    return { name: 'outbox', dir, send };
+}
+
+module.exports = { createOutboxTransport };
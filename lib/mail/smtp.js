@@ -0,0 +1,18 @@
+const nodemailer = require('nodemailer');
+
+// ---------------- SMTP TRANSPORT ----------------
+// Thin wrapper over nodemailer; the URL carries host, port, TLS and login
+// (smtp://, smtps://, ?pool=true, ...).
+
+function createSmtpTransport({ url }) {
+    const transporter = nodemailer.createTransport(url);
+
+    async function send(message) {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+
+    return { name: 'smtp', send, close: () => transporter.close() };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const { isVisibleToClass } = require('./classFilter');
+const { describeTarget } = require('./targets');
+const { isLive } = require('./announcements');
+const { describeRule } = require('./taskSeries');
+
+// ---------------- EMAIL NOTIFICATIONS ----------------
+// Parents (or anyone else an admin adds) subscribe as 'contacts' of one class,
+// either directly or through a student so they follow the student when they
+// change class. Every new task, recurring task, announcement or upload queues
+// one message per subscribed contact in the 'notifications' outbox:
+//
+//   { id, contactId, email, kind, itemId, subject, text, frequency,
+//     status: pending | sent | failed | cancelled, attempts, createdAt, sentAt, error }
+//
+// 'instant' contacts get each message right away; 'daily' contacts get one
+// digest of everything pending once a day after DIGEST_HOUR. A failed send
+// stays pending and is retried by the next run, up to MAX_ATTEMPTS. Runs are
+// triggered by the 'emailDigests' job (lib/jobs.js); the day before a task is
+// due the 'dueReminders' job queues a reminder the same way.
+//
+// Every email carries an unsubscribe link with the contact's token, which is
+// also the credential for changing the delivery preference.
+
+const FREQUENCIES = ['instant', 'daily'];
+const MAX_ATTEMPTS = 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+const localDay = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// What the API returns: the unsubscribe token only ever goes out by email
+function publicContact(contact) {
+    const { unsubscribeToken: _, ...rest } = contact;
+    return rest;
+}
+
+// Tokens are compared as digests in constant time, so neither their content
+// nor their length leaks through the response time
+const tokenDigest = token => crypto.createHash('sha256').update(String(token)).digest();
+
+async function findContactByToken(store, token) {
+    if (!token) return undefined;
+    const wanted = tokenDigest(token);
+    const contacts = await store.getCollectionData('contacts');
+    return contacts.find(c => c.unsubscribeToken && crypto.timingSafeEqual(tokenDigest(c.unsubscribeToken), wanted));
+}
+
+// Subscribes an email address to a class (or a student's class). Subscribing
+// an address again for the same class re-activates it and updates the
+// preference. Resolves to { contact, created } or { error }.
+async function addContact(store, { email, name, grade, classLetter, student, frequency = 'instant' }) {
+    const address = normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(address)) return { error: 'A valid email address is required' };
+    if (!FREQUENCIES.includes(frequency)) return { error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    if (student) {
+        grade = student.grade;
+        classLetter = student.classLetter;
+    }
+    if (!grade || !classLetter || grade === 'all' || String(classLetter).toLowerCase() === 'all') {
+        return { error: 'A specific grade and class are required' };
+    }
+
+    const contacts = await store.getCollectionData('contacts');
+    const existing = contacts.find(c => c.email === address && (student
+        ? c.studentId === student.id
+        : !c.studentId && c.grade === String(grade) && c.classLetter === String(classLetter).toUpperCase()));
+
+    if (existing) {
+        const updates = { frequency, unsubscribedAt: null, ...(name && { name: String(name).trim() }) };
+        await store.updateCollectionItem('contacts', existing.id, updates);
+        return { contact: { ...existing, ...updates }, created: false };
+    }
+
+    const contact = {
+        id: crypto.randomUUID(),
+        email: address,
+        name: String(name || '').trim(),
+        grade: String(grade),
+        classLetter: String(classLetter).toUpperCase(),
+        ...(student && { studentId: student.id }),
+        frequency,
+        unsubscribeToken: crypto.randomBytes(24).toString('base64url'),
+        subscribedAt: new Date().toISOString(),
+        unsubscribedAt: null
+    };
+    await store.addToCollection('contacts', contact);
+    return { contact, created: true };
+}
+
+async function contactsForStudent(store, studentId) {
+    return (await store.getCollectionData('contacts')).filter(c => c.studentId === studentId);
+}
+
+async function deleteContactsForStudent(store, studentId) {
+    for (const contact of await contactsForStudent(store, studentId)) await store.deleteCollectionItem('contacts', contact.id);
+}
+
+// ---------------- Message text ----------------
+
+const PRIORITY_TAGS = { important: '[Important] ', urgent: '[Urgent] ' };
+
+const classLabel = item => item.targetLabel || describeTarget({ grade: item.grade, classLetter: item.classLetter });
+
+function describeItem(kind, item) {
+    const teacher = item.teacher ? item.teacher.name : '';
+    switch (kind) {
+        case 'task':
+            return {
+                subject: `New homework: ${item.subject}`,
+                lines: [`${item.subject} (${classLabel(item)})`, item.description, item.dueDate && `Due: ${item.dueDate}`, teacher && `From: ${teacher}`]
+            };
+        case 'series':
+            return {
+                subject: `New recurring homework: ${item.subject}`,
+                lines: [
+                    `${item.subject} (${classLabel(item)})`,
+                    item.description,
+                    `Due ${describeRule(item.rule)} from ${item.startDate}${item.endDate ? ` until ${item.endDate}` : ''}`,
+                    teacher && `From: ${teacher}`
+                ]
+            };
+        case 'reminder':
+            return {
+                subject: `Due tomorrow: ${item.subject}`,
+                lines: [`${item.subject} (${classLabel(item)}) is due on ${item.dueDate}.`, item.description]
+            };
+        case 'announcement':
+            return {
+                subject: `${PRIORITY_TAGS[item.priority] || ''}Announcement for ${classLabel(item)}`,
+                lines: [item.message, teacher && `From: ${teacher}`]
+            };
+        default:
+            return {
+                subject: `New file: ${item.originalName}`,
+                lines: [`${item.originalName} was shared with ${classLabel(item)}.`]
+            };
+    }
+}
+
+// ---------------- NOTIFIER ----------------
+// Listens on the event bus for new items, queues messages and delivers them.
+// Sends are serialised so a message is never handed to the transport twice
+// by this process.
+
+function createNotifier({ store, transport, config, events }) {
+    const baseUrl = config.publicUrl || `http://localhost:${config.port}`;
+    const unsubscribeUrl = contact => `${baseUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(contact.unsubscribeToken)}`;
+
+    // The caller gets the job's own result or error; the chain carries on either way
+    let queue = Promise.resolve();
+    function serial(job) {
+        const result = queue.then(job);
+        queue = result.catch(e => console.error("Notification delivery failed:", e));
+        return result;
+    }
+
+    // Contacts of the classes that can see the item, one per address
+    async function recipientsFor(item) {
+        const [contacts, students] = await Promise.all([store.getCollectionData('contacts'), store.getCollectionData('students')]);
+        const studentsById = new Map(students.map(s => [s.id, s]));
+        const seen = new Set();
+        return contacts.filter(contact => {
+            if (contact.unsubscribedAt || seen.has(contact.email)) return false;
+            const enrolment = contact.studentId ? studentsById.get(contact.studentId) : contact;
+            if (!enrolment || !isVisibleToClass(item, enrolment.grade, enrolment.classLetter)) return false;
+            seen.add(contact.email);
+            return true;
+        });
+    }
+
+    // `idFor(contact)` gives messages a fixed ID so queueing twice is a no-op
+    async function queueFor(kind, item, idFor = () => crypto.randomUUID()) {
+        const { subject, lines } = describeItem(kind, item);
+        const text = lines.filter(Boolean).join('\n');
+        const createdAt = new Date().toISOString();
+        const queued = [];
+        for (const contact of await recipientsFor(item)) {
+            const id = idFor(contact);
+            if (await store.getCollectionItem('notifications', id)) continue;
+            const notification = {
+                id,
+                contactId: contact.id,
+                email: contact.email,
+                kind,
+                itemId: item.id,
+                subject,
+                text,
+                frequency: contact.frequency,
+                status: 'pending',
+                attempts: 0,
+                createdAt
+            };
+            await store.addToCollection('notifications', notification);
+            queued.push(notification);
+        }
+        return queued;
+    }
+
+    function footer(contact) {
+        return [
+            '',
+            '--',
+            `Open the portal: ${baseUrl}/`,
+            `Unsubscribe: ${unsubscribeUrl(contact)}`
+        ].join('\n');
+    }
+
+    async function sendTo(contact, subject, text) {
+        const url = unsubscribeUrl(contact);
+        return transport.send({
+            from: config.mailFrom,
+            to: contact.name ? { name: contact.name, address: contact.email } : contact.email,
+            subject,
+            text: `${text}\n${footer(contact)}\n`,
+            headers: {
+                'List-Unsubscribe': `<${url}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+        });
+    }
+
+    // Marks the notifications sent, or counts the failed attempt
+    async function settle(notifications, sendResult) {
+        const now = new Date().toISOString();
+        for (const notification of notifications) {
+            if (!sendResult.error) {
+                await store.updateCollectionItem('notifications', notification.id, { status: 'sent', sentAt: now, messageId: sendResult.messageId, error: null });
+                continue;
+            }
+            const attempts = (notification.attempts || 0) + 1;
+            await store.updateCollectionItem('notifications', notification.id, {
+                status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+                attempts,
+                error: sendResult.error
+            });
+        }
+    }
+
+    async function attempt(contact, notifications, subject, text) {
+        try {
+            const info = await sendTo(contact, subject, text);
+            await settle(notifications, { messageId: info.messageId });
+            return true;
+        } catch (e) {
+            console.warn(`Email to ${contact.email} failed:`, e.message);
+            await settle(notifications, { error: e.message });
+            return false;
+        }
+    }
+
+    // Pending messages grouped by contact; messages of contacts that have
+    // unsubscribed (or been removed) since they were queued are cancelled.
+    async function pendingByContact(frequency) {
+        const pending = (await store.getCollectionData('notifications'))
+            .filter(n => n.status === 'pending' && n.frequency === frequency);
+        const groups = new Map();
+        for (const notification of pending) {
+            const contact = await store.getCollectionItem('contacts', notification.contactId);
+            if (!contact || contact.unsubscribedAt) {
+                await store.updateCollectionItem('notifications', notification.id, { status: 'cancelled' });
+                continue;
+            }
+            if (!groups.has(contact.id)) groups.set(contact.id, { contact, notifications: [] });
+            groups.get(contact.id).notifications.push(notification);
+        }
+        return [...groups.values()];
+    }
+
+    async function deliverInstant() {
+        let sent = 0;
+        for (const { contact, notifications } of await pendingByContact('instant')) {
+            for (const notification of notifications) {
+                if (await attempt(contact, [notification], notification.subject, notification.text)) sent++;
+            }
+        }
+        return sent;
+    }
+
+    // One email per contact with everything queued since their last digest.
+    // Goes out at most once per local day, from DIGEST_HOUR on.
+    async function deliverDigests(now = new Date()) {
+        if (now.getHours() < config.digestHour) return 0;
+        const today = localDay(now);
+        let sent = 0;
+        for (const { contact, notifications } of await pendingByContact('daily')) {
+            if (contact.lastDigestOn === today) continue;
+            const subject = notifications.length === 1 ? notifications[0].subject : `${notifications.length} updates from school`;
+            const text = notifications.map(n => `* ${n.subject}\n${n.text}`).join('\n\n');
+            if (await attempt(contact, notifications, subject, text)) {
+                await store.updateCollectionItem('contacts', contact.id, { lastDigestOn: today });
+                sent++;
+            }
+        }
+        return sent;
+    }
+
+    // Retries failed instant messages too
+    const run = (now = new Date()) => serial(async () => ({ instant: await deliverInstant(), digests: await deliverDigests(now) }));
+
+    // Queues a "due tomorrow" reminder for the task, once per due date
+    const remind = task => serial(async () => {
+        const queued = await queueFor('reminder', task, contact => `reminder-${task.id}-${task.dueDate}-${contact.id}`);
+        if (queued.some(n => n.frequency === 'instant')) await deliverInstant();
+        return queued.length;
+    });
+
+    // Queues the item for every contact that can see it
+    const notify = (kind, item) => serial(async () => {
+        const queued = await queueFor(kind, item);
+        if (queued.some(n => n.frequency === 'instant')) await deliverInstant();
+        return queued.length;
+    });
+
+    // New items from the routes. Recurring task occurrences are created by the
+    // expander and left out: the series route sends one 'series' message
+    // instead. Scheduled announcements are sent by the 'announcementWindows'
+    // job when they go live.
+    const unsubscribe = events.subscribe(event => {
+        if (event.action !== 'created' || event.data.series) return;
+        if (event.type === 'announcement' && !isLive(event.data)) return;
+        notify(event.type, event.data).catch(() => {});
+    });
+
+    async function stop() {
+        unsubscribe();
+        await queue;
+        if (transport.close) transport.close();
+    }
+
+    // Resolves once everything queued so far has been attempted
+    const idle = () => queue;
+
+    return { run, notify, remind, stop, idle, transport };
+}
+
+module.exports = {
+    FREQUENCIES,
+    publicContact,
+    findContactByToken,
+    addContact,
+    contactsForStudent,
+    deleteContactsForStudent,
+    createNotifier
+};
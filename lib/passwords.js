@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ---------------- PASSWORD HASHING ----------------
+// Passwords are stored as "scrypt$N$r$p$<salt>$<hash>" (salt and hash in
+// base64). Records written before hashing existed hold the plaintext; they
+// still verify, and `needsRehash` tells the caller to upgrade them.
+
+const PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const PARAMS = { N: 16384, r: 8, p: 1 };
+
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128; // scrypt cost grows with input; keep requests cheap
+
+// Server-side version of the frontend's "min 6 chars" hint.
+// Returns an error message, or null when the password is acceptable.
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+    }
+    if (!password.trim()) return 'Password cannot be only spaces';
+    return null;
+}
+
+function isHashed(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, PARAMS);
+    return [PREFIX, PARAMS.N, PARAMS.r, PARAMS.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Resolves to { valid, needsRehash }.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') return { valid: false, needsRehash: false };
+
+    if (!isHashed(stored)) {
+        // Legacy plaintext record; compare in constant time anyway.
+        const a = Buffer.from(password);
+        const b = Buffer.from(stored);
+        const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, salt, expected] = stored.split('$');
+    const expectedBuffer = Buffer.from(expected, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuffer.length, { N: Number(N), r: Number(r), p: Number(p) });
+    const valid = crypto.timingSafeEqual(hash, expectedBuffer);
+    const outdated = Number(N) !== PARAMS.N || Number(r) !== PARAMS.r || Number(p) !== PARAMS.p;
+    return { valid, needsRehash: valid && outdated };
+}
+
+module.exports = { validatePassword, hashPassword, verifyPassword, isHashed };
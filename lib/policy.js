@@ -0,0 +1,55 @@
+// ---------------- AUTHORIZATION POLICY ----------------
+// Who may change which record, defined once for every mutating route:
+//   admin   - any record
+//   teacher - only records they created
+//   anyone else (students, anonymous) - nothing
+//
+// Each collection says how to find a record's creator and what to call it in
+// error messages (`owned` overrides the default "<label>s you created").
+
+const OWNED_COLLECTIONS = {
+    tasks: { label: 'Task', ownerId: task => task.teacher && task.teacher.id },
+    announcements: { label: 'Announcement', ownerId: announcement => announcement.teacher && announcement.teacher.id },
+    uploads: { label: 'File', ownerId: upload => upload.teacherId },
+    // A submission belongs to the teacher of the task it was handed in for
+    submissions: { label: 'Submission', ownerId: submission => submission.teacherId, owned: 'submissions for your own tasks' },
+    taskSeries: { label: 'Recurring task', ownerId: series => series.teacher && series.teacher.id }
+};
+
+function collectionPolicy(collectionName) {
+    const policy = OWNED_COLLECTIONS[collectionName];
+    if (!policy) throw new Error(`No authorization policy for collection: ${collectionName}`);
+    return policy;
+}
+
+function canMutate(user, collectionName, record) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (user.role !== 'teacher') return false;
+    const ownerId = collectionPolicy(collectionName).ownerId(record);
+    return ownerId != null && String(ownerId) === String(user.id);
+}
+
+// Middleware for routes addressing one record as /:id. Loads it into
+// req.record, or answers 404 when it does not exist and 403 when the caller
+// may not change it. Run after authentication. The same owner rule guards
+// owner-only views ({ action: 'view' } only changes the error message).
+function authorizeMutation(store, collectionName, { action = 'change' } = {}) {
+    const { label, owned = `${label.toLowerCase()}s you created` } = collectionPolicy(collectionName);
+
+    return async (req, res, next) => {
+        try {
+            const record = await store.getCollectionItem(collectionName, req.params.id);
+            if (!record) return res.status(404).json({ error: `${label} not found` });
+            if (!canMutate(req.user, collectionName, record)) {
+                return res.status(403).json({ error: `You can only ${action} ${owned}` });
+            }
+            req.record = record;
+            next();
+        } catch (e) {
+            next(e);
+        }
+    };
+}
+
+module.exports = { OWNED_COLLECTIONS, canMutate, authorizeMutation };
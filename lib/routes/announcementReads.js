@@ -0,0 +1,34 @@
+const { isVisibleToClass } = require('../classFilter');
+const { isLive, markRead, readReport } = require('../announcements');
+const { authorizeMutation } = require('../policy');
+
+// ---------------- ANNOUNCEMENT READ RECEIPT ROUTES ----------------
+
+function registerAnnouncementReadRoutes(app, { store, auth }) {
+    // A student marks an announcement of their class as read (idempotent)
+    app.put('/api/announcement/:id/read', auth.requireStudent, async (req, res) => {
+        try {
+            const announcement = await store.getCollectionItem('announcements', req.params.id);
+            const student = req.user;
+            if (!announcement || !isLive(announcement) || !isVisibleToClass(announcement, student.grade, student.classLetter)) {
+                return res.status(404).json({ error: 'Announcement not found' });
+            }
+            const read = await markRead(store, announcement, student);
+            res.json({ message: 'Marked as read', read: true, readAt: read.readAt });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to save read receipt.' });
+        }
+    });
+
+    // Who has read it, per class (its teacher or an admin); ?grade=&classLetter= for one class
+    app.get('/api/announcement/:id/reads', auth.requireTeacher, authorizeMutation(store, 'announcements', { action: 'view' }), async (req, res) => {
+        const { grade, classLetter } = req.query;
+        try {
+            res.json(await readReport(store, req.record, { grade, classLetter }));
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to load read receipts.' });
+        }
+    });
+}
+
+module.exports = { registerAnnouncementReadRoutes };
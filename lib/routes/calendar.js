@@ -0,0 +1,74 @@
+const { ensureClass, ensureFeedToken, rotateFeedToken, findClassByFeedToken, publicClass } = require('../students');
+const { homeworkCalendar } = require('../calendar');
+
+// ---------------- CALENDAR FEED ROUTES ----------------
+// GET /api/calendar/<token>.ics needs no sign-in (calendar apps can't send
+// one); the per-class token is the credential. Staff and students look up the
+// subscription URL; admins can replace a leaked token.
+
+function feedUrls(req, token) {
+    const url = `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+function registerCalendarRoutes(app, { store, auth, ensureSeriesExpanded }) {
+    app.get('/api/calendar/:token.ics', async (req, res) => {
+        try {
+            const classRecord = await findClassByFeedToken(store, req.params.token);
+            if (!classRecord) return res.status(404).json({ error: 'Calendar not found' });
+
+            await ensureSeriesExpanded();
+            const tasks = await store.getStudentCollectionData('tasks', classRecord.grade, classRecord.classLetter);
+            const school = await store.getSchoolData();
+            const name = `${(school && school.schoolName) || 'Homework'} - ${classRecord.grade}${classRecord.classLetter}`;
+
+            res.type('text/calendar; charset=utf-8');
+            res.set('Cache-Control', 'private, max-age=300');
+            res.send(homeworkCalendar({ name, tasks }));
+        } catch (e) {
+            console.error("Calendar feed failed:", e);
+            res.status(500).json({ error: 'Failed to build calendar' });
+        }
+    });
+
+    // The signed-in student's class feed
+    app.get('/api/students/me/calendar', auth.requireStudent, async (req, res) => {
+        try {
+            const classRecord = await ensureClass(store, req.user.grade, req.user.classLetter);
+            res.json(feedUrls(req, await ensureFeedToken(store, classRecord)));
+        } catch (e) {
+            console.error("Calendar link lookup failed:", e);
+            res.status(500).json({ error: 'Failed to load calendar link' });
+        }
+    });
+
+    // Staff: the feed of any grade/class (?grade=&classLetter=)
+    app.get('/api/calendar/feed', auth.requireTeacher, async (req, res) => {
+        const { grade, classLetter } = req.query;
+        if (!grade || !classLetter || grade === 'all' || String(classLetter).toLowerCase() === 'all') {
+            return res.status(400).json({ error: 'A specific grade and class are required' });
+        }
+        try {
+            const classRecord = await ensureClass(store, grade, classLetter);
+            res.json({ class: `${classRecord.grade}${classRecord.classLetter}`, ...feedUrls(req, await ensureFeedToken(store, classRecord)) });
+        } catch (e) {
+            console.error("Calendar link lookup failed:", e);
+            res.status(500).json({ error: 'Failed to load calendar link' });
+        }
+    });
+
+    // Replace a class's feed token; existing subscriptions stop updating
+    app.post('/api/admin/classes/:id/feed-token', async (req, res) => {
+        try {
+            const classRecord = await store.getCollectionItem('classes', req.params.id);
+            if (!classRecord) return res.status(404).json({ error: 'Class not found' });
+            const token = await rotateFeedToken(store, classRecord);
+            res.json({ message: 'New calendar link issued', class: publicClass({ ...classRecord, feedToken: token }), ...feedUrls(req, token) });
+        } catch (e) {
+            console.error("Calendar token rotation failed:", e);
+            res.status(500).json({ error: 'Failed to issue a new calendar link due to a server error.' });
+        }
+    });
+}
+
+module.exports = { registerCalendarRoutes };
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { uploadRecord } = require('../fileStorage');
+const { detectFileType, extensionsFor, DOCUMENT_TYPES, IMAGE_TYPES, MEDIA_TYPES } = require('../fileTypes');
+const { sanitizeFilename, reserveQuota, sendUploadError, UploadRejectedError } = require('../uploadPolicy');
+
+// ---------------- CHUNKED UPLOADS ----------------
+// Large class files (recorded lessons, PDF packs) are sent in pieces so no
+// request holds the whole file in memory:
+//
+//   POST   /api/uploads/chunked                 { filename, size, sha256?, grade, classLetter }
+//                                                -> { uploadId, chunkSize, receivedBytes }
+//   PUT    /api/uploads/chunked/:id?offset=N    raw bytes (application/octet-stream)
+//   GET    /api/uploads/chunked/:id             -> { receivedBytes, size } (where to resume)
+//   POST   /api/uploads/chunked/:id/complete    { sha256? } -> same answer as /api/upload
+//   DELETE /api/uploads/chunked/:id             abort
+//
+// Chunks are appended to a partial file under UPLOAD_DIR/.partial as they
+// stream in. After a dropped connection the client asks where to resume; a
+// chunk may start at or before the bytes already on disk (the overlap is
+// rewritten) but never after. On completion the size and SHA-256 are checked
+// and the type is sniffed before the file becomes a normal upload.
+//
+// Session state lives in the 'uploadSessions' collection. An open session
+// counts its full size against the teacher's quota until it completes,
+// is cancelled or expires.
+
+const ALLOWED_TYPES = [...DOCUMENT_TYPES, ...IMAGE_TYPES, ...MEDIA_TYPES];
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function registerChunkedUploadRoutes(app, { store, config, files, requireTeacher }) {
+    const partialDir = path.join(config.uploadDir, '.partial');
+    const partialPath = uploadId => path.join(partialDir, uploadId);
+    // Uploads with a chunk currently being written (one writer at a time)
+    const writing = new Set();
+
+    async function receivedBytes(uploadId) {
+        try {
+            return (await fs.promises.stat(partialPath(uploadId))).size;
+        } catch (e) {
+            if (e.code === 'ENOENT') return 0;
+            throw e;
+        }
+    }
+
+    // Loads the caller's session into req.uploadSession (404 for anyone else's).
+    async function loadSession(req, res, next) {
+        try {
+            const session = await store.getCollectionItem('uploadSessions', req.params.id);
+            if (!session || String(session.teacherId) !== String(req.user.id)) {
+                return res.status(404).json({ error: 'Upload not found', code: 'UPLOAD_NOT_FOUND' });
+            }
+            if (Date.parse(session.expiresAt) < Date.now()) {
+                await discard(session);
+                return res.status(410).json({ error: 'This upload expired. Please start again.', code: 'UPLOAD_EXPIRED' });
+            }
+            req.uploadSession = session;
+            next();
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    async function discard(session) {
+        await fs.promises.rm(partialPath(session.id), { force: true });
+        await store.deleteCollectionItem('uploadSessions', session.id);
+    }
+
+    // Start an upload
+    app.post('/api/uploads/chunked', requireTeacher, async (req, res) => {
+        const { filename, size, sha256, grade, classLetter } = req.body;
+        const totalBytes = Number(size);
+        if (!filename || !Number.isInteger(totalBytes) || totalBytes <= 0) {
+            return res.status(400).json({ error: 'filename and size (bytes) are required', code: 'INVALID_UPLOAD' });
+        }
+        if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) {
+            return res.status(400).json({ error: 'sha256 must be a hex SHA-256 digest', code: 'INVALID_HASH' });
+        }
+
+        const originalName = sanitizeFilename(filename);
+        const extension = path.extname(originalName).toLowerCase();
+        if (!extensionsFor(ALLOWED_TYPES).includes(extension)) {
+            return sendUploadError(res, new UploadRejectedError(415, 'UNSUPPORTED_TYPE',
+                `Files of type "${extension || 'unknown'}" are not allowed here.`, { allowedExtensions: extensionsFor(ALLOWED_TYPES) }));
+        }
+        if (totalBytes > config.maxChunkedUploadBytes) {
+            return sendUploadError(res, new UploadRejectedError(413, 'FILE_TOO_LARGE',
+                'File is too large for upload.', { maxBytes: config.maxChunkedUploadBytes }));
+        }
+
+        let releaseQuota;
+        try {
+            releaseQuota = await reserveQuota(store, req.user.id, totalBytes, config.teacherQuotaBytes);
+
+            const now = Date.now();
+            const session = {
+                id: crypto.randomUUID(),
+                teacherId: String(req.user.id),
+                originalName,
+                size: totalBytes,
+                sha256: sha256 ? sha256.toLowerCase() : null,
+                grade: String(grade || 'all'),
+                classLetter: String(classLetter || 'all'),
+                createdAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+            };
+            await fs.promises.mkdir(partialDir, { recursive: true });
+            await fs.promises.writeFile(partialPath(session.id), '');
+            await store.addToCollection('uploadSessions', session);
+
+            res.status(201).json({ uploadId: session.id, chunkSize: config.chunkBytes, receivedBytes: 0, expiresAt: session.expiresAt });
+        } catch (e) {
+            if (e instanceof UploadRejectedError) return sendUploadError(res, e);
+            console.error("Chunked upload init failed:", e);
+            res.status(500).json({ error: 'Failed to start upload due to a server error.' });
+        } finally {
+            // The session record holds the bytes from here on
+            if (releaseQuota) releaseQuota();
+        }
+    });
+
+    // Where to resume
+    app.get('/api/uploads/chunked/:id', requireTeacher, loadSession, async (req, res) => {
+        const session = req.uploadSession;
+        try {
+            res.json({ uploadId: session.id, size: session.size, receivedBytes: await receivedBytes(session.id), chunkSize: config.chunkBytes });
+        } catch (e) {
+            console.error("Chunked upload status failed:", e);
+            res.status(500).json({ error: 'Failed to read upload status.' });
+        }
+    });
+
+    // Append one chunk, streamed straight to the partial file
+    app.put('/api/uploads/chunked/:id', requireTeacher, loadSession, async (req, res) => {
+        const session = req.uploadSession;
+        const offset = Number(req.query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: 'offset query parameter is required', code: 'INVALID_OFFSET' });
+        }
+        if (writing.has(session.id)) {
+            return res.status(409).json({ error: 'Another chunk for this upload is still being written', code: 'CHUNK_IN_PROGRESS' });
+        }
+
+        writing.add(session.id);
+        try {
+            const onDisk = await receivedBytes(session.id);
+            if (offset > onDisk) {
+                return res.status(409).json({ error: 'Chunk starts after the data received so far', code: 'OFFSET_MISMATCH', receivedBytes: onDisk });
+            }
+            // Re-sent data after a dropped connection: rewrite from the given offset
+            if (offset < onDisk) await fs.promises.truncate(partialPath(session.id), offset);
+
+            const limit = Math.min(config.chunkBytes, session.size - offset);
+            let written = 0;
+            const guard = new Transform({
+                transform(chunk, encoding, callback) {
+                    written += chunk.length;
+                    if (written > limit) return callback(new UploadRejectedError(413, 'CHUNK_TOO_LARGE',
+                        `Chunk is larger than allowed (${limit} bytes at this offset)`, { maxBytes: limit }));
+                    callback(null, chunk);
+                }
+            });
+
+            await pipeline(req, guard, fs.createWriteStream(partialPath(session.id), { flags: 'a' }));
+            res.json({ receivedBytes: offset + written, size: session.size });
+        } catch (e) {
+            if (e instanceof UploadRejectedError) {
+                res.set('Connection', 'close');
+                return sendUploadError(res, e);
+            }
+            // A dropped connection keeps whatever reached the disk; the client resumes from there
+            if (!res.headersSent && !req.destroyed) {
+                console.error("Chunk write failed:", e);
+                res.status(500).json({ error: 'Failed to store chunk.', receivedBytes: await receivedBytes(session.id) });
+            }
+        } finally {
+            writing.delete(session.id);
+        }
+    });
+
+    // Check size and hash, then turn the partial file into a normal upload
+    app.post('/api/uploads/chunked/:id/complete', requireTeacher, loadSession, async (req, res) => {
+        const session = req.uploadSession;
+        const expectedHash = (req.body.sha256 || session.sha256 || '').toLowerCase();
+        const filePath = partialPath(session.id);
+
+        if (writing.has(session.id)) {
+            return res.status(409).json({ error: 'A chunk for this upload is still being written', code: 'CHUNK_IN_PROGRESS' });
+        }
+        if (!/^[a-f0-9]{64}$/.test(expectedHash)) {
+            return res.status(400).json({ error: 'sha256 of the whole file is required to complete the upload', code: 'INVALID_HASH' });
+        }
+
+        let releaseQuota;
+        try {
+            const onDisk = await receivedBytes(session.id);
+            if (onDisk !== session.size) {
+                return res.status(409).json({ error: 'Upload is incomplete', code: 'UPLOAD_INCOMPLETE', receivedBytes: onDisk, size: session.size });
+            }
+
+            const hash = crypto.createHash('sha256');
+            await pipeline(fs.createReadStream(filePath), hash);
+            const actualHash = hash.digest('hex');
+            if (actualHash !== expectedHash) {
+                await discard(session);
+                return res.status(422).json({ error: 'The file was corrupted in transit. Please upload it again.', code: 'HASH_MISMATCH' });
+            }
+
+            const handle = await fs.promises.open(filePath, 'r');
+            const head = Buffer.alloc(Math.min(8192, onDisk));
+            try {
+                await handle.read(head, 0, head.length, 0);
+            } finally {
+                await handle.close();
+            }
+            const detected = detectFileType(head, session.originalName, ALLOWED_TYPES);
+            if (detected.error) {
+                await discard(session);
+                return sendUploadError(res, new UploadRejectedError(415, detected.code, detected.error, { allowedExtensions: extensionsFor(ALLOWED_TYPES) }));
+            }
+
+            // Quota again: it may have been lowered since this upload started
+            releaseQuota = await reserveQuota(store, session.teacherId, session.size, config.teacherQuotaBytes, { exceptSessionId: session.id });
+
+            const id = Date.now().toString();
+            const stored = await files.saveFromPath('files', filePath, { originalName: session.originalName, mimeType: detected.mime });
+            const newUpload = {
+                ...uploadRecord({
+                    id, teacherId: session.teacherId, stored,
+                    grade: session.grade, classLetter: session.classLetter,
+                    originalName: session.originalName, mimeType: detected.mime
+                }),
+                sha256: actualHash
+            };
+            await store.addToCollection('uploads', newUpload);
+            await store.deleteCollectionItem('uploadSessions', session.id);
+
+            res.json({ message: 'File uploaded successfully!', file: newUpload });
+        } catch (e) {
+            if (e instanceof UploadRejectedError) {
+                await discard(session);
+                return sendUploadError(res, e);
+            }
+            console.error("Completing chunked upload failed:", e);
+            res.status(500).json({ error: 'Failed to complete upload due to a server error.' });
+        } finally {
+            if (releaseQuota) releaseQuota();
+        }
+    });
+
+    // Abort
+    app.delete('/api/uploads/chunked/:id', requireTeacher, loadSession, async (req, res) => {
+        try {
+            await discard(req.uploadSession);
+            res.json({ message: 'Upload cancelled' });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to cancel upload due to a server error.' });
+        }
+    });
+}
+
+module.exports = { registerChunkedUploadRoutes };
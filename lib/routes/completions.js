@@ -0,0 +1,40 @@
+const { isVisibleToClass } = require('../classFilter');
+const { setCompletion, completionReport } = require('../completions');
+const { authorizeMutation } = require('../policy');
+
+// ---------------- COMPLETION ROUTES ----------------
+
+function registerCompletionRoutes(app, { store, auth }) {
+    // A student ticks a task off (or un-ticks it) for themselves only.
+    // Body { done: true|false } sets it; without a body it toggles.
+    app.put('/api/task/:id/done', auth.requireStudent, async (req, res) => {
+        try {
+            const task = await store.getCollectionItem('tasks', req.params.id);
+            const student = req.user;
+            if (!task || !isVisibleToClass(task, student.grade, student.classLetter)) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+
+            let done = req.body && typeof req.body.done === 'boolean' ? req.body.done : null;
+            if (done === null) {
+                done = !(await store.getCollectionItem('completions', `${task.id}:${student.id}`));
+            }
+            await setCompletion(store, task, student, done);
+
+            res.json({ message: 'Task updated!', done });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to update task status.' });
+        }
+    });
+
+    // Who in the targeted classes has and hasn't completed a task (its teacher or an admin)
+    app.get('/api/task/:id/completions', auth.requireTeacher, authorizeMutation(store, 'tasks', { action: 'view' }), async (req, res) => {
+        try {
+            res.json(await completionReport(store, req.record));
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to load completion status.' });
+        }
+    });
+}
+
+module.exports = { registerCompletionRoutes };
@@ -0,0 +1,110 @@
+const { inScope } = require('../events');
+const { isLive } = require('../announcements');
+
+// ---------------- EVENT STREAM ROUTE ----------------
+// GET /api/events - text/event-stream of task/announcement/upload changes.
+//   students: their enrolled class, whatever the query says
+//   staff:    ?grade=&classLetter= for a class, otherwise their own items
+//             (admins may pass ?teacherId=)
+// EventSource cannot send headers, so the session token may also come as
+// ?token=. Each message is `event: <type>` with JSON { id, type, action, at, data }.
+// A stream ends when its session is revoked here (logout, new password or
+// PIN); the session is also checked again with every heartbeat, which
+// catches expiry and revocations on other instances.
+// Students get an announcement outside its publish window as 'deleted', so a
+// scheduled one never reaches them early and an expired one drops out.
+
+const HEARTBEAT_MS = 25000;
+
+function registerEventRoutes(app, { auth, events }) {
+    // Token from the query string for this route only
+    async function authenticateFromQuery(req, res, next) {
+        if (req.user || !req.query.token) return next();
+        try {
+            const resolved = await auth.resolveToken(String(req.query.token));
+            if (resolved) {
+                req.user = resolved.user;
+                req.session = resolved.session;
+            }
+            next();
+        } catch (e) {
+            next(e);
+        }
+    }
+
+    function scopeFor(req) {
+        const { user } = req;
+        if (user.role === 'student') return { grade: user.grade, classLetter: user.classLetter };
+        const { grade, classLetter, teacherId } = req.query;
+        if (grade && classLetter) return { grade: String(grade), classLetter: String(classLetter) };
+        if (teacherId && user.role === 'admin') return { teacherId: String(teacherId) };
+        return { teacherId: String(user.id) };
+    }
+
+    app.get('/api/events', authenticateFromQuery, auth.requireSignedIn, (req, res) => {
+        const scope = scopeFor(req);
+        const isStudent = req.user.role === 'student';
+
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const send = event => {
+            if (isStudent && event.type === 'announcement' && event.action !== 'deleted' && !isLive(event.data)) {
+                event = { ...event, action: 'deleted', data: { id: event.data.id } };
+            }
+            const { audience: _, ...payload } = event;
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+        };
+
+        // Replay what a reconnecting client missed
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastEventId) {
+            const missed = events.since(lastEventId);
+            if (missed === null) res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Reload your lists; some changes could not be replayed.' })}\n\n`);
+            else missed.filter(event => inScope(event, scope)).forEach(send);
+        }
+
+        const unsubscribe = events.subscribe(event => {
+            if (inScope(event, scope)) send(event);
+        });
+
+        const token = auth.bearerToken(req) || String(req.query.token);
+        const heartbeat = setInterval(async () => {
+            try {
+                if (!await auth.resolveToken(token)) return end();
+            } catch (e) {
+                // Can't tell right now; the next heartbeat checks again
+                console.error("Event stream session check failed:", e);
+            }
+            if (!closed) res.write(': keep-alive\n\n');
+        }, HEARTBEAT_MS);
+        heartbeat.unref();
+
+        let closed = false;
+        const cleanup = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            stopOnClose();
+            stopOnRevoke();
+        };
+        const end = () => {
+            cleanup();
+            res.end();
+        };
+        const stopOnClose = events.onClose(end);
+        const stopOnRevoke = auth.onRevoke(sessionId => {
+            if (sessionId === req.session.id) end();
+        });
+        req.on('close', cleanup);
+    });
+}
+
+module.exports = { registerEventRoutes };
@@ -0,0 +1,30 @@
+const contentDisposition = require('content-disposition');
+const { buildGradebook, gradebookCsv } = require('../gradebook');
+
+// ---------------- GRADEBOOK ROUTES ----------------
+
+function registerGradebookRoutes(app, { store, auth }) {
+    // GET /api/gradebook?grade=1&classLetter=A&subject=Maths[&format=csv]
+    app.get('/api/gradebook', auth.requireTeacher, async (req, res) => {
+        const { grade, classLetter, subject, format } = req.query;
+        if (!grade || !classLetter || !subject || grade === 'all' || String(classLetter).toLowerCase() === 'all') {
+            return res.status(400).json({ error: 'A specific grade, class and subject are required' });
+        }
+
+        try {
+            const book = await buildGradebook(store, { grade, classLetter, subject, user: req.user });
+            if (format !== 'csv') return res.json(book);
+
+            const filename = `gradebook-${book.grade}${book.classLetter}-${book.subject}.csv`.replace(/[^\w.\-]+/g, '_');
+            res.set('Content-Disposition', contentDisposition(filename));
+            res.type('text/csv; charset=utf-8');
+            // BOM so spreadsheet programs read names with accents correctly
+            res.send('\uFEFF' + gradebookCsv(book));
+        } catch (e) {
+            console.error("Gradebook failed:", e);
+            res.status(500).json({ error: 'Failed to build the gradebook.' });
+        }
+    });
+}
+
+module.exports = { registerGradebookRoutes };
@@ -0,0 +1,48 @@
+// ---------------- BACKGROUND JOB ROUTES ----------------
+// Admin view of lib/scheduler.js (app.js already restricts /api/admin to
+// admins): each job's state, the recorded runs, and running a job right away.
+
+const MAX_RUNS = 200;
+
+function registerJobRoutes(app, { store, scheduler }) {
+    app.get('/api/admin/jobs', async (req, res) => {
+        try {
+            res.json(await scheduler.list());
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to load jobs' });
+        }
+    });
+
+    // Newest first; ?job= for one job, ?status=ok|failed, ?limit= (default 50)
+    app.get('/api/admin/jobs/runs', async (req, res) => {
+        const { job, status } = req.query;
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), MAX_RUNS);
+        try {
+            const runs = (await store.getCollectionData('jobRuns'))
+                .filter(run => (!job || run.job === job) && (!status || run.status === status))
+                .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+            res.json(runs.slice(0, limit));
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to load job runs' });
+        }
+    });
+
+    // Runs the job now, whether or not it is due. ?dryRun=1 only reports what
+    // it would do (jobs listed with dryRun: true).
+    app.post('/api/admin/jobs/:name/run', async (req, res) => {
+        if (!scheduler.has(req.params.name)) return res.status(404).json({ error: 'Job not found' });
+        const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+        if (dryRun && !scheduler.hasDryRun(req.params.name)) return res.status(400).json({ error: 'This job has no dry run' });
+        try {
+            const run = await scheduler.runJob(req.params.name, { force: true, dryRun });
+            if (run.skipped) return res.status(409).json({ error: 'This job is running on another instance' });
+            const outcome = run.status === 'ok' ? 'finished' : 'failed';
+            res.json({ message: dryRun ? `Dry run ${outcome}` : `Job ${outcome}`, run });
+        } catch (e) {
+            console.error("Manual job run failed:", e);
+            res.status(500).json({ error: 'Failed to run job' });
+        }
+    });
+}
+
+module.exports = { registerJobRoutes };
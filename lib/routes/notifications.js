@@ -0,0 +1,173 @@
+const { FREQUENCIES, publicContact, findContactByToken, addContact, contactsForStudent } = require('../notifications');
+
+// ---------------- NOTIFICATION ROUTES ----------------
+// Admins manage contacts per class and can look at the outbox; students add
+// their parents' addresses themselves. Unsubscribing and changing the
+// delivery preference need no sign-in: the token from the email is enough.
+// The unsubscribe link shows a confirmation page; only its POST unsubscribes.
+
+const STATUSES = ['pending', 'sent', 'failed', 'cancelled'];
+
+function registerNotificationRoutes(app, { store, auth }) {
+    // ---------------- Admin ----------------
+
+    // ?grade=&classLetter= narrows the list to one class
+    app.get('/api/admin/contacts', async (req, res) => {
+        const { grade, classLetter } = req.query;
+        try {
+            const contacts = (await store.getCollectionData('contacts')).filter(c =>
+                (!grade || c.grade === String(grade)) && (!classLetter || c.classLetter === String(classLetter).toUpperCase()));
+            res.json(contacts.map(publicContact));
+        } catch (e) {
+            console.error("Loading contacts failed:", e);
+            res.status(500).json({ error: 'Failed to load contacts' });
+        }
+    });
+
+    // { email, name?, frequency?, grade + classLetter | studentId }
+    app.post('/api/admin/contacts', async (req, res) => {
+        const { email, name, grade, classLetter, studentId, frequency } = req.body;
+        try {
+            let student;
+            if (studentId) {
+                student = await store.getCollectionItem('students', String(studentId));
+                if (!student) return res.status(404).json({ error: 'Student not found' });
+            }
+            const { contact, created, error } = await addContact(store, { email, name, grade, classLetter, student, frequency });
+            if (error) return res.status(400).json({ error });
+            res.status(created ? 201 : 200).json({ message: created ? 'Contact added' : 'Contact updated', contact: publicContact(contact) });
+        } catch (e) {
+            console.error("Adding contact failed:", e);
+            res.status(500).json({ error: 'Failed to add contact due to a server error.' });
+        }
+    });
+
+    app.delete('/api/admin/contacts/:id', async (req, res) => {
+        try {
+            const contact = await store.getCollectionItem('contacts', req.params.id);
+            if (!contact) return res.status(404).json({ error: 'Contact not found' });
+            await store.deleteCollectionItem('contacts', contact.id);
+            res.json({ message: `${contact.email} was removed` });
+        } catch (e) {
+            console.error("Removing contact failed:", e);
+            res.status(500).json({ error: 'Failed to remove contact due to a server error.' });
+        }
+    });
+
+    // The outbox, newest first (?status=pending|sent|failed|cancelled)
+    app.get('/api/admin/notifications', async (req, res) => {
+        const { status } = req.query;
+        if (status && !STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+        try {
+            const notifications = (await store.getCollectionData('notifications'))
+                .filter(n => !status || n.status === status)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            res.json(notifications);
+        } catch (e) {
+            console.error("Loading notifications failed:", e);
+            res.status(500).json({ error: 'Failed to load notifications' });
+        }
+    });
+
+    // ---------------- Students ----------------
+
+    app.get('/api/students/me/contacts', auth.requireStudent, async (req, res) => {
+        try {
+            const contacts = await contactsForStudent(store, req.user.id);
+            res.json(contacts.map(publicContact));
+        } catch (e) {
+            console.error("Loading contacts failed:", e);
+            res.status(500).json({ error: 'Failed to load contacts' });
+        }
+    });
+
+    // { email, name?, frequency? }
+    app.post('/api/students/me/contacts', auth.requireStudent, async (req, res) => {
+        const { email, name, frequency } = req.body;
+        try {
+            const { contact, created, error } = await addContact(store, { email, name, frequency, student: req.user });
+            if (error) return res.status(400).json({ error });
+            res.status(created ? 201 : 200).json({ message: created ? 'Contact added' : 'Contact updated', contact: publicContact(contact) });
+        } catch (e) {
+            console.error("Adding contact failed:", e);
+            res.status(500).json({ error: 'Failed to add contact due to a server error.' });
+        }
+    });
+
+    app.delete('/api/students/me/contacts/:id', auth.requireStudent, async (req, res) => {
+        try {
+            const contact = await store.getCollectionItem('contacts', req.params.id);
+            if (!contact || contact.studentId !== req.user.id) return res.status(404).json({ error: 'Contact not found' });
+            await store.deleteCollectionItem('contacts', contact.id);
+            res.json({ message: `${contact.email} was removed` });
+        } catch (e) {
+            console.error("Removing contact failed:", e);
+            res.status(500).json({ error: 'Failed to remove contact due to a server error.' });
+        }
+    });
+
+    // ---------------- Public (token from the email) ----------------
+
+    const escapeHtml = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    const page = (title, body) => `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem;">
+<h1 style="font-size: 1.4rem;">${escapeHtml(title)}</h1>
+${body}
+</body></html>`;
+
+    // The link in the email only asks; mail scanners open links on their own,
+    // so nothing changes until the button is pressed.
+    app.get('/api/notifications/unsubscribe', async (req, res) => {
+        try {
+            const contact = await findContactByToken(store, req.query.token);
+            if (!contact) return res.status(404).type('html').send(page('Link not valid', '<p>This unsubscribe link is not valid.</p>'));
+            if (contact.unsubscribedAt) {
+                return res.type('html').send(page('Already unsubscribed', `<p>${escapeHtml(contact.email)} no longer receives emails for class ${escapeHtml(contact.grade + contact.classLetter)}.</p>`));
+            }
+            res.type('html').send(page('Unsubscribe', `<p>Stop emails for class ${escapeHtml(contact.grade + contact.classLetter)} to ${escapeHtml(contact.email)}?</p>
+<form method="post" action="/api/notifications/unsubscribe?token=${encodeURIComponent(req.query.token)}">
+<button type="submit">Unsubscribe</button>
+</form>`));
+        } catch (e) {
+            console.error("Unsubscribe lookup failed:", e);
+            res.status(500).type('text/plain').send('Something went wrong. Please try again later.');
+        }
+    });
+
+    // The button above, and the one-click unsubscribe mail clients send for
+    // the List-Unsubscribe header (RFC 8058)
+    app.post('/api/notifications/unsubscribe', async (req, res) => {
+        try {
+            const contact = await findContactByToken(store, req.query.token);
+            if (!contact) return res.status(404).type('html').send(page('Link not valid', '<p>This unsubscribe link is not valid.</p>'));
+            if (!contact.unsubscribedAt) {
+                await store.updateCollectionItem('contacts', contact.id, { unsubscribedAt: new Date().toISOString() });
+            }
+            res.type('html').send(page('Unsubscribed', `<p>${escapeHtml(contact.email)} will no longer receive emails for class ${escapeHtml(contact.grade + contact.classLetter)}.</p>`));
+        } catch (e) {
+            console.error("Unsubscribe failed:", e);
+            res.status(500).type('text/plain').send('Something went wrong. Please try again later.');
+        }
+    });
+
+    // { token, frequency } - also re-subscribes an unsubscribed contact
+    app.patch('/api/notifications/preferences', async (req, res) => {
+        const { token, frequency } = req.body;
+        if (!FREQUENCIES.includes(frequency)) return res.status(400).json({ error: `frequency must be one of: ${FREQUENCIES.join(', ')}` });
+        try {
+            const contact = await findContactByToken(store, token);
+            if (!contact) return res.status(404).json({ error: 'Contact not found' });
+
+            const updates = { frequency, unsubscribedAt: null };
+            await store.updateCollectionItem('contacts', contact.id, updates);
+            res.json({ message: `Preference saved: ${frequency === 'daily' ? 'one daily digest' : 'every update right away'}`, contact: publicContact({ ...contact, ...updates }) });
+        } catch (e) {
+            console.error("Saving notification preference failed:", e);
+            res.status(500).json({ error: 'Failed to save preference due to a server error.' });
+        }
+    });
+}
+
+module.exports = { registerNotificationRoutes };
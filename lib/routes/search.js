@@ -0,0 +1,62 @@
+const { SEARCH_TYPES } = require('../search');
+
+// ---------------- SEARCH ROUTE ----------------
+// GET /api/search?q=&type=&grade=&classLetter=&teacherId=&from=&to=&limit=&offset=
+//   type       task, announcement, upload (comma-separated for several)
+//   from, to   posting date range; a bare YYYY-MM-DD covers the whole day
+// Students always search their own class and only see published
+// announcements; staff see everything, announcements with their state.
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 100;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns the time in ms, null when absent, or NaN when unreadable
+function parseDate(value, endOfDay) {
+    if (value === undefined || value === '') return null;
+    const text = String(value);
+    if (DAY_PATTERN.test(text)) return new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+    return Date.parse(text);
+}
+
+function registerSearchRoutes(app, { auth, searchIndex }) {
+    app.get('/api/search', auth.requireSignedIn, async (req, res) => {
+        const q = String(req.query.q || '').trim();
+        if (q.length > MAX_QUERY_LENGTH) return res.status(400).json({ error: `Search text is limited to ${MAX_QUERY_LENGTH} characters` });
+
+        const types = req.query.type ? String(req.query.type).split(',').map(type => type.trim()).filter(Boolean) : null;
+        if (types && types.some(type => !SEARCH_TYPES.includes(type))) {
+            return res.status(400).json({ error: `type must be one of: ${SEARCH_TYPES.join(', ')}` });
+        }
+
+        const from = parseDate(req.query.from, false);
+        const to = parseDate(req.query.to, true);
+        if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: 'from and to must be dates' });
+
+        const isStudent = req.user.role === 'student';
+        const grade = isStudent ? req.user.grade : req.query.grade;
+        const classLetter = isStudent ? req.user.classLetter : req.query.classLetter;
+        if (classLetter && !grade) return res.status(400).json({ error: 'classLetter needs a grade' });
+
+        const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 20, 1), MAX_LIMIT);
+        const offset = Math.max(Math.floor(Number(req.query.offset)) || 0, 0);
+
+        try {
+            const { total, results } = await searchIndex.search(q, {
+                types,
+                grade: grade ? String(grade) : null,
+                classLetter: classLetter ? String(classLetter) : null,
+                teacherId: req.query.teacherId ? String(req.query.teacherId) : null,
+                from,
+                to,
+                includeUnpublished: !isStudent
+            }, { limit, offset });
+            res.json({ query: q, total, limit, offset, results });
+        } catch (e) {
+            console.error("Search failed:", e);
+            res.status(500).json({ error: 'Search failed due to a server error.' });
+        }
+    });
+}
+
+module.exports = { registerSearchRoutes };
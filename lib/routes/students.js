@@ -0,0 +1,220 @@
+const {
+    normalizeCode,
+    publicStudent,
+    publicClass,
+    findClass,
+    ensureClass,
+    rotateClassCode,
+    rosterOf,
+    createStudent,
+    updateStudent,
+    resetStudentPin,
+    findStudentByCredentials,
+    createAttemptLimiter
+} = require('../students');
+const { deleteCompletionsForStudent } = require('../completions');
+const { deleteSubmissionsForStudent } = require('../submissions');
+const { deleteContactsForStudent } = require('../notifications');
+const { deleteReadsForStudent } = require('../announcements');
+
+// ---------------- STUDENT ROUTES ----------------
+// Sign-in with class code + PIN, plus the admin roster management under
+// /api/admin (which app.js already restricts to admins).
+
+// Failed sign-ins allowed per 15 minutes. A whole school usually shares one
+// address, and a class shares its code, so both limits leave room for a lot
+// of typos; the class limit still keeps guessing a class's PINs slow.
+const MAX_FAILURES_PER_CLASS = 50;
+const MAX_FAILURES_PER_ADDRESS = 300;
+
+function registerStudentRoutes(app, { store, auth, files }) {
+    const classLimiter = createAttemptLimiter({ max: MAX_FAILURES_PER_CLASS });
+    const addressLimiter = createAttemptLimiter({ max: MAX_FAILURES_PER_ADDRESS });
+
+    app.post('/api/students/login', async (req, res) => {
+        const classCode = normalizeCode(req.body.classCode);
+        const pin = String(req.body.pin || '').trim();
+        if (!classCode || !pin) return res.status(400).json({ error: 'Class code and PIN are required' });
+
+        const checks = [[classLimiter, `code:${classCode}`], [addressLimiter, `ip:${req.ip}`]];
+        const wait = Math.max(...checks.map(([limiter, key]) => limiter.retryAfter(key)));
+        if (wait) {
+            res.set('Retry-After', String(wait));
+            return res.status(429).json({ error: 'Too many attempts. Please wait a few minutes and try again.' });
+        }
+
+        try {
+            const student = await findStudentByCredentials(store, classCode, pin);
+            if (!student) {
+                checks.forEach(([limiter, key]) => limiter.fail(key));
+                return res.status(401).json({ error: 'Wrong class code or PIN' });
+            }
+            checks.forEach(([limiter, key]) => limiter.reset(key));
+
+            const { token, expiresAt } = await auth.issueSession(student, { kind: 'student' });
+            res.json({ student: { ...publicStudent(student), role: 'student' }, token, expiresAt });
+        } catch (e) {
+            console.error("Student sign-in failed:", e);
+            res.status(500).json({ error: 'Failed to sign in due to a server error.' });
+        }
+    });
+
+    // ---------------- Classes ----------------
+
+    // Every class with its code and how many students are enrolled
+    app.get('/api/admin/classes', async (req, res) => {
+        try {
+            const [classes, students] = await Promise.all([store.getCollectionData('classes'), store.getCollectionData('students')]);
+            res.json(classes.map(c => ({
+                ...publicClass(c),
+                studentCount: students.filter(s => s.grade === c.grade && s.classLetter === c.classLetter).length
+            })));
+        } catch (e) {
+            console.error("Loading classes failed:", e);
+            res.status(500).json({ error: 'Failed to load classes' });
+        }
+    });
+
+    // Create a class (or return the existing one) so it has a code before anyone is enrolled
+    app.post('/api/admin/classes', async (req, res) => {
+        try {
+            const grade = String(req.body.grade || '').trim();
+            const classLetter = String(req.body.classLetter || '').trim();
+            if (!grade || !classLetter || grade === 'all' || classLetter.toLowerCase() === 'all') {
+                return res.status(400).json({ error: 'A specific grade and class are required' });
+            }
+            const classRecord = await ensureClass(store, grade, classLetter);
+            res.json({ class: publicClass(classRecord) });
+        } catch (e) {
+            console.error("Creating class failed:", e);
+            res.status(500).json({ error: 'Failed to create class due to a server error.' });
+        }
+    });
+
+    // Issue a new code, e.g. after the old one leaked. Existing PINs keep working.
+    app.post('/api/admin/classes/:id/code', async (req, res) => {
+        try {
+            const classRecord = await store.getCollectionItem('classes', req.params.id);
+            if (!classRecord) return res.status(404).json({ error: 'Class not found' });
+            const updated = await rotateClassCode(store, classRecord);
+            res.json({ message: `New class code for Grade ${updated.grade}${updated.classLetter}: ${updated.code}`, class: publicClass(updated) });
+        } catch (e) {
+            console.error("Rotating class code failed:", e);
+            res.status(500).json({ error: 'Failed to issue a new class code due to a server error.' });
+        }
+    });
+
+    app.get('/api/admin/classes/:id/students', async (req, res) => {
+        try {
+            const classRecord = await store.getCollectionItem('classes', req.params.id);
+            if (!classRecord) return res.status(404).json({ error: 'Class not found' });
+            const roster = await rosterOf(store, classRecord);
+            res.json({ class: publicClass(classRecord), students: roster.map(publicStudent) });
+        } catch (e) {
+            console.error("Loading roster failed:", e);
+            res.status(500).json({ error: 'Failed to load students' });
+        }
+    });
+
+    // Enrol a whole roster at once: { names: [...] }. Answers every new PIN once.
+    app.post('/api/admin/classes/:id/students', async (req, res) => {
+        try {
+            const classRecord = await store.getCollectionItem('classes', req.params.id);
+            if (!classRecord) return res.status(404).json({ error: 'Class not found' });
+            const names = Array.isArray(req.body.names) ? req.body.names : [];
+            if (!names.length) return res.status(400).json({ error: 'names must be a non-empty list' });
+
+            const enrolled = [];
+            const errors = [];
+            for (const name of names) {
+                const { student, pin, error } = await createStudent(store, { name, grade: classRecord.grade, classLetter: classRecord.classLetter });
+                if (error) errors.push({ name, error });
+                else enrolled.push({ ...student, pin });
+            }
+            res.json({ message: `Enrolled ${enrolled.length} student(s)`, classCode: classRecord.code, students: enrolled, errors });
+        } catch (e) {
+            console.error("Roster enrolment failed:", e);
+            res.status(500).json({ error: 'Failed to enrol students due to a server error.' });
+        }
+    });
+
+    // ---------------- Students ----------------
+
+    app.get('/api/admin/students', async (req, res) => {
+        try {
+            const { grade, classLetter } = req.query;
+            let students = await store.getCollectionData('students');
+            if (grade) students = students.filter(s => s.grade === String(grade));
+            if (classLetter) students = students.filter(s => s.classLetter === String(classLetter).toUpperCase());
+            res.json(students.map(publicStudent));
+        } catch (e) {
+            console.error("Loading students failed:", e);
+            res.status(500).json({ error: 'Failed to load students' });
+        }
+    });
+
+    // Enrol one student: { name, grade, classLetter, pin? }. Without a PIN one is generated.
+    app.post('/api/admin/students', async (req, res) => {
+        try {
+            const { student, pin, error } = await createStudent(store, req.body);
+            if (error) return res.status(400).json({ error });
+            const classRecord = await findClass(store, student.grade, student.classLetter);
+            res.json({ message: 'Student enrolled!', student, pin, classCode: classRecord.code });
+        } catch (e) {
+            console.error("Student enrolment failed:", e);
+            res.status(500).json({ error: 'Failed to enrol student due to a server error.' });
+        }
+    });
+
+    // Rename and/or move to another class: { name?, grade?, classLetter? }
+    app.patch('/api/admin/students/:id', async (req, res) => {
+        try {
+            const existing = await store.getCollectionItem('students', req.params.id);
+            if (!existing) return res.status(404).json({ error: 'Student not found' });
+            const { student, pin, error } = await updateStudent(store, existing, req.body);
+            if (error) return res.status(400).json({ error });
+            // A new PIN signs them out everywhere
+            if (pin) await auth.revokeUserSessions(existing.id, { kind: 'student' });
+            res.json({ message: pin ? 'Student moved; they have a new PIN' : 'Student updated!', student, ...(pin && { pin }) });
+        } catch (e) {
+            console.error("Student update failed:", e);
+            res.status(500).json({ error: 'Failed to update student due to a server error.' });
+        }
+    });
+
+    // New PIN for a student who forgot theirs: { pin? }
+    app.post('/api/admin/students/:id/pin', async (req, res) => {
+        try {
+            const student = await store.getCollectionItem('students', req.params.id);
+            if (!student) return res.status(404).json({ error: 'Student not found' });
+            const { pin, error } = await resetStudentPin(store, student, req.body.pin);
+            if (error) return res.status(400).json({ error });
+            await auth.revokeUserSessions(student.id, { kind: 'student' });
+            res.json({ message: `New PIN for ${student.name}`, pin });
+        } catch (e) {
+            console.error("PIN reset failed:", e);
+            res.status(500).json({ error: 'Failed to reset PIN due to a server error.' });
+        }
+    });
+
+    // Unenrol a student along with their completion, submissions, read
+    // receipts and parent contacts. Their sessions stop working because the
+    // record is gone.
+    app.delete('/api/admin/students/:id', async (req, res) => {
+        try {
+            const student = await store.getCollectionItem('students', req.params.id);
+            if (!student) return res.status(404).json({ error: 'Student not found' });
+            await store.deleteCollectionItem('students', student.id);
+            await deleteCompletionsForStudent(store, student.id);
+            await deleteSubmissionsForStudent(store, files, student.id);
+            await deleteContactsForStudent(store, student.id);
+            await deleteReadsForStudent(store, student.id);
+            res.json({ message: `${student.name} was removed` });
+        } catch (e) {
+            console.error("Student removal failed:", e);
+            res.status(500).json({ error: 'Failed to remove student due to a server error.' });
+        }
+    });
+}
+
+module.exports = { registerStudentRoutes };
@@ -0,0 +1,223 @@
+const { isVisibleToClass } = require('../classFilter');
+const { authorizeMutation, canMutate } = require('../policy');
+const { acceptUpload } = require('../uploadPolicy');
+const { DOCUMENT_TYPES, IMAGE_TYPES } = require('../fileTypes');
+const {
+    MAX_TEXT_LENGTH,
+    MAX_SUBMISSION_FILES,
+    submissionId,
+    isLate,
+    isPastCutoff,
+    parseCutoff,
+    parseMark,
+    fileEntry,
+    publicSubmission,
+    removeSubmissionFiles
+} = require('../submissions');
+
+// ---------------- SUBMISSION ROUTES ----------------
+
+function registerSubmissionRoutes(app, { store, config, files, auth, sendStoredFile }) {
+    const submissionUpload = acceptUpload({
+        field: 'files',
+        maxCount: MAX_SUBMISSION_FILES,
+        maxBytes: config.maxUploadBytes,
+        types: [...DOCUMENT_TYPES, ...IMAGE_TYPES]
+    });
+
+    // The task a signed-in student is addressing. Answers a 404 when their
+    // class cannot see it (a 500 when it can't be loaded) and resolves to null.
+    async function loadStudentTask(req, res) {
+        let task;
+        try {
+            task = await store.getCollectionItem('tasks', req.params.id);
+        } catch (e) {
+            console.error("Loading task failed:", e);
+            res.status(500).json({ error: 'Failed to load task.' });
+            return null;
+        }
+        if (!task || !isVisibleToClass(task, req.user.grade, req.user.classLetter)) {
+            res.status(404).json({ error: 'Task not found' });
+            return null;
+        }
+        return task;
+    }
+
+    // Hand in (or replace) work for a task: multipart with `files` and/or a
+    // `text` field, or JSON { text }.
+    app.post('/api/task/:id/submission', auth.requireStudent, submissionUpload, async (req, res) => {
+        const task = await loadStudentTask(req, res);
+        if (!task) return;
+
+        const now = new Date();
+        if (isPastCutoff(task, now)) {
+            return res.status(403).json({ error: 'Submissions for this task are closed', submissionCutoff: task.submissionCutoff });
+        }
+
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        const uploaded = req.files || [];
+        if (!text && !uploaded.length) return res.status(400).json({ error: 'Add some text or at least one file' });
+        if (text.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({ error: `Text must be at most ${MAX_TEXT_LENGTH} characters` });
+        }
+
+        const student = req.user;
+        const id = submissionId(task.id, student.id);
+        const stored = [];
+        try {
+            for (const file of uploaded) stored.push(fileEntry(await files.save('submissions', file), file));
+        } catch (e) {
+            console.error("Submission file storage failed:", e);
+            await removeSubmissionFiles(files, { files: stored });
+            return res.status(500).json({ error: 'Failed to store file.' });
+        }
+
+        try {
+            const previous = await store.getCollectionItem('submissions', id);
+            const submission = {
+                id,
+                taskId: task.id,
+                teacherId: task.teacher ? task.teacher.id : null,
+                studentId: student.id,
+                studentName: student.name,
+                grade: String(student.grade),
+                classLetter: String(student.classLetter),
+                text,
+                files: stored,
+                submittedAt: now.toISOString(),
+                firstSubmittedAt: previous ? previous.firstSubmittedAt : now.toISOString(),
+                attempts: previous ? previous.attempts + 1 : 1,
+                late: isLate(task, now)
+            };
+
+            if (previous) {
+                // Grab the old files first: the memory store updates records in place
+                const replacedFiles = previous.files || [];
+                await store.updateCollectionItem('submissions', id, submission);
+                await removeSubmissionFiles(files, { files: replacedFiles });
+            } else {
+                await store.addToCollection('submissions', submission);
+            }
+            res.json({ message: previous ? 'Submission updated!' : 'Work submitted!', submission: publicSubmission(submission) });
+        } catch (e) {
+            console.error("Saving submission failed:", e);
+            await removeSubmissionFiles(files, { files: stored });
+            res.status(500).json({ error: 'Failed to save submission due to a server error.' });
+        }
+    });
+
+    // The signed-in student's own submission for a task
+    app.get('/api/task/:id/submission', auth.requireStudent, async (req, res) => {
+        const task = await loadStudentTask(req, res);
+        if (!task) return;
+        try {
+            const submission = await store.getCollectionItem('submissions', submissionId(task.id, req.user.id));
+            res.json({
+                submission: submission ? publicSubmission(submission) : null,
+                late: isLate(task),
+                closed: isPastCutoff(task),
+                submissionCutoff: task.submissionCutoff || null
+            });
+        } catch (e) {
+            console.error("Loading submission failed:", e);
+            res.status(500).json({ error: 'Failed to load submission.' });
+        }
+    });
+
+    // Every submission for a task (its teacher or an admin)
+    app.get('/api/task/:id/submissions', auth.requireTeacher, authorizeMutation(store, 'tasks', { action: 'view' }), async (req, res) => {
+        try {
+            const submissions = (await store.getCollectionData('submissions')).filter(s => s.taskId === req.record.id);
+            submissions.sort((a, b) => a.studentName.localeCompare(b.studentName));
+            res.json({
+                taskId: req.record.id,
+                submissionCutoff: req.record.submissionCutoff || null,
+                count: submissions.length,
+                lateCount: submissions.filter(s => s.late).length,
+                submissions: submissions.map(publicSubmission)
+            });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to load submissions.' });
+        }
+    });
+
+    // Set or clear the resubmission cutoff: { cutoff: ISO string | null }
+    app.put('/api/task/:id/cutoff', auth.requireTeacher, authorizeMutation(store, 'tasks'), async (req, res) => {
+        const { cutoff, error } = parseCutoff(req.body.cutoff);
+        if (error) return res.status(400).json({ error });
+        try {
+            await store.updateCollectionItem('tasks', req.record.id, { submissionCutoff: cutoff });
+            res.json({ message: cutoff ? 'Submission cutoff set!' : 'Submission cutoff removed', submissionCutoff: cutoff });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to update task.' });
+        }
+    });
+
+    // All of the signed-in student's submissions with their marks and feedback
+    app.get('/api/submissions/mine', auth.requireStudent, async (req, res) => {
+        try {
+            const submissions = (await store.getCollectionData('submissions')).filter(s => s.studentId === req.user.id);
+            submissions.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+            res.json({ submissions: submissions.map(publicSubmission) });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to load submissions.' });
+        }
+    });
+
+    // Mark a submission (the task's teacher or an admin):
+    // { score, maxScore, feedback? } or { rubric: [{ criterion, score, maxScore }], feedback? }.
+    // Marking again replaces the mark. A resubmission keeps it; `mark.attempt`
+    // tells which attempt was marked.
+    app.put('/api/submissions/:id/mark', auth.requireTeacher, authorizeMutation(store, 'submissions', { action: 'mark' }), async (req, res) => {
+        const { mark, error } = parseMark(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const submission = req.record;
+        const fullMark = {
+            ...mark,
+            attempt: submission.attempts,
+            markedBy: { id: req.user.id, name: req.user.name },
+            markedAt: new Date().toISOString()
+        };
+        try {
+            await store.updateCollectionItem('submissions', submission.id, { mark: fullMark });
+            res.json({ message: 'Mark saved!', mark: fullMark });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to save mark.' });
+        }
+    });
+
+    app.delete('/api/submissions/:id/mark', auth.requireTeacher, authorizeMutation(store, 'submissions', { action: 'mark' }), async (req, res) => {
+        try {
+            await store.updateCollectionItem('submissions', req.record.id, { mark: null });
+            res.json({ message: 'Mark removed' });
+        } catch (e) {
+            res.status(500).json({ error: 'Failed to remove mark.' });
+        }
+    });
+
+    // Download one submitted file: the student who submitted it, the task's teacher or an admin
+    app.get('/api/submissions/:id/files/:index', auth.requireSignedIn, async (req, res) => {
+        try {
+            const submission = await store.getCollectionItem('submissions', req.params.id);
+            const file = submission && (submission.files || [])[Number(req.params.index)];
+            if (!file) return res.status(404).json({ error: 'File not found' });
+
+            const allowed = req.user.role === 'student'
+                ? submission.studentId === req.user.id
+                : canMutate(req.user, 'submissions', submission);
+            if (!allowed) return res.status(403).json({ error: 'You do not have permission to do that' });
+
+            const location = await files.locate(file);
+            if (!location) return res.status(404).json({ error: 'File contents are missing' });
+            if (location.url) return res.redirect(location.url);
+
+            sendStoredFile(req, res, location.path, file);
+        } catch (e) {
+            console.error("Submission download failed:", e);
+            res.status(500).json({ error: 'Failed to read file' });
+        }
+    });
+}
+
+module.exports = { registerSubmissionRoutes };
@@ -0,0 +1,79 @@
+const { authorizeMutation } = require('../policy');
+const { roleOf } = require('../accounts');
+const { validateSeries, newSeries, expandSeries, occurrencesOf, updateSeries, cancelSeries } = require('../taskSeries');
+
+// ---------------- RECURRING TASK ROUTES ----------------
+
+function registerTaskSeriesRoutes(app, { store, files, auth, notifier }) {
+    // Create a series: { grade, classLetter, subject, description, rule, startDate?, endDate? }
+    app.post('/api/task-series', auth.requireTeacher, async (req, res) => {
+        const { fields, error } = validateSeries(req.body || {});
+        if (error) return res.status(400).json({ error });
+
+        const series = newSeries(fields, req.user);
+        try {
+            await store.addToCollection('taskSeries', series);
+            const created = await expandSeries(store, series);
+            // One email for the whole series; its occurrences send none
+            notifier.notify('series', series).catch(() => {});
+            res.json({ message: `Recurring task added! ${created} upcoming task(s) created.`, series });
+        } catch (e) {
+            console.error("Creating task series failed:", e);
+            res.status(500).json({ error: 'Failed to add recurring task due to a server error.' });
+        }
+    });
+
+    // The signed-in teacher's series (admins see all)
+    app.get('/api/task-series', auth.requireTeacher, async (req, res) => {
+        try {
+            const seriesList = await store.getCollectionData('taskSeries');
+            const visible = roleOf(req.user) === 'admin'
+                ? seriesList
+                : seriesList.filter(series => String(series.teacher.id) === String(req.user.id));
+            res.json(visible);
+        } catch (e) {
+            console.error("Loading task series failed:", e);
+            res.status(500).json({ error: 'Failed to load recurring tasks' });
+        }
+    });
+
+    app.get('/api/task-series/:id', auth.requireTeacher, authorizeMutation(store, 'taskSeries', { action: 'view' }), async (req, res) => {
+        try {
+            res.json({ series: req.record, occurrences: await occurrencesOf(store, req.record.id) });
+        } catch (e) {
+            console.error("Loading task series occurrences failed:", e);
+            res.status(500).json({ error: 'Failed to load recurring task' });
+        }
+    });
+
+    // Edit the whole series: any of the creation fields. Upcoming occurrences
+    // follow; ones edited on their own and past ones are left alone.
+    app.patch('/api/task-series/:id', auth.requireTeacher, authorizeMutation(store, 'taskSeries'), async (req, res) => {
+        const series = req.record;
+        if (series.cancelledAt) return res.status(400).json({ error: 'This recurring task was cancelled' });
+
+        const { fields, error } = validateSeries({ ...series, ...req.body }, { isNew: false });
+        if (error) return res.status(400).json({ error });
+
+        try {
+            const updated = await updateSeries(store, files, series, fields);
+            res.json({ message: 'Recurring task updated!', series: updated });
+        } catch (e) {
+            console.error("Updating task series failed:", e);
+            res.status(500).json({ error: 'Failed to update recurring task due to a server error.' });
+        }
+    });
+
+    // Cancel the whole series
+    app.delete('/api/task-series/:id', auth.requireTeacher, authorizeMutation(store, 'taskSeries'), async (req, res) => {
+        try {
+            const removed = await cancelSeries(store, files, req.record);
+            res.json({ message: `Recurring task cancelled. ${removed} upcoming task(s) removed.` });
+        } catch (e) {
+            console.error("Cancelling task series failed:", e);
+            res.status(500).json({ error: 'Failed to cancel recurring task due to a server error.' });
+        }
+    });
+}
+
+module.exports = { registerTaskSeriesRoutes };
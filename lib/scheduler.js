@@ -0,0 +1,167 @@
+const os = require('os');
+const crypto = require('crypto');
+
+// ---------------- JOB SCHEDULER ----------------
+// Runs background jobs (lib/jobs.js) inside the server process. A job is
+//
+//   { name, description, intervalMs, dryRun?, run({ now, dryRun }) -> result summary }
+//
+// Jobs with `dryRun: true` can be run as a dry run, which reports what the
+// job would do without doing it; it is recorded but leaves the schedule alone.
+//
+// Its state is kept in the 'jobs' collection (one record per job name:
+// lastRunAt, lastStatus, nextRunAt, ...) so a restart doesn't run everything
+// again, and every run is recorded in 'jobRuns' with its result or error.
+//
+// When several instances share a store, a job only runs where its lease could
+// be taken; the state is re-read under the lease, so an instance that was a
+// moment late sees the job is no longer due. Drivers several processes can
+// share implement acquireLease/releaseLease atomically; the others get an
+// in-process lease. A lease lasts leaseMs and is renewed while the job runs,
+// so a long run doesn't lose it to another instance halfway through.
+
+const TICK_MS = 60 * 1000;
+const LEASE_MS = 10 * 60 * 1000;
+const RUNS_KEPT_PER_JOB = 50;
+
+function createLocalLeases() {
+    const leases = new Map();
+    return {
+        async acquireLease(name, owner, ttlMs) {
+            const lease = leases.get(name);
+            if (lease && lease.owner !== owner && lease.expiresAt > Date.now()) return false;
+            leases.set(name, { owner, expiresAt: Date.now() + ttlMs });
+            return true;
+        },
+        async releaseLease(name, owner) {
+            if (leases.get(name) && leases.get(name).owner === owner) leases.delete(name);
+        }
+    };
+}
+
+function createScheduler({ store, jobs, tickMs = TICK_MS, leaseMs = LEASE_MS }) {
+    const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    const leases = store.acquireLease ? store : createLocalLeases();
+    const byName = new Map(jobs.map(job => [job.name, job]));
+
+    let timer = null;
+    let firstTick = null;
+    let ticking = Promise.resolve();
+
+    const isDue = (state, now) => !state || !state.nextRunAt || Date.parse(state.nextRunAt) <= now;
+
+    async function recordRun(run) {
+        await store.addToCollection('jobRuns', run);
+        const runs = (await store.getCollectionData('jobRuns'))
+            .filter(r => r.job === run.job)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        for (const old of runs.slice(RUNS_KEPT_PER_JOB)) await store.deleteCollectionItem('jobRuns', old.id);
+    }
+
+    // Resolves to the run record, or { skipped } when another instance holds
+    // the job or (unless forced) it is not due yet.
+    async function runJob(name, { force = false, dryRun = false } = {}) {
+        const job = byName.get(name);
+        if (!job) throw new Error(`Unknown job: ${name}`);
+        if (dryRun && !job.dryRun) throw new Error(`Job ${name} has no dry run`);
+        const leaseName = `job:${name}`;
+        if (!await leases.acquireLease(leaseName, instanceId, leaseMs)) return { skipped: 'running elsewhere' };
+
+        // Taking a lease we hold extends it
+        const renewal = setInterval(() => {
+            leases.acquireLease(leaseName, instanceId, leaseMs)
+                .then(renewed => { if (!renewed) console.warn(`Lost the lease for ${name} while it ran`); })
+                .catch(e => console.warn(`Could not renew lease for ${name}:`, e.message));
+        }, leaseMs / 3);
+        renewal.unref();
+
+        try {
+            const state = await store.getCollectionItem('jobs', name);
+            const startedAt = new Date();
+            if (!force && !isDue(state, startedAt.getTime())) return { skipped: 'not due' };
+
+            const run = { id: crypto.randomUUID(), job: name, instance: instanceId, startedAt: startedAt.toISOString(), ...(dryRun && { dryRun }) };
+            try {
+                run.result = (await job.run({ now: startedAt, dryRun })) || {};
+                run.status = 'ok';
+            } catch (e) {
+                console.error(`Job ${name} failed:`, e);
+                run.status = 'failed';
+                run.error = e.message;
+            }
+            const finishedAt = new Date();
+            run.finishedAt = finishedAt.toISOString();
+            run.durationMs = finishedAt - startedAt;
+            await recordRun(run);
+            if (dryRun) return run;
+
+            const nextState = {
+                lastRunAt: run.startedAt,
+                lastStatus: run.status,
+                lastRunId: run.id,
+                nextRunAt: new Date(startedAt.getTime() + job.intervalMs).toISOString()
+            };
+            if (state) await store.updateCollectionItem('jobs', name, nextState);
+            else await store.addToCollection('jobs', { id: name, ...nextState });
+            return run;
+        } finally {
+            clearInterval(renewal);
+            await leases.releaseLease(leaseName, instanceId).catch(e => console.warn(`Could not release lease for ${name}:`, e.message));
+        }
+    }
+
+    // Runs every due job, one after the other
+    function tick() {
+        ticking = ticking.then(async () => {
+            for (const job of jobs) {
+                try {
+                    const state = await store.getCollectionItem('jobs', job.name);
+                    if (isDue(state, Date.now())) await runJob(job.name);
+                } catch (e) {
+                    console.error(`Scheduling ${job.name} failed:`, e);
+                }
+            }
+        });
+        return ticking;
+    }
+
+    // Jobs with their persisted state, for the admin endpoint
+    async function list() {
+        return Promise.all(jobs.map(async job => {
+            const state = (await store.getCollectionItem('jobs', job.name)) || {};
+            return {
+                name: job.name,
+                description: job.description,
+                intervalMs: job.intervalMs,
+                dryRun: !!job.dryRun,
+                lastRunAt: state.lastRunAt || null,
+                lastStatus: state.lastStatus || null,
+                nextRunAt: state.nextRunAt || null
+            };
+        }));
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(tick, tickMs);
+        timer.unref();
+        // First check shortly after start-up, once the app is ready
+        firstTick = setTimeout(tick, 1000);
+        firstTick.unref();
+    }
+
+    async function stop() {
+        clearInterval(timer);
+        clearTimeout(firstTick);
+        timer = null;
+        await ticking;
+    }
+
+    return {
+        instanceId, runJob, tick, list, start, stop,
+        has: name => byName.has(name),
+        hasDryRun: name => byName.has(name) && !!byName.get(name).dryRun
+    };
+}
+
+module.exports = { createScheduler };
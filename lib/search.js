@@ -0,0 +1,223 @@
+const { isVisibleToClass } = require('./classFilter');
+const { withState } = require('./announcements');
+
+// ---------------- SEARCH INDEX ----------------
+// In-process full-text index over tasks (subject, description), announcements
+// (message) and uploads (originalName). It is built from the store on the
+// first search and then kept up to date from the event bus (lib/events.js),
+// which sees every write whichever route or job made it. The bus is per
+// process, so with several instances the index is also rebuilt when it is
+// older than REBUILD_MS.
+//
+// Every query word must match a word of the item, exactly or as the start of
+// one ("work" finds "worksheet", for less). Results are ranked BM25-style,
+// with subject/file-name matches weighted above body text, then newest first.
+
+const REBUILD_MS = 10 * 60 * 1000;
+const PREFIX_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 160;
+// BM25 tuning: term frequency saturation and document length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+const TYPES = {
+    task: { collection: 'tasks', fields: { subject: 3, description: 1 }, title: task => task.subject, body: task => task.description },
+    announcement: { collection: 'announcements', fields: { message: 1 }, title: a => a.message, body: a => a.message },
+    upload: { collection: 'uploads', fields: { originalName: 3 }, title: upload => upload.originalName, body: () => '' }
+};
+
+// Lower-case words without accents; file names split on punctuation too
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+const docKey = (type, id) => `${type}:${id}`;
+
+// A grade without a class: anything posted to any class of that grade
+function reachesGrade(item, grade) {
+    const targets = Array.isArray(item.targets) ? item.targets : [item];
+    return targets.some(target => target.grade === String(grade) || target.grade === 'all');
+}
+
+function reaches(item, grade, classLetter) {
+    return classLetter ? isVisibleToClass(item, grade, classLetter) : reachesGrade(item, grade);
+}
+const ownerOf = item => String((item.teacher && item.teacher.id) || item.teacherId || '');
+
+// When an item was posted; the oldest records only have their Date.now() ID
+function postedAt(item) {
+    const time = Date.parse(item.publishAt || item.createdAt || item.uploadedAt);
+    if (!Number.isNaN(time)) return time;
+    return /^\d{13}$/.test(String(item.id)) ? Number(item.id) : 0;
+}
+
+function snippet(text, terms) {
+    const body = String(text || '').replace(/\s+/g, ' ').trim();
+    if (body.length <= SNIPPET_LENGTH) return body;
+    const lower = body.toLowerCase();
+    const hit = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0), body.length);
+    const start = hit === body.length ? 0 : Math.max(0, hit - SNIPPET_LENGTH / 4);
+    return `${start ? '…' : ''}${body.slice(start, start + SNIPPET_LENGTH).trim()}…`;
+}
+
+function createSearchIndex({ store, events }) {
+    const docs = new Map();      // docKey -> { type, item, length, terms: Map(term -> weighted count) }
+    const postings = new Map();  // term -> Set(docKey)
+    let totalLength = 0;
+    let builtAt = 0;
+    let building = null;
+    let pending = null;          // events that arrive while building
+
+    function remove(key) {
+        const doc = docs.get(key);
+        if (!doc) return;
+        for (const term of doc.terms.keys()) {
+            const keys = postings.get(term);
+            keys.delete(key);
+            if (!keys.size) postings.delete(term);
+        }
+        totalLength -= doc.length;
+        docs.delete(key);
+    }
+
+    function add(type, record) {
+        const { storageKey: _, ...item } = record;
+        const key = docKey(type, item.id);
+        remove(key);
+
+        const terms = new Map();
+        let length = 0;
+        for (const [field, weight] of Object.entries(TYPES[type].fields)) {
+            for (const term of tokenize(item[field])) {
+                terms.set(term, (terms.get(term) || 0) + weight);
+                length++;
+            }
+        }
+        for (const term of terms.keys()) {
+            if (!postings.has(term)) postings.set(term, new Set());
+            postings.get(term).add(key);
+        }
+        docs.set(key, { type, item, length, terms });
+        totalLength += length;
+    }
+
+    function apply(event) {
+        if (!TYPES[event.type]) return;
+        if (event.action === 'deleted') remove(docKey(event.type, event.data.id));
+        else add(event.type, event.data);
+    }
+
+    events.subscribe(event => {
+        if (pending) pending.push(event);
+        else if (builtAt) apply(event);
+    });
+
+    async function rebuild() {
+        pending = [];
+        try {
+            const collections = await Promise.all(Object.values(TYPES).map(({ collection }) => store.getCollectionData(collection)));
+            docs.clear();
+            postings.clear();
+            totalLength = 0;
+            Object.keys(TYPES).forEach((type, i) => collections[i].forEach(item => add(type, item)));
+            pending.forEach(apply);
+            builtAt = Date.now();
+        } finally {
+            pending = null;
+        }
+    }
+
+    function ensureFresh() {
+        if (builtAt && Date.now() - builtAt < REBUILD_MS) return Promise.resolve();
+        if (!building) building = rebuild().finally(() => { building = null; });
+        return building;
+    }
+
+    // Query words matched against the index: the exact word, plus longer
+    // words it starts with at a lower weight.
+    function expand(word) {
+        const matches = new Map();
+        if (postings.has(word)) matches.set(word, 1);
+        for (const term of postings.keys()) {
+            if (term !== word && term.startsWith(word)) matches.set(term, PREFIX_WEIGHT);
+        }
+        return matches;
+    }
+
+    function score(doc, expanded) {
+        const averageLength = docs.size ? totalLength / docs.size : 1;
+        let total = 0;
+        for (const matches of expanded) {
+            let best = 0;
+            for (const [term, weight] of matches) {
+                const count = doc.terms.get(term);
+                if (!count) continue;
+                const documents = postings.get(term).size;
+                const idf = Math.log(1 + (docs.size - documents + 0.5) / (documents + 0.5));
+                const tf = (count * (K1 + 1)) / (count + K1 * (1 - B + B * (doc.length / averageLength)));
+                best = Math.max(best, weight * idf * tf);
+            }
+            if (!best) return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    // filters: { types, grade, classLetter, teacherId, from, to (ms), includeUnpublished }
+    async function search(query, filters = {}, { limit = 20, offset = 0 } = {}) {
+        await ensureFresh();
+        const words = [...new Set(tokenize(query))];
+        const expanded = words.map(expand);
+        if (expanded.some(matches => !matches.size)) return { total: 0, results: [] };
+
+        // Candidates: items matching the first word (any item without a query)
+        let candidates = docs.keys();
+        if (expanded.length) {
+            const keys = new Set();
+            for (const term of expanded[0].keys()) postings.get(term).forEach(key => keys.add(key));
+            candidates = keys;
+        }
+
+        const now = Date.now();
+        const hits = [];
+        for (const key of candidates) {
+            const doc = docs.get(key);
+            const { item, type } = doc;
+            if (filters.types && !filters.types.includes(type)) continue;
+            if (filters.teacherId && ownerOf(item) !== String(filters.teacherId)) continue;
+            if (filters.grade && !reaches(item, filters.grade, filters.classLetter)) continue;
+            const date = postedAt(item);
+            if (filters.from && date < filters.from) continue;
+            if (filters.to && date > filters.to) continue;
+            const shown = type === 'announcement' ? withState(item, now) : item;
+            if (type === 'announcement' && !filters.includeUnpublished && shown.state !== 'published') continue;
+
+            const relevance = expanded.length ? score(doc, expanded) : 0;
+            if (expanded.length && !relevance) continue;
+            hits.push({ type, item: shown, relevance, date });
+        }
+
+        hits.sort((a, b) => (b.relevance - a.relevance) || (b.date - a.date));
+        return {
+            total: hits.length,
+            results: hits.slice(offset, offset + limit).map(({ type, item, relevance, date }) => ({
+                type,
+                id: item.id,
+                score: Math.round(relevance * 1000) / 1000,
+                title: String(TYPES[type].title(item) || '').slice(0, 100),
+                snippet: snippet(TYPES[type].body(item), words),
+                date: date ? new Date(date).toISOString() : null,
+                item
+            }))
+        };
+    }
+
+    return { search, rebuild, size: () => docs.size };
+}
+
+module.exports = { createSearchIndex, tokenize, SEARCH_TYPES: Object.keys(TYPES) };
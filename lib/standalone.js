@@ -0,0 +1,54 @@
+// ---------------- STANDALONE SERVER ----------------
+// Used by `npm start` (node server.js). Vercel imports the app instead and
+// never gets here.
+
+function startServer({ app, store, config }) {
+    const server = app.listen(config.port, config.host, () => {
+        const { port } = server.address();
+        console.log(`🚀 School portal listening on http://localhost:${port}`);
+    });
+
+    let shuttingDown = false;
+
+    // Stops accepting connections, lets open requests finish (up to the
+    // timeout), then flushes and closes the store so no write is lost.
+    async function shutdown(signal) {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`${signal} received, shutting down...`);
+
+        const forceExit = setTimeout(() => {
+            console.error('Shutdown timed out; closing remaining connections.');
+            server.closeAllConnections();
+        }, config.shutdownTimeoutMs);
+        forceExit.unref();
+
+        // Event streams never finish on their own
+        if (app.locals.events) app.locals.events.close();
+        // Lets a running job and messages already being sent finish
+        if (app.locals.scheduler) await app.locals.scheduler.stop().catch(e => console.error('Scheduler shutdown failed:', e));
+        if (app.locals.notifier) await app.locals.notifier.stop().catch(e => console.error('Notifier shutdown failed:', e));
+
+        await new Promise(resolve => {
+            server.close(resolve);
+            server.closeIdleConnections();
+        });
+
+        try {
+            await store.close();
+            console.log('Pending writes flushed. Bye!');
+            process.exitCode = 0;
+        } catch (e) {
+            console.error('Failed to flush data store on shutdown:', e);
+            process.exitCode = 1;
+        }
+        process.exit();
+    }
+
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+    return server;
+}
+
+module.exports = { startServer };
@@ -0,0 +1,186 @@
+const { isVisibleToClass } = require('../classFilter');
+
+// ---------------- FIRESTORE STORE ----------------
+// CRITICAL: This requires the 'firebase-admin' npm package and credentials
+// that applicationDefault() can find (e.g. the Vercel environment variable
+// 'FIREBASE_CREDENTIALS'/'GOOGLE_APPLICATION_CREDENTIALS'). Throws if the SDK
+// cannot be initialised so the caller can fall back to another driver.
+
+const SCHOOL_DOC_PATH = 'settings/school';
+const GRPC_NOT_FOUND = 5;
+
+// Firestore keeps teachers in 'users'; every other collection keeps its name.
+const COLLECTION_PATHS = { teachers: 'users' };
+const collectionPath = name => COLLECTION_PATHS[name] || name;
+
+function createFirestoreStore({ defaults }) {
+    const { initializeApp, applicationDefault } = require('firebase-admin/app');
+    const { getFirestore } = require('firebase-admin/firestore');
+    const { getStorage } = require('firebase-admin/storage');
+
+    initializeApp({
+        credential: applicationDefault()
+    });
+    const db = getFirestore();
+    // Initialize the default bucket for storage
+    const storage = getStorage().bucket();
+
+    // Helper for School Info
+    async function getSchoolData() {
+        const docRef = db.doc(SCHOOL_DOC_PATH);
+        const doc = await docRef.get();
+        if (doc.exists) return doc.data();
+        await docRef.set(defaults.school); // Initialize if missing
+        return defaults.school;
+    }
+
+    async function updateSchoolData(updates) {
+        await db.doc(SCHOOL_DOC_PATH).set(updates, { merge: true });
+        return await getSchoolData();
+    }
+
+    // Helper for Teachers (Users Collection)
+    async function getTeacherByEmail(email) {
+        // Note: We use .data() here because the ID is already part of the stored object
+        const snapshot = await db.collection(collectionPath('teachers')).where('email', '==', email).limit(1).get();
+        return snapshot.empty ? null : { ...snapshot.docs[0].data(), id: snapshot.docs[0].id };
+    }
+
+    async function addTeacher(newTeacher) {
+        await db.collection(collectionPath('teachers')).doc(newTeacher.id).set(newTeacher);
+    }
+
+    // Helper for generic read of a collection (Tasks, Announcements, Uploads)
+    async function getCollectionData(collectionName) {
+        const snapshot = await db.collection(collectionPath(collectionName)).get();
+        return snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+    }
+
+    async function getCollectionItem(collectionName, itemId) {
+        const doc = await db.collection(collectionPath(collectionName)).doc(itemId).get();
+        return doc.exists ? { ...doc.data(), id: doc.id } : undefined;
+    }
+
+    // Firestore cannot OR the 'all' targets with the class in one query, so filter here.
+    async function getStudentCollectionData(collectionName, grade, classLetter) {
+        const items = await getCollectionData(collectionName);
+        return items.filter(item => isVisibleToClass(item, grade, classLetter));
+    }
+
+    // Helper for generic add to a collection
+    async function addToCollection(collectionName, newItem) {
+        await db.collection(collectionPath(collectionName)).doc(newItem.id).set(newItem);
+    }
+
+    // Helper for generic update in a collection. update() rejects with
+    // NOT_FOUND for a missing document; like the other drivers that is a no-op.
+    async function updateCollectionItem(collectionName, itemId, updates) {
+        try {
+            await db.collection(collectionPath(collectionName)).doc(itemId).update(updates);
+        } catch (e) {
+            if (e.code !== GRPC_NOT_FOUND) throw e;
+        }
+    }
+
+    // Helper for generic delete from a collection (includes error check)
+    async function deleteCollectionItem(collectionName, itemId) {
+        try {
+            await db.collection(collectionPath(collectionName)).doc(itemId).delete();
+        } catch (e) {
+            console.error(`Firestore Admin deletion failed for ${collectionName}/${itemId}:`, e);
+            throw new Error("Persistence error during deletion.");
+        }
+    }
+
+    // ---------------- Leases (lib/scheduler.js) ----------------
+    // A transaction on 'leases/<name>' so only one instance holds it at a time.
+
+    async function acquireLease(name, owner, ttlMs) {
+        const ref = db.collection('leases').doc(name);
+        return db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            const now = Date.now();
+            if (doc.exists && doc.data().owner !== owner && doc.data().expiresAt > now) return false;
+            transaction.set(ref, { owner, expiresAt: now + ttlMs });
+            return true;
+        });
+    }
+
+    async function releaseLease(name, owner) {
+        const ref = db.collection('leases').doc(name);
+        await db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            if (doc.exists && doc.data().owner === owner) transaction.delete(ref);
+        });
+    }
+
+    // ---------------- Firebase Storage ----------------
+
+    // Saves a file to the bucket and returns a long-lived signed URL.
+    async function saveFile(folder, file) {
+        const filename = `${folder}/${Date.now()}-${file.originalname.replace(/ /g, '_')}`;
+        const ref = storage.file(filename);
+
+        await ref.save(file.buffer, {
+            metadata: { contentType: file.mimetype },
+            public: true,
+            resumable: false
+        });
+
+        const [url] = await ref.getSignedUrl({
+            action: 'read',
+            // The expires date is intentionally far in the future to act like a permanent link
+            expires: '03-09-2491',
+        });
+        return url;
+    }
+
+    // Like saveFile, but streams a file from disk instead of holding it in memory.
+    async function saveLocalFile(folder, localPath, { originalName, mimeType }) {
+        const filename = `${folder}/${Date.now()}-${originalName.replace(/ /g, '_')}`;
+        const [ref] = await storage.upload(localPath, {
+            destination: filename,
+            metadata: { contentType: mimeType },
+            public: true,
+            resumable: true
+        });
+        const [url] = await ref.getSignedUrl({ action: 'read', expires: '03-09-2491' });
+        return url;
+    }
+
+    async function deleteFile(fileUrl) {
+        const urlPath = new URL(fileUrl).pathname;
+        // Extracts the path after /b/bucketname/o/ (e.g., 'uploads%2Ftimestamp-file.pdf')
+        const filename = urlPath.substring(urlPath.lastIndexOf('/o/') + 3).replace(/%2F/g, '/');
+        try {
+            await storage.file(decodeURIComponent(filename)).delete();
+        } catch (error) {
+            // Ignore 'File not found' (404) errors as the metadata is the priority
+            if (error.code !== 404) throw error;
+        }
+    }
+
+    return {
+        name: 'firestore',
+        isPersistent: true,
+        getSchoolData,
+        updateSchoolData,
+        getTeacherByEmail,
+        addTeacher,
+        getCollectionData,
+        getCollectionItem,
+        getStudentCollectionData,
+        addToCollection,
+        updateCollectionItem,
+        deleteCollectionItem,
+        saveFile,
+        saveLocalFile,
+        deleteFile,
+        acquireLease,
+        releaseLease,
+        flush: async () => {},
+        close: async () => {}
+    };
+}
+
+module.exports = { createFirestoreStore };
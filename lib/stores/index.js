@@ -0,0 +1,96 @@
+const fs = require('fs');
+const { createMemoryStore } = require('./memory');
+const { createJsonFileStore } = require('./jsonFile');
+
+// ---------------- STORAGE DRIVERS ----------------
+// Every driver is a factory returning an object with these async methods.
+// Records are plain objects with a string `id`; collection names are the
+// logical ones ('teachers', 'tasks', 'announcements', 'uploads', ...), and a
+// driver maps them to its own tables/collections.
+//
+//   getSchoolData()                                          -> school settings object
+//   updateSchoolData(updates)                                -> merged school settings
+//   getTeacherByEmail(email)                                 -> teacher or null/undefined
+//   addTeacher(teacher)
+//   getCollectionData(name)                                  -> array of records
+//   getCollectionItem(name, id)                              -> record or undefined
+//   getStudentCollectionData(name, grade, classLetter)       -> records visible to that class
+//   addToCollection(name, item)
+//   updateCollectionItem(name, id, updates)                  -> shallow merge, no-op if missing
+//   deleteCollectionItem(name, id)                           -> no-op if missing
+//   flush()                                                  -> resolves when pending writes are durable
+//   close()                                                  -> flush and release resources
+//
+// Optional: saveFile(folder, multerFile) -> url, saveLocalFile(folder, path,
+// { originalName, mimeType }) -> url and deleteFile(url) for drivers that bring
+// their own file storage (Firestore uses Firebase Storage).
+// Optional: acquireLease(name, owner, ttlMs) -> true when taken (the owner
+// taking it again extends it) and releaseLease(name, owner) for drivers that
+// several processes can share (lib/scheduler.js keeps leases in memory
+// otherwise, which only hold within one process).
+// Drivers also expose `name` and `isPersistent`.
+
+const REQUIRED_METHODS = [
+    'getSchoolData', 'updateSchoolData', 'getTeacherByEmail', 'addTeacher',
+    'getCollectionData', 'getCollectionItem', 'getStudentCollectionData',
+    'addToCollection', 'updateCollectionItem', 'deleteCollectionItem', 'flush', 'close'
+];
+
+// Default Data Structure (seeds a fresh store and fills in missing collections)
+const defaultData = {
+    // No built-in accounts: the first admin comes from ADMIN_EMAIL/ADMIN_PASSWORD
+    teachers: [],
+    tasks: [],
+    announcements: [],
+    uploads: [],
+    school: { schoolName: "Trio Primary School", schoolLogo: "/logos/default.png" }
+};
+
+const cloneDefaults = () => JSON.parse(JSON.stringify(defaultData));
+
+const drivers = {
+    memory: () => createMemoryStore({ data: cloneDefaults() }),
+    json: config => createJsonFileStore({ file: config.dbFile, seedFile: config.legacyDbFile, defaults: defaultData }),
+    sqlite: config => {
+        const { createSqliteStore } = require('./sqlite');
+        const importFrom = [config.dbFile, config.legacyDbFile].find(file => file && fs.existsSync(file));
+        return createSqliteStore({ file: config.sqliteFile, importFrom, defaults: defaultData });
+    },
+    firestore: () => {
+        const { createFirestoreStore } = require('./firestore');
+        return createFirestoreStore({ defaults: defaultData });
+    }
+};
+
+function assertStore(store) {
+    const missing = REQUIRED_METHODS.filter(method => typeof store[method] !== 'function');
+    if (missing.length) throw new Error(`Storage driver '${store.name}' is missing: ${missing.join(', ')}`);
+    return store;
+}
+
+// Builds the driver named by config.storageDriver. Firestore keeps its old
+// behaviour of falling back to memory when the Admin SDK cannot initialise.
+function createStore(config) {
+    const driver = drivers[config.storageDriver];
+    if (!driver) {
+        throw new Error(`Unknown STORAGE_DRIVER '${config.storageDriver}'. Expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    let store;
+    try {
+        store = driver(config);
+    } catch (e) {
+        if (config.storageDriver !== 'firestore') throw e;
+        console.warn("❌ Firebase Admin initialization failed. Falling back to IN-MEMORY data (data will not persist).");
+        store = drivers.memory(config);
+    }
+
+    if (store.isPersistent) {
+        console.log(`✅ Using '${store.name}' storage driver. Data will persist.`);
+    } else {
+        console.log("⚠️ Running in IN-MEMORY mode. Data will NOT persist.");
+    }
+    return assertStore(store);
+}
+
+module.exports = { createStore, assertStore, drivers, defaultData };
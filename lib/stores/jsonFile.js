@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+// ---------------- JSON FILE STORE ----------------
+// Keeps the whole data object in a single JSON file (data/db.json by default).
+// Writes go to a temp file that is fsync'd and then renamed over the real
+// file, so a crash mid-write leaves either the old or the new copy on disk,
+// never a half-written one. Saves are serialised through a single queue and
+// coalesced: while one write is in flight, further saves share a single
+// follow-up write of the latest snapshot once the current write finishes.
+
+function createJsonFile(filePath, defaults, seedFile) {
+    const tmpPath = `${filePath}.tmp`;
+    let writing = null;   // promise of the write currently in flight
+    let queued = null;    // promise of the follow-up write, shared by every caller waiting on it
+    let latest = null;    // data object to serialise on the next write
+
+    // Reads the file, filling in any collections missing from older files.
+    // A file that exists but cannot be parsed is an error: we never silently
+    // replace real data with the defaults.
+    function load() {
+        // A leftover temp file means a previous process died before the rename;
+        // the real file is still intact, so the partial copy is discarded.
+        if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+
+        // A new file starts as a copy of `seedFile` when there is one (the
+        // db.json older installs kept in the repository root), else the defaults.
+        const source = fs.existsSync(filePath) ? filePath : seedFile && fs.existsSync(seedFile) ? seedFile : null;
+        if (!source) {
+            const initial = JSON.parse(JSON.stringify(defaults));
+            writeSync(initial);
+            return initial;
+        }
+
+        const raw = fs.readFileSync(source, 'utf8');
+        let parsed;
+        try {
+            parsed = raw.trim() ? JSON.parse(raw) : {};
+        } catch (e) {
+            throw new Error(`Data file ${source} is not valid JSON: ${e.message}`);
+        }
+
+        for (const [key, value] of Object.entries(defaults)) {
+            if (parsed[key] === undefined) parsed[key] = JSON.parse(JSON.stringify(value));
+        }
+        if (source !== filePath) {
+            writeSync(parsed);
+            console.log(`Copied ${source} to ${filePath}.`);
+        }
+        return parsed;
+    }
+
+    function writeSync(data) {
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    async function writeAtomic(data) {
+        const handle = await fs.promises.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    // Resolves once a write that includes the current state of `data` is on disk.
+    function save(data) {
+        latest = data;
+        if (!writing) {
+            writing = writeAtomic(latest).finally(() => { writing = null; });
+            return writing;
+        }
+        if (!queued) {
+            queued = writing.catch(() => {}).then(() => {
+                queued = null;
+                return save(latest);
+            });
+        }
+        return queued;
+    }
+
+    // Waits for any pending write (used on shutdown).
+    async function flush() {
+        while (writing || queued) await (queued || writing).catch(() => {});
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    return { load, save, flush, filePath };
+}
+
+// Storage driver: the memory store over the file's contents, saving after each change.
+function createJsonFileStore({ file, seedFile, defaults }) {
+    const jsonFile = createJsonFile(file, defaults, seedFile);
+    const data = jsonFile.load();
+    const store = createMemoryStore({
+        data,
+        persist: () => jsonFile.save(data),
+        flush: jsonFile.flush
+    });
+    return { ...store, name: 'json', isPersistent: true };
+}
+
+module.exports = { createJsonFile, createJsonFileStore };
@@ -0,0 +1,87 @@
+const { isVisibleToClass } = require('../classFilter');
+
+// ---------------- MEMORY STORE ----------------
+// Operates directly on a plain `data` object ({ school, teachers, tasks, ... }).
+// On its own nothing survives a restart; the JSON file driver reuses it and
+// passes a `persist` callback that writes the object to disk after each change.
+
+function createMemoryStore({ data, persist = async () => {}, flush = async () => {} }) {
+    const list = name => data[name] || (data[name] = []);
+
+    // Helper for School Info
+    async function getSchoolData() {
+        return data.school;
+    }
+
+    async function updateSchoolData(updates) {
+        Object.assign(data.school, updates);
+        await persist();
+        return data.school;
+    }
+
+    // Helper for Teachers (Users Collection)
+    async function getTeacherByEmail(email) {
+        return list('teachers').find(t => t.email === email);
+    }
+
+    async function addTeacher(newTeacher) {
+        list('teachers').push(newTeacher);
+        await persist();
+    }
+
+    // Helper for generic read of a collection (Tasks, Announcements, Uploads)
+    async function getCollectionData(collectionName) {
+        return list(collectionName);
+    }
+
+    async function getCollectionItem(collectionName, itemId) {
+        return list(collectionName).find(t => t.id === itemId);
+    }
+
+    // Helper for reading the items one grade/class can see
+    async function getStudentCollectionData(collectionName, grade, classLetter) {
+        return list(collectionName).filter(item => isVisibleToClass(item, grade, classLetter));
+    }
+
+    // Helper for generic add to a collection
+    async function addToCollection(collectionName, newItem) {
+        list(collectionName).push(newItem);
+        await persist();
+    }
+
+    // Helper for generic update in a collection
+    async function updateCollectionItem(collectionName, itemId, updates) {
+        const item = list(collectionName).find(t => t.id === itemId);
+        if (!item) return;
+        Object.assign(item, updates);
+        await persist();
+    }
+
+    // Helper for generic delete from a collection
+    async function deleteCollectionItem(collectionName, itemId) {
+        const items = list(collectionName);
+        const index = items.findIndex(t => t.id === itemId);
+        if (index === -1) return;
+        items.splice(index, 1);
+        await persist();
+    }
+
+    return {
+        name: 'memory',
+        isPersistent: false,
+        getSchoolData,
+        updateSchoolData,
+        getTeacherByEmail,
+        addTeacher,
+        getCollectionData,
+        getCollectionItem,
+        getStudentCollectionData,
+        addToCollection,
+        updateCollectionItem,
+        deleteCollectionItem,
+        flush,
+        close: flush
+    };
+}
+
+module.exports = { createMemoryStore };
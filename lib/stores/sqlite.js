@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { isVisibleToClass } = require('../classFilter');
+
+// ---------------- SQLITE STORE ----------------
+// Embedded database alternative to the JSON file store. Every collection is a
+// table holding the full record as JSON in `data`, plus a few columns copied
+// out of the record so the student filters can use indexes instead of loading
+// the whole collection:
+//   grade        - as stored on the record ('all' included)
+//   class_letter - upper-cased so the lookup is case-insensitive like the routes
+//   teacher_id   - teacher.id (tasks/announcements) or teacherId (uploads)
+//
+// Items posted to several classes have grade 'multi' (lib/targets.js); the
+// class lookup also returns those and filters them in JS.
+//
+// better-sqlite3 is an optional dependency, only required when this driver
+// is selected.
+
+// Every collection except teachers shares the same "document table" layout.
+// Adding a collection = a migration calling createDocumentTable + an entry here.
+const DOCUMENT_COLLECTIONS = ['tasks', 'announcements', 'uploads', 'sessions', 'uploadSessions', 'students', 'completions', 'classes', 'submissions', 'taskRevisions', 'taskSeries', 'contacts', 'notifications', 'jobs', 'jobRuns', 'announcementReads'];
+const COLLECTIONS = ['teachers', ...DOCUMENT_COLLECTIONS];
+
+function createDocumentTable(db, name) {
+    db.exec(`
+        CREATE TABLE ${name} (
+            id           TEXT PRIMARY KEY,
+            grade        TEXT,
+            class_letter TEXT,
+            teacher_id   TEXT,
+            data         TEXT NOT NULL
+        );
+        CREATE INDEX idx_${name}_grade_class ON ${name} (grade, class_letter);
+        CREATE INDEX idx_${name}_teacher ON ${name} (teacher_id);
+    `);
+}
+
+// Versioned schema migrations. Append new entries; never edit an applied one.
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        up(db) {
+            db.exec(`
+                CREATE TABLE settings (
+                    key   TEXT PRIMARY KEY,
+                    value TEXT NOT NULL
+                );
+                CREATE TABLE teachers (
+                    id    TEXT PRIMARY KEY,
+                    email TEXT NOT NULL UNIQUE,
+                    data  TEXT NOT NULL
+                );
+            `);
+            for (const name of ['tasks', 'announcements', 'uploads']) {
+                db.exec(`
+                    CREATE TABLE ${name} (
+                        id           TEXT PRIMARY KEY,
+                        grade        TEXT,
+                        class_letter TEXT,
+                        teacher_id   TEXT,
+                        data         TEXT NOT NULL
+                    );
+                `);
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'grade/class and teacher indexes',
+        up(db) {
+            for (const name of ['tasks', 'announcements', 'uploads']) {
+                db.exec(`
+                    CREATE INDEX idx_${name}_grade_class ON ${name} (grade, class_letter);
+                    CREATE INDEX idx_${name}_teacher ON ${name} (teacher_id);
+                `);
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'sessions',
+        up(db) {
+            createDocumentTable(db, 'sessions');
+        }
+    },
+    {
+        version: 4,
+        name: 'chunked upload sessions',
+        up(db) {
+            createDocumentTable(db, 'uploadSessions');
+        }
+    },
+    {
+        version: 5,
+        name: 'students and per-student completion',
+        up(db) {
+            createDocumentTable(db, 'students');
+            createDocumentTable(db, 'completions');
+        }
+    },
+    {
+        version: 6,
+        name: 'class rosters',
+        up(db) {
+            createDocumentTable(db, 'classes');
+        }
+    },
+    {
+        version: 7,
+        name: 'homework submissions',
+        up(db) {
+            createDocumentTable(db, 'submissions');
+        }
+    },
+    {
+        version: 8,
+        name: 'task revision history',
+        up(db) {
+            createDocumentTable(db, 'taskRevisions');
+        }
+    },
+    {
+        version: 9,
+        name: 'recurring task series',
+        up(db) {
+            createDocumentTable(db, 'taskSeries');
+        }
+    },
+    {
+        version: 10,
+        name: 'email contacts and notification outbox',
+        up(db) {
+            createDocumentTable(db, 'contacts');
+            createDocumentTable(db, 'notifications');
+        }
+    },
+    {
+        version: 11,
+        name: 'background job state and leases',
+        up(db) {
+            createDocumentTable(db, 'jobs');
+            createDocumentTable(db, 'jobRuns');
+            db.exec(`
+                CREATE TABLE leases (
+                    name       TEXT PRIMARY KEY,
+                    owner      TEXT NOT NULL,
+                    expires_at INTEGER NOT NULL
+                );
+            `);
+        }
+    },
+    {
+        version: 12,
+        name: 'announcement read receipts',
+        up(db) {
+            createDocumentTable(db, 'announcementReads');
+        }
+    }
+];
+
+function migrate(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version    INTEGER PRIMARY KEY,
+        name       TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )`);
+    const current = db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0;
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= current) continue;
+        db.transaction(() => {
+            migration.up(db);
+            record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+        console.log(`SQLite migration ${migration.version} applied: ${migration.name}`);
+    }
+}
+
+// Columns copied out of a record for indexing.
+function indexColumns(item) {
+    const teacherId = item.teacher ? item.teacher.id : item.teacherId;
+    return {
+        grade: item.grade != null ? String(item.grade) : null,
+        classLetter: item.classLetter != null ? String(item.classLetter).toUpperCase() : null,
+        teacherId: teacherId != null ? String(teacherId) : null
+    };
+}
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (e) {
+        if (e.code !== 'MODULE_NOT_FOUND') throw e;
+        throw new Error("STORAGE_DRIVER 'sqlite' needs the better-sqlite3 package, which is not installed. Run `npm install better-sqlite3` or pick another driver.");
+    }
+}
+
+function createSqliteStore({ file, importFrom, defaults }) {
+    const Database = loadDriver();
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+
+    const statements = {
+        getSetting: db.prepare('SELECT value FROM settings WHERE key = ?'),
+        setSetting: db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+        teacherByEmail: db.prepare('SELECT data FROM teachers WHERE email = ?'),
+        insertTeacher: db.prepare('INSERT INTO teachers (id, email, data) VALUES (?, ?, ?)'),
+        updateTeacher: db.prepare('UPDATE teachers SET email = ?, data = ? WHERE id = ?'),
+        // Takes a free, expired or already-owned lease in one statement
+        acquireLease: db.prepare(`INSERT INTO leases (name, owner, expires_at) VALUES (?, ?, ?)
+            ON CONFLICT(name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+            WHERE leases.expires_at <= ? OR leases.owner = excluded.owner`),
+        releaseLease: db.prepare('DELETE FROM leases WHERE name = ? AND owner = ?')
+    };
+    for (const name of DOCUMENT_COLLECTIONS) {
+        statements[name] = {
+            all: db.prepare(`SELECT data FROM ${name} ORDER BY rowid`),
+            get: db.prepare(`SELECT data FROM ${name} WHERE id = ?`),
+            insert: db.prepare(`INSERT INTO ${name} (id, grade, class_letter, teacher_id, data) VALUES (?, ?, ?, ?, ?)`),
+            update: db.prepare(`UPDATE ${name} SET grade = ?, class_letter = ?, teacher_id = ?, data = ? WHERE id = ?`),
+            delete: db.prepare(`DELETE FROM ${name} WHERE id = ?`),
+            forClass: db.prepare(`SELECT data FROM ${name}
+                WHERE ((grade = ? OR grade = 'all') AND (class_letter = ? OR class_letter = 'ALL')) OR grade = 'multi'
+                ORDER BY rowid`)
+        };
+    }
+    statements.teachers = {
+        all: db.prepare('SELECT data FROM teachers ORDER BY rowid'),
+        get: db.prepare('SELECT data FROM teachers WHERE id = ?'),
+        delete: db.prepare('DELETE FROM teachers WHERE id = ?')
+    };
+
+    function collection(name) {
+        if (!COLLECTIONS.includes(name)) throw new Error(`Unknown collection: ${name}`);
+        return statements[name];
+    }
+
+    const parseRows = rows => rows.map(row => JSON.parse(row.data));
+
+    function insertItem(name, item) {
+        if (name === 'teachers') {
+            statements.insertTeacher.run(item.id, item.email, JSON.stringify(item));
+            return;
+        }
+        const { grade, classLetter, teacherId } = indexColumns(item);
+        collection(name).insert.run(item.id, grade, classLetter, teacherId, JSON.stringify(item));
+    }
+
+    // ---------------- One-time import from db.json ----------------
+    // Runs only against an empty database and records itself in settings, so
+    // restarting (or deleting db.json afterwards) never imports twice.
+    function importJson(jsonFile) {
+        if (statements.getSetting.get('importedFrom')) return false;
+        if (!jsonFile || !fs.existsSync(jsonFile)) return false;
+
+        const source = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+        db.transaction(() => {
+            for (const name of COLLECTIONS) {
+                for (const item of source[name] || []) {
+                    // Skip records the old store let through twice (e.g. duplicate Date.now() IDs)
+                    if (collection(name).get.get(item.id)) continue;
+                    if (name === 'teachers' && statements.teacherByEmail.get(item.email)) continue;
+                    insertItem(name, item);
+                }
+            }
+            if (source.school) statements.setSetting.run('school', JSON.stringify(source.school));
+            statements.setSetting.run('importedFrom', JSON.stringify({ file: jsonFile, at: new Date().toISOString() }));
+        })();
+        console.log(`Imported ${jsonFile} into SQLite database.`);
+        return true;
+    }
+
+    const isEmpty = COLLECTIONS.every(name => !collection(name).all.get());
+    if (isEmpty && !importJson(importFrom) && defaults) {
+        // Fresh install without a db.json: seed the same defaults the other stores use.
+        db.transaction(() => {
+            for (const name of COLLECTIONS) (defaults[name] || []).forEach(item => insertItem(name, item));
+            statements.setSetting.run('school', JSON.stringify(defaults.school));
+        })();
+    }
+
+    // ---------------- PERSISTENCE HELPERS ----------------
+
+    async function getSchoolData() {
+        const row = statements.getSetting.get('school');
+        return row ? JSON.parse(row.value) : { ...(defaults && defaults.school) };
+    }
+
+    async function updateSchoolData(updates) {
+        const school = { ...(await getSchoolData()), ...updates };
+        statements.setSetting.run('school', JSON.stringify(school));
+        return school;
+    }
+
+    async function getTeacherByEmail(email) {
+        const row = statements.teacherByEmail.get(email);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    async function addTeacher(newTeacher) {
+        insertItem('teachers', newTeacher);
+    }
+
+    async function getCollectionData(collectionName) {
+        return parseRows(collection(collectionName).all.all());
+    }
+
+    async function getCollectionItem(collectionName, itemId) {
+        const row = collection(collectionName).get.get(itemId);
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    // Items visible to one grade/class, including those posted to 'all'.
+    async function getStudentCollectionData(collectionName, grade, classLetter) {
+        const rows = parseRows(collection(collectionName).forClass.all(String(grade), String(classLetter || '').toUpperCase()));
+        return rows.filter(item => isVisibleToClass(item, grade, classLetter));
+    }
+
+    async function addToCollection(collectionName, newItem) {
+        insertItem(collectionName, newItem);
+    }
+
+    async function updateCollectionItem(collectionName, itemId, updates) {
+        const row = collection(collectionName).get.get(itemId);
+        if (!row) return;
+        const item = { ...JSON.parse(row.data), ...updates };
+        if (collectionName === 'teachers') {
+            statements.updateTeacher.run(item.email, JSON.stringify(item), itemId);
+            return;
+        }
+        const { grade, classLetter, teacherId } = indexColumns(item);
+        collection(collectionName).update.run(grade, classLetter, teacherId, JSON.stringify(item), itemId);
+    }
+
+    async function deleteCollectionItem(collectionName, itemId) {
+        collection(collectionName).delete.run(itemId);
+    }
+
+    // ---------------- LEASES ----------------
+    // Several processes may share the database file; the upsert is atomic, so
+    // only one of them gets a lease (see lib/scheduler.js).
+
+    async function acquireLease(name, owner, ttlMs) {
+        const now = Date.now();
+        return statements.acquireLease.run(name, owner, now + ttlMs, now).changes === 1;
+    }
+
+    async function releaseLease(name, owner) {
+        statements.releaseLease.run(name, owner);
+    }
+
+    // Writes are synchronous, so there is never anything pending.
+    async function flush() {}
+
+    async function close() {
+        db.close();
+    }
+
+    return {
+        name: 'sqlite',
+        isPersistent: true,
+        getSchoolData,
+        updateSchoolData,
+        getTeacherByEmail,
+        addTeacher,
+        getCollectionData,
+        getCollectionItem,
+        getStudentCollectionData,
+        addToCollection,
+        updateCollectionItem,
+        deleteCollectionItem,
+        importJson,
+        acquireLease,
+        releaseLease,
+        flush,
+        close,
+        db
+    };
+}
+
+module.exports = { createSqliteStore, MIGRATIONS };
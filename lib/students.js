@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+
+// ---------------- STUDENTS AND CLASS ROSTERS ----------------
+// Admins enrol students ('students') in a grade/class ('classes'). Each class
+// has a short code; a student signs in with that code plus their PIN, which
+// is unique within the class.
+//
+// PINs are a few digits by design, so a slow hash would barely protect them
+// at rest while making every sign-in hash against the whole class. They are
+// stored as SHA-256 keyed with a per-class salt instead (so one lookup finds
+// the student) and guessing is limited by the sign-in attempt limiter below.
+// Moving a student to another class therefore issues a new PIN.
+
+const CLASS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const CLASS_CODE_LENGTH = 6;
+const PIN_LENGTH = 6;
+// Six digits at least: the sign-in limits allow a class dozens of wrong PINs
+// per window, which must stay a tiny fraction of the possible PINs
+const PIN_PATTERN = /^\d{6,8}$/;
+
+const normalizeName = name => String(name || '').trim().replace(/\s+/g, ' ');
+const normalizeCode = code => String(code || '').trim().toUpperCase().replace(/[\s-]/g, '');
+
+function randomCode() {
+    let code = '';
+    for (let i = 0; i < CLASS_CODE_LENGTH; i++) code += CLASS_CODE_ALPHABET[crypto.randomInt(CLASS_CODE_ALPHABET.length)];
+    return code;
+}
+
+const randomPin = () => String(crypto.randomInt(10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0');
+
+const pinHash = (classRecord, pin) => crypto.createHash('sha256').update(`${classRecord.pinSalt}:${pin}`).digest('hex');
+
+// Student as handed to clients: never the PIN hash.
+function publicStudent(student) {
+    const { pin: _, ...rest } = student;
+    return rest;
+}
+
+// Class as handed to admins: never the PIN salt.
+function publicClass(classRecord) {
+    const { pinSalt: _, ...rest } = classRecord;
+    return rest;
+}
+
+// ---------------- Classes ----------------
+
+async function findClass(store, grade, classLetter) {
+    const candidates = await store.getStudentCollectionData('classes', grade, classLetter);
+    return candidates.find(c => c.grade === String(grade) && c.classLetter === String(classLetter).toUpperCase());
+}
+
+async function findClassByCode(store, code) {
+    const wanted = normalizeCode(code);
+    if (!wanted) return undefined;
+    const classes = await store.getCollectionData('classes');
+    return classes.find(c => c.code === wanted);
+}
+
+async function uniqueClassCode(store) {
+    const taken = new Set((await store.getCollectionData('classes')).map(c => c.code));
+    let code;
+    do code = randomCode(); while (taken.has(code));
+    return code;
+}
+
+// Resolves to the class record for a grade/class, creating it (with a fresh
+// code) the first time.
+async function ensureClass(store, grade, classLetter) {
+    const existing = await findClass(store, grade, classLetter);
+    if (existing) return existing;
+
+    const classRecord = {
+        id: crypto.randomUUID(),
+        grade: String(grade),
+        classLetter: String(classLetter).toUpperCase(),
+        code: await uniqueClassCode(store),
+        pinSalt: crypto.randomBytes(16).toString('hex'),
+        feedToken: newFeedToken(),
+        createdAt: new Date().toISOString()
+    };
+    await store.addToCollection('classes', classRecord);
+    return classRecord;
+}
+
+// ---------------- Calendar feed tokens ----------------
+// Each class has an unguessable token for its .ics feed (lib/routes/calendar.js).
+// Classes created before feeds existed get one the first time it is needed.
+
+const newFeedToken = () => crypto.randomBytes(24).toString('base64url');
+
+async function ensureFeedToken(store, classRecord) {
+    if (classRecord.feedToken) return classRecord.feedToken;
+    const feedToken = newFeedToken();
+    await store.updateCollectionItem('classes', classRecord.id, { feedToken });
+    return feedToken;
+}
+
+async function rotateFeedToken(store, classRecord) {
+    const feedToken = newFeedToken();
+    await store.updateCollectionItem('classes', classRecord.id, { feedToken });
+    return feedToken;
+}
+
+async function findClassByFeedToken(store, token) {
+    if (!token) return undefined;
+    const wanted = Buffer.from(String(token));
+    const classes = await store.getCollectionData('classes');
+    return classes.find(c => c.feedToken && c.feedToken.length === wanted.length && crypto.timingSafeEqual(Buffer.from(c.feedToken), wanted));
+}
+
+async function rotateClassCode(store, classRecord) {
+    const code = await uniqueClassCode(store);
+    await store.updateCollectionItem('classes', classRecord.id, { code });
+    return { ...classRecord, code };
+}
+
+// ---------------- Students ----------------
+
+async function rosterOf(store, classRecord) {
+    const students = await store.getStudentCollectionData('students', classRecord.grade, classRecord.classLetter);
+    return students.filter(s => s.grade === classRecord.grade && s.classLetter === classRecord.classLetter);
+}
+
+// Picks (or checks) a PIN that no other student in the class uses.
+// Resolves to { pin, hash } or { error }.
+async function assignPin(store, classRecord, requestedPin, exceptStudentId) {
+    const taken = new Set((await rosterOf(store, classRecord))
+        .filter(s => s.id !== exceptStudentId)
+        .map(s => s.pin));
+
+    if (requestedPin != null && requestedPin !== '') {
+        const pin = String(requestedPin);
+        if (!PIN_PATTERN.test(pin)) return { error: 'PIN must be 6 to 8 digits' };
+        const hash = pinHash(classRecord, pin);
+        if (taken.has(hash)) return { error: 'Another student in this class already uses that PIN' };
+        return { pin, hash };
+    }
+
+    let pin, hash;
+    do {
+        pin = randomPin();
+        hash = pinHash(classRecord, pin);
+    } while (taken.has(hash));
+    return { pin, hash };
+}
+
+function validateEnrolment({ name, grade, classLetter }) {
+    if (!normalizeName(name)) return 'Student name is required';
+    if (!grade || !classLetter || grade === 'all' || String(classLetter).toLowerCase() === 'all') {
+        return 'A specific grade and class are required';
+    }
+    return null;
+}
+
+// Enrols a new student. Resolves to { student, pin } (the PIN in clear, to
+// hand to the student once) or { error }.
+async function createStudent(store, { name, grade, classLetter, pin }) {
+    const error = validateEnrolment({ name, grade, classLetter });
+    if (error) return { error };
+
+    const classRecord = await ensureClass(store, grade, classLetter);
+    const assigned = await assignPin(store, classRecord, pin);
+    if (assigned.error) return { error: assigned.error };
+
+    const student = {
+        id: crypto.randomUUID(),
+        name: normalizeName(name),
+        grade: classRecord.grade,
+        classLetter: classRecord.classLetter,
+        pin: assigned.hash,
+        createdAt: new Date().toISOString()
+    };
+    await store.addToCollection('students', student);
+    return { student: publicStudent(student), pin: assigned.pin };
+}
+
+// Renames and/or moves a student. Moving to another class issues a new PIN.
+// Resolves to { student, pin? } or { error }.
+async function updateStudent(store, student, { name, grade, classLetter }) {
+    const next = {
+        name: name !== undefined ? name : student.name,
+        grade: grade !== undefined ? String(grade) : student.grade,
+        classLetter: classLetter !== undefined ? String(classLetter).toUpperCase() : student.classLetter
+    };
+    const error = validateEnrolment(next);
+    if (error) return { error };
+
+    const updates = { name: normalizeName(next.name) };
+    let pin;
+    if (next.grade !== student.grade || next.classLetter !== student.classLetter) {
+        const classRecord = await ensureClass(store, next.grade, next.classLetter);
+        const assigned = await assignPin(store, classRecord);
+        Object.assign(updates, { grade: classRecord.grade, classLetter: classRecord.classLetter, pin: assigned.hash });
+        pin = assigned.pin;
+    }
+    await store.updateCollectionItem('students', student.id, updates);
+    return { student: publicStudent({ ...student, ...updates }), pin };
+}
+
+async function resetStudentPin(store, student, requestedPin) {
+    const classRecord = await ensureClass(store, student.grade, student.classLetter);
+    const assigned = await assignPin(store, classRecord, requestedPin, student.id);
+    if (assigned.error) return { error: assigned.error };
+    await store.updateCollectionItem('students', student.id, { pin: assigned.hash });
+    return { pin: assigned.pin };
+}
+
+// Resolves to the student a class code + PIN belongs to, or null.
+async function findStudentByCredentials(store, classCode, pin) {
+    const classRecord = await findClassByCode(store, classCode);
+    if (!classRecord || !PIN_PATTERN.test(String(pin || ''))) return null;
+    const hash = pinHash(classRecord, String(pin));
+    const roster = await rosterOf(store, classRecord);
+    return roster.find(s => typeof s.pin === 'string' && s.pin.length === hash.length && crypto.timingSafeEqual(Buffer.from(s.pin), Buffer.from(hash))) || null;
+}
+
+// ---------------- Sign-in attempt limiter ----------------
+// Counts failed sign-ins per key (class code and client address) in memory.
+// Once `max` failures happen inside `windowMs` the key is blocked until the
+// window ends. Per instance only, which is enough to make guessing PINs slow.
+// Only failures create entries, and expired ones are swept once per window,
+// so made-up class codes and addresses can't grow the map without bound.
+
+function createAttemptLimiter({ max = 10, windowMs = 15 * 60 * 1000 } = {}) {
+    const failures = new Map();
+    let nextSweepAt = Date.now() + windowMs;
+
+    function current(key, now) {
+        const entry = failures.get(key);
+        if (entry && entry.resetAt > now) return entry;
+        if (entry) failures.delete(key);
+        return null;
+    }
+
+    function sweep(now) {
+        if (now < nextSweepAt) return;
+        for (const [key, entry] of failures) if (entry.resetAt <= now) failures.delete(key);
+        nextSweepAt = now + windowMs;
+    }
+
+    // Seconds until the key may try again, or 0 when it is not blocked.
+    function retryAfter(key) {
+        const now = Date.now();
+        const entry = current(key, now);
+        return entry && entry.count >= max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+    }
+
+    function fail(key) {
+        const now = Date.now();
+        sweep(now);
+        const entry = current(key, now);
+        if (entry) entry.count++;
+        else failures.set(key, { count: 1, resetAt: now + windowMs });
+    }
+
+    function reset(key) {
+        failures.delete(key);
+    }
+
+    return { retryAfter, fail, reset, size: () => failures.size };
+}
+
+// ---------------- Class scope for the /api/*/student routes ----------------
+// Students see their enrolment's grade/class, whatever the query says. Staff
+// may preview any class with ?grade=&classLetter=. Anyone else must sign in.
+function requireClassScope(req, res, next) {
+    if (req.user && req.user.role === 'student') {
+        req.classScope = { grade: req.user.grade, classLetter: req.user.classLetter };
+        return next();
+    }
+    if (req.user) {
+        const { grade, classLetter } = req.query;
+        if (!grade || !classLetter) return res.status(400).json({ error: 'grade and classLetter are required' });
+        req.classScope = { grade, classLetter };
+        return next();
+    }
+    res.status(401).json({ error: 'Please sign in with your class code and PIN' });
+}
+
+module.exports = {
+    normalizeCode,
+    publicStudent,
+    publicClass,
+    findClass,
+    findClassByCode,
+    ensureClass,
+    rotateClassCode,
+    ensureFeedToken,
+    rotateFeedToken,
+    findClassByFeedToken,
+    rosterOf,
+    createStudent,
+    updateStudent,
+    resetStudentPin,
+    findStudentByCredentials,
+    createAttemptLimiter,
+    requireClassScope
+};
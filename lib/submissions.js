@@ -0,0 +1,153 @@
+// ---------------- HOMEWORK SUBMISSIONS ----------------
+// A student hands work back for a task as text and/or files. There is one
+// record per (task, student) in 'submissions'; resubmitting replaces its
+// content, until the task's `submissionCutoff` (set by its teacher) passes.
+// File bytes go through the same file service as /api/upload, in the
+// 'submissions' folder.
+
+const MAX_TEXT_LENGTH = 20000;
+const MAX_SUBMISSION_FILES = 5;
+
+const submissionId = (taskId, studentId) => `${taskId}:${studentId}`;
+
+// End of the due date. Tasks hold a plain date ("2025-10-10"), which means
+// the whole day in the server's time zone; a full timestamp is used as is.
+function dueDeadline(task) {
+    if (!task.dueDate) return null;
+    const dueDate = String(task.dueDate);
+    const deadline = /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? new Date(`${dueDate}T23:59:59.999`) : new Date(dueDate);
+    return Number.isNaN(deadline.getTime()) ? null : deadline;
+}
+
+function isLate(task, at = new Date()) {
+    const deadline = dueDeadline(task);
+    return !!deadline && at > deadline;
+}
+
+function isPastCutoff(task, at = new Date()) {
+    return !!task.submissionCutoff && at > new Date(task.submissionCutoff);
+}
+
+// Accepts an ISO timestamp (or date) string, or null/'' to clear the cutoff.
+// Returns { cutoff } or { error }.
+function parseCutoff(value) {
+    if (value === null || value === undefined || value === '') return { cutoff: null };
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return { error: 'Cutoff must be a valid date and time' };
+    return { cutoff: date.toISOString() };
+}
+
+// ---------------- Marks ----------------
+// A mark is either numeric ({ score, maxScore }) or rubric-based
+// ({ rubric: [{ criterion, score, maxScore }] }, totalled), plus optional
+// written feedback. `percentage` makes marks on different scales comparable
+// in the gradebook.
+
+const MAX_FEEDBACK_LENGTH = 5000;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+function checkScore(score, maxScore, what) {
+    if (!isNumber(maxScore) || maxScore <= 0) return `${what}: maxScore must be a number above 0`;
+    if (!isNumber(score) || score < 0 || score > maxScore) return `${what}: score must be a number from 0 to ${maxScore}`;
+    return null;
+}
+
+// Returns { mark } (without who/when) or { error }.
+function parseMark({ score, maxScore, rubric, feedback }) {
+    const text = feedback == null ? '' : String(feedback).trim();
+    if (text.length > MAX_FEEDBACK_LENGTH) return { error: `Feedback must be at most ${MAX_FEEDBACK_LENGTH} characters` };
+
+    if (rubric !== undefined) {
+        if (!Array.isArray(rubric) || !rubric.length) return { error: 'rubric must be a non-empty list of criteria' };
+        const criteria = [];
+        for (const [index, item] of rubric.entries()) {
+            const criterion = String((item && item.criterion) || '').trim();
+            if (!criterion) return { error: `Rubric criterion ${index + 1} needs a name` };
+            const error = checkScore(item.score, item.maxScore, criterion);
+            if (error) return { error };
+            criteria.push({ criterion, score: item.score, maxScore: item.maxScore });
+        }
+        const total = criteria.reduce((sum, c) => sum + c.score, 0);
+        const max = criteria.reduce((sum, c) => sum + c.maxScore, 0);
+        return { mark: { type: 'rubric', rubric: criteria, score: total, maxScore: max, percentage: round((total / max) * 100), feedback: text } };
+    }
+
+    if (score === undefined && maxScore === undefined) {
+        // Feedback on its own is allowed; it just doesn't count in the gradebook
+        if (!text) return { error: 'Give a score, a rubric or some feedback' };
+        return { mark: { type: 'feedback', score: null, maxScore: null, percentage: null, feedback: text } };
+    }
+    const error = checkScore(score, maxScore, 'Mark');
+    if (error) return { error };
+    return { mark: { type: 'numeric', score, maxScore, percentage: round((score / maxScore) * 100), feedback: text } };
+}
+
+// Stored file entry: what files.locate()/files.remove() need plus display info.
+function fileEntry(stored, file) {
+    return {
+        ...(stored.storageKey ? { storageKey: stored.storageKey } : { filename: stored.url }),
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: stored.size
+    };
+}
+
+// Adds a download URL to each file; never exposes storage keys.
+function publicSubmission(submission) {
+    return {
+        ...submission,
+        files: (submission.files || []).map((file, index) => ({
+            originalName: file.originalName,
+            mimeType: file.mimeType,
+            size: file.size,
+            url: `/api/submissions/${encodeURIComponent(submission.id)}/files/${index}`
+        }))
+    };
+}
+
+// After a task's due date moves, re-evaluate which submissions are late.
+async function refreshLateFlags(store, task) {
+    const submissions = (await store.getCollectionData('submissions')).filter(s => s.taskId === task.id);
+    for (const submission of submissions) {
+        const late = isLate(task, new Date(submission.submittedAt));
+        if (late !== submission.late) await store.updateCollectionItem('submissions', submission.id, { late });
+    }
+}
+
+async function removeSubmissionFiles(files, submission) {
+    for (const file of submission.files || []) {
+        await files.remove(file).catch(error => console.warn("Could not delete submission file (non-critical):", error.message));
+    }
+}
+
+async function deleteSubmissions(store, files, predicate) {
+    const submissions = (await store.getCollectionData('submissions')).filter(predicate);
+    for (const submission of submissions) {
+        await removeSubmissionFiles(files, submission);
+        await store.deleteCollectionItem('submissions', submission.id);
+    }
+}
+
+const deleteSubmissionsForTask = (store, files, taskId) => deleteSubmissions(store, files, s => s.taskId === taskId);
+const deleteSubmissionsForStudent = (store, files, studentId) => deleteSubmissions(store, files, s => s.studentId === studentId);
+
+module.exports = {
+    MAX_TEXT_LENGTH,
+    MAX_FEEDBACK_LENGTH,
+    MAX_SUBMISSION_FILES,
+    submissionId,
+    dueDeadline,
+    isLate,
+    isPastCutoff,
+    parseCutoff,
+    parseMark,
+    round,
+    fileEntry,
+    publicSubmission,
+    refreshLateFlags,
+    removeSubmissionFiles,
+    deleteSubmissionsForTask,
+    deleteSubmissionsForStudent
+};
@@ -0,0 +1,90 @@
+// ---------------- POSTING TARGETS ----------------
+// Tasks and announcements can be posted to:
+//   - one grade/class, or 'all'        { grade, classLetter }          (as before)
+//   - a whole grade except some classes { grade, classLetter: 'all', exceptClasses: ['C'] }
+//   - a list of grade/class pairs      { targets: [{ grade, classLetter, except? }, ...] }
+// Anything but the first is stored as ONE record with a `targets` list,
+// `grade`/`classLetter` set to 'multi' and a readable `targetLabel`
+// ("4A, 4B, 4D", "Grade 5 except C"), so edits and deletes apply to every
+// targeted class at once. lib/classFilter.js decides who sees it.
+
+const MAX_TARGETS = 50;
+const MULTI = 'multi';
+
+const isAll = value => String(value).toLowerCase() === 'all';
+
+function normalizeTarget(raw) {
+    if (!raw || typeof raw !== 'object') return { error: 'Each target needs a grade and classLetter' };
+    const grade = String(raw.grade || '').trim();
+    const classLetter = String(raw.classLetter || '').trim();
+    if (!grade || !classLetter) return { error: 'Each target needs a grade and classLetter' };
+    if (grade === MULTI || classLetter.toLowerCase() === MULTI) return { error: `'${MULTI}' is not a grade or class` };
+
+    const target = { grade: isAll(grade) ? 'all' : grade, classLetter: isAll(classLetter) ? 'all' : classLetter.toUpperCase() };
+    const except = raw.except || raw.exceptClasses;
+    if (except !== undefined) {
+        if (target.classLetter !== 'all') return { error: 'except only applies to a whole grade (classLetter "all")' };
+        if (!Array.isArray(except)) return { error: 'except must be a list of class letters' };
+        const letters = [...new Set(except.map(letter => String(letter).trim().toUpperCase()).filter(Boolean))].sort();
+        if (letters.length) target.except = letters;
+    }
+    return { target };
+}
+
+const targetKey = target => `${target.grade}:${target.classLetter}`;
+
+function describeTarget(target) {
+    if (target.grade === 'all') return target.classLetter === 'all' ? 'All grades' : `All grades, class ${target.classLetter}`;
+    if (target.classLetter !== 'all') return `${target.grade}${target.classLetter}`;
+    return target.except ? `Grade ${target.grade} except ${target.except.join(', ')}` : `Grade ${target.grade}`;
+}
+
+// Reads the target fields of a request body. Returns the fields to store on
+// the record ({ grade, classLetter, targets, targetLabel }; the last two are
+// null for a single target) or { error }. Returns { missing: true } when the
+// body has no target at all.
+function parseTargets(body) {
+    let rawTargets;
+    if (body.targets !== undefined) {
+        if (!Array.isArray(body.targets) || !body.targets.length) return { error: 'targets must be a non-empty list' };
+        rawTargets = body.targets;
+    } else if (body.grade !== undefined || body.classLetter !== undefined) {
+        if (!body.grade || !body.classLetter) return { missing: true };
+        rawTargets = [{ grade: body.grade, classLetter: body.classLetter, except: body.exceptClasses }];
+    } else {
+        return { missing: true };
+    }
+    if (rawTargets.length > MAX_TARGETS) return { error: `At most ${MAX_TARGETS} targets` };
+
+    const byKey = new Map();
+    for (const raw of rawTargets) {
+        const { target, error } = normalizeTarget(raw);
+        if (error) return { error };
+        byKey.set(targetKey(target), target);
+    }
+    const targets = [...byKey.values()];
+
+    // One plain target keeps the original single-class shape (as sent, when
+    // it came as grade/classLetter)
+    if (targets.length === 1 && !targets[0].except) {
+        const single = body.targets === undefined ? { grade: String(body.grade), classLetter: String(body.classLetter) } : targets[0];
+        return { grade: single.grade, classLetter: single.classLetter, targets: null, targetLabel: null };
+    }
+    return { grade: MULTI, classLetter: MULTI, targets, targetLabel: targets.map(describeTarget).join(', ') };
+}
+
+// Target fields an edit would change: { changes: { field: { from, to } }, updates }.
+function targetChanges(record, parsed) {
+    const changes = {};
+    const updates = {};
+    for (const field of ['grade', 'classLetter', 'targets', 'targetLabel']) {
+        const from = record[field] === undefined ? null : record[field];
+        const to = parsed[field];
+        if (JSON.stringify(from) === JSON.stringify(to)) continue;
+        changes[field] = { from, to };
+        updates[field] = to;
+    }
+    return { changes, updates };
+}
+
+module.exports = { MULTI, parseTargets, targetChanges, describeTarget };
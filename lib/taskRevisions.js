@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { parseTargets, targetChanges } = require('./targets');
+
+// ---------------- TASK EDITS AND REVISION HISTORY ----------------
+// PATCH /api/task/:id may change these fields. Every edit that changes
+// something is recorded in 'taskRevisions' as { field: { from, to } } with
+// who made it and when, so the history survives on its own collection and
+// task listings stay small.
+//
+// The target (grade/classLetter, exceptClasses or a targets list, see
+// lib/targets.js) is replaced as a whole when any of those fields is sent.
+//
+// When the due date moves the task also gets `dueDateChangedAt` and
+// `previousDueDate`, which the student listing turns into an "updated" marker.
+
+const EDITABLE_TASK_FIELDS = ['subject', 'description', 'dueDate'];
+const TARGET_FIELDS = ['grade', 'classLetter', 'exceptClasses', 'targets'];
+
+// Returns { changes, updates } (both empty when nothing differs) or { error }.
+function taskChanges(task, body) {
+    const changes = {};
+    const updates = {};
+
+    for (const field of EDITABLE_TASK_FIELDS) {
+        if (body[field] === undefined) continue;
+        const value = String(body[field]).trim();
+        if (!value) return { error: `${field} cannot be empty` };
+        if (field === 'dueDate' && Number.isNaN(new Date(value).getTime())) return { error: 'dueDate must be a valid date' };
+        if (value === String(task[field])) continue;
+
+        changes[field] = { from: task[field] === undefined ? null : task[field], to: value };
+        updates[field] = value;
+    }
+
+    if (TARGET_FIELDS.some(field => body[field] !== undefined)) {
+        // A partial single-class edit (only grade or only classLetter) keeps the other half
+        const singleClass = !Array.isArray(task.targets) && body.targets === undefined;
+        const parsed = parseTargets(singleClass ? { grade: task.grade, classLetter: task.classLetter, ...body } : body);
+        if (parsed.error) return { error: parsed.error };
+        if (parsed.missing) return { error: 'Give grade and classLetter, or targets' };
+        const target = targetChanges(task, parsed);
+        Object.assign(changes, target.changes);
+        Object.assign(updates, target.updates);
+    }
+    return { changes, updates };
+}
+
+async function recordRevision(store, task, changes, user) {
+    const revision = {
+        id: crypto.randomUUID(),
+        taskId: task.id,
+        // Owner of the task, so revisions are indexed like the task itself
+        teacherId: task.teacher ? task.teacher.id : null,
+        changes,
+        editedBy: { id: user.id, name: user.name, role: user.role },
+        editedAt: new Date().toISOString()
+    };
+    await store.addToCollection('taskRevisions', revision);
+    return revision;
+}
+
+// Oldest first
+async function revisionsFor(store, taskId) {
+    const revisions = (await store.getCollectionData('taskRevisions')).filter(r => r.taskId === taskId);
+    return revisions.sort((a, b) => a.editedAt.localeCompare(b.editedAt));
+}
+
+async function deleteRevisionsForTask(store, taskId) {
+    for (const revision of await revisionsFor(store, taskId)) await store.deleteCollectionItem('taskRevisions', revision.id);
+}
+
+// The student-facing "updated" marker
+const withUpdatedMarker = tasks => tasks.map(task => ({ ...task, updated: !!task.dueDateChangedAt }));
+
+module.exports = { EDITABLE_TASK_FIELDS, taskChanges, recordRevision, revisionsFor, deleteRevisionsForTask, withUpdatedMarker };
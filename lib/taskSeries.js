@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { removeTask } = require('./tasks');
+
+// ---------------- RECURRING TASKS ----------------
+// A series ('taskSeries') holds the task fields plus a recurrence rule:
+//   { type: 'weekly', weekdays: ['mon', 'fri'] }   (or 0-6, 0 = Sunday)
+//   { type: 'interval', everyDays: 3 }
+// between `startDate` and an optional `endDate` (inclusive, YYYY-MM-DD).
+//
+// Occurrences are expanded into ordinary tasks, so completion, submissions,
+// marks and PATCH /api/task/:id work on them unchanged. Each one has the ID
+// `<seriesId>-<YYYYMMDD>` (expanding twice never duplicates) and
+// `series: { id, date }`; its due date is the occurrence date. Expansion runs
+// SERIES_HORIZON_DAYS ahead and is topped up when tasks are listed.
+//
+// Single occurrences are edited with PATCH /api/task/:id (later series edits
+// then leave them alone) and cancelled with DELETE /api/task/:id (the date is
+// remembered so it is not expanded again).
+
+const SERIES_HORIZON_DAYS = 28;
+const MAX_PAST_START_DAYS = 31;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SERIES_FIELDS = ['subject', 'description', 'grade', 'classLetter'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------------- Dates (calendar days, no time zone arithmetic) ----------------
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDay(value) {
+    if (!DATE_PATTERN.test(String(value || ''))) return null;
+    const [y, m, d] = value.split('-').map(Number);
+    const time = Date.UTC(y, m - 1, d);
+    return new Date(time).toISOString().slice(0, 10) === value ? time : null;
+}
+
+const formatDay = time => new Date(time).toISOString().slice(0, 10);
+
+// Today in the server's time zone, as a calendar day
+function today(now = new Date()) {
+    return Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// ---------------- Rules ----------------
+
+// Returns { rule } (normalised) or { error }.
+function parseRule(rule) {
+    if (!rule || typeof rule !== 'object') return { error: 'rule is required' };
+
+    if (rule.type === 'weekly') {
+        const days = Array.isArray(rule.weekdays) ? rule.weekdays : [];
+        const weekdays = [];
+        for (const day of days) {
+            const index = typeof day === 'number' ? day : WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase());
+            if (!Number.isInteger(index) || index < 0 || index > 6) return { error: `Unknown weekday: ${day}` };
+            if (!weekdays.includes(index)) weekdays.push(index);
+        }
+        if (!weekdays.length) return { error: 'A weekly rule needs at least one weekday' };
+        return { rule: { type: 'weekly', weekdays: weekdays.sort() } };
+    }
+
+    if (rule.type === 'interval') {
+        const everyDays = Number(rule.everyDays);
+        if (!Number.isInteger(everyDays) || everyDays < 1 || everyDays > 365) {
+            return { error: 'everyDays must be a whole number from 1 to 365' };
+        }
+        return { rule: { type: 'interval', everyDays } };
+    }
+
+    return { error: "rule.type must be 'weekly' or 'interval'" };
+}
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// "every Monday and Friday", "every 3 days" (for emails)
+function describeRule(rule) {
+    if (rule.type === 'interval') return rule.everyDays === 1 ? 'every day' : `every ${rule.everyDays} days`;
+    const names = rule.weekdays.map(day => WEEKDAY_NAMES[day]);
+    return `every ${names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]}`;
+}
+
+function matchesRule(series, time) {
+    const start = parseDay(series.startDate);
+    if (time < start) return false;
+    if (series.endDate && time > parseDay(series.endDate)) return false;
+    if (series.rule.type === 'weekly') return series.rule.weekdays.includes(new Date(time).getUTCDay());
+    return Math.round((time - start) / DAY_MS) % series.rule.everyDays === 0;
+}
+
+// Occurrence dates (YYYY-MM-DD) from `from` to `to` inclusive (UTC day times)
+function occurrencesBetween(series, from, to) {
+    const dates = [];
+    for (let time = from; time <= to; time += DAY_MS) {
+        if (matchesRule(series, time)) dates.push(formatDay(time));
+    }
+    return dates;
+}
+
+const occurrenceId = (seriesId, date) => `${seriesId}-${date.replace(/-/g, '')}`;
+
+// ---------------- Validation ----------------
+
+// Validates a new series (or the merged result of an edit). Returns
+// { fields } with the normalised values or { error }.
+function validateSeries(input, { now = new Date(), isNew = true } = {}) {
+    for (const field of SERIES_FIELDS) {
+        if (!String(input[field] || '').trim()) return { error: `${field} is required` };
+    }
+    const { rule, error } = parseRule(input.rule);
+    if (error) return { error };
+
+    const startDate = input.startDate || formatDay(today(now));
+    const start = parseDay(startDate);
+    if (start === null) return { error: 'startDate must be a date (YYYY-MM-DD)' };
+    if (isNew && start < today(now) - MAX_PAST_START_DAYS * DAY_MS) {
+        return { error: `startDate cannot be more than ${MAX_PAST_START_DAYS} days in the past` };
+    }
+
+    const endDate = input.endDate || null;
+    if (endDate !== null) {
+        const end = parseDay(endDate);
+        if (end === null) return { error: 'endDate must be a date (YYYY-MM-DD)' };
+        if (end < start) return { error: 'endDate cannot be before startDate' };
+    }
+
+    return {
+        fields: {
+            subject: String(input.subject).trim(),
+            description: String(input.description).trim(),
+            grade: String(input.grade).trim(),
+            classLetter: String(input.classLetter).trim(),
+            rule,
+            startDate,
+            endDate
+        }
+    };
+}
+
+// ---------------- Expansion ----------------
+
+function occurrenceTask(series, date) {
+    return {
+        id: occurrenceId(series.id, date),
+        grade: series.grade,
+        classLetter: series.classLetter,
+        subject: series.subject,
+        description: series.description,
+        dueDate: date,
+        submissionCutoff: null,
+        teacher: series.teacher,
+        series: { id: series.id, date },
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Creates the series' missing occurrences up to the horizon. Resolves to the
+// number of tasks created.
+async function expandSeries(store, series, { now = new Date() } = {}) {
+    if (series.cancelledAt) return 0;
+
+    const horizon = today(now) + SERIES_HORIZON_DAYS * DAY_MS;
+    const end = series.endDate ? Math.min(parseDay(series.endDate), horizon) : horizon;
+    const from = series.expandedUntil ? parseDay(series.expandedUntil) + DAY_MS : parseDay(series.startDate);
+    if (from > end) return 0;
+
+    const cancelled = new Set(series.cancelledDates || []);
+    let created = 0;
+    for (const date of occurrencesBetween(series, from, end)) {
+        if (cancelled.has(date)) continue;
+        if (await store.getCollectionItem('tasks', occurrenceId(series.id, date))) continue;
+        await store.addToCollection('tasks', occurrenceTask(series, date));
+        created++;
+    }
+    await store.updateCollectionItem('taskSeries', series.id, { expandedUntil: formatDay(end) });
+    return created;
+}
+
+// Tops up every active series. Concurrent calls share one run so two
+// requests can never expand the same occurrence twice.
+function createSeriesExpander(store) {
+    let running = null;
+
+    async function expandAll() {
+        const seriesList = await store.getCollectionData('taskSeries');
+        for (const series of seriesList) await expandSeries(store, series);
+    }
+
+    return function ensureExpanded() {
+        if (!running) {
+            running = expandAll()
+                .catch(e => console.error("Expanding recurring tasks failed:", e))
+                .finally(() => { running = null; });
+        }
+        return running;
+    };
+}
+
+async function occurrencesOf(store, seriesId) {
+    const tasks = (await store.getCollectionData('tasks')).filter(task => task.series && task.series.id === seriesId);
+    return tasks.sort((a, b) => a.series.date.localeCompare(b.series.date));
+}
+
+// An occurrence counts as edited once PATCH /api/task/:id changed it.
+const isEdited = task => !!task.updatedAt;
+
+async function hasWork(store, taskId) {
+    const submissions = await store.getCollectionData('submissions');
+    return submissions.some(s => s.taskId === taskId);
+}
+
+// Applies an edit to the series and its upcoming occurrences (today onwards,
+// except ones edited on their own). Occurrences the new rule no longer
+// produces are removed unless work was already handed in for them.
+async function updateSeries(store, files, series, fields, { now = new Date() } = {}) {
+    const ruleChanged = JSON.stringify(fields.rule) !== JSON.stringify(series.rule) ||
+        fields.startDate !== series.startDate || fields.endDate !== series.endDate;
+    const updated = { ...series, ...fields, updatedAt: new Date().toISOString() };
+
+    const fromToday = today(now);
+    for (const task of await occurrencesOf(store, series.id)) {
+        const time = parseDay(task.series.date);
+        if (time < fromToday || isEdited(task)) continue;
+        if (ruleChanged && !matchesRule(updated, time) && !(await hasWork(store, task.id))) {
+            await removeTask(store, files, task.id);
+            continue;
+        }
+        const changes = {};
+        for (const field of SERIES_FIELDS) if (task[field] !== updated[field]) changes[field] = updated[field];
+        if (Object.keys(changes).length) await store.updateCollectionItem('tasks', task.id, changes);
+    }
+
+    // Expand again from today under the new rule
+    const restartFrom = formatDay(Math.max(fromToday, parseDay(updated.startDate)) - DAY_MS);
+    if (ruleChanged) updated.expandedUntil = series.expandedUntil && series.expandedUntil < restartFrom ? series.expandedUntil : restartFrom;
+
+    const { id: _, ...changes } = updated;
+    await store.updateCollectionItem('taskSeries', series.id, changes);
+    await expandSeries(store, updated, { now });
+    return store.getCollectionItem('taskSeries', series.id);
+}
+
+// Stops the series and removes its upcoming occurrences that have no work
+// handed in. Past occurrences stay, with their completion and marks.
+async function cancelSeries(store, files, series, { now = new Date() } = {}) {
+    const fromToday = today(now);
+    let removed = 0;
+    for (const task of await occurrencesOf(store, series.id)) {
+        if (parseDay(task.series.date) < fromToday || await hasWork(store, task.id)) continue;
+        await removeTask(store, files, task.id);
+        removed++;
+    }
+    await store.updateCollectionItem('taskSeries', series.id, { cancelledAt: new Date().toISOString() });
+    return removed;
+}
+
+// Called when one occurrence is deleted, so it is not expanded again.
+async function cancelOccurrence(store, task) {
+    if (!task.series) return;
+    const series = await store.getCollectionItem('taskSeries', task.series.id);
+    if (!series) return;
+    const cancelledDates = [...new Set([...(series.cancelledDates || []), task.series.date])];
+    await store.updateCollectionItem('taskSeries', series.id, { cancelledDates });
+}
+
+function newSeries(fields, teacher) {
+    return {
+        id: crypto.randomUUID(),
+        ...fields,
+        teacher: { id: teacher.id, name: teacher.name },
+        cancelledDates: [],
+        expandedUntil: null,
+        cancelledAt: null,
+        createdAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    SERIES_HORIZON_DAYS,
+    DAY_MS,
+    today,
+    formatDay,
+    parseRule,
+    describeRule,
+    validateSeries,
+    occurrencesBetween,
+    occurrenceId,
+    newSeries,
+    expandSeries,
+    createSeriesExpander,
+    occurrencesOf,
+    updateSeries,
+    cancelSeries,
+    cancelOccurrence
+};
@@ -0,0 +1,15 @@
+const { deleteCompletionsForTask } = require('./completions');
+const { deleteSubmissionsForTask } = require('./submissions');
+const { deleteRevisionsForTask } = require('./taskRevisions');
+
+// ---------------- TASK REMOVAL ----------------
+// Deleting a task also deletes everything attached to it: per-student
+// completion, submissions (with their files) and the revision history.
+async function removeTask(store, files, taskId) {
+    await store.deleteCollectionItem('tasks', taskId);
+    await deleteCompletionsForTask(store, taskId);
+    await deleteSubmissionsForTask(store, files, taskId);
+    await deleteRevisionsForTask(store, taskId);
+}
+
+module.exports = { removeTask };
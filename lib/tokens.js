@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// ---------------- SIGNED TOKENS ----------------
+// Compact "<payload>.<signature>" tokens: the payload is base64url JSON and the
+// signature is an HMAC-SHA256 of it with the server secret. No external
+// service is involved; anyone holding the secret can verify a token.
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+function signToken(claims, secret) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns the claims when the signature matches and `exp` (ms) has not
+// passed, otherwise null.
+function verifyToken(token, secret, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length) return null;
+
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    if (!claims || typeof claims.exp !== 'number' || claims.exp <= now) return null;
+    return claims;
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,149 @@
+const path = require('path');
+const multer = require('multer');
+const { detectFileType, extensionsFor } = require('./fileTypes');
+
+// ---------------- UPLOAD POLICY ----------------
+// Every upload route goes through acceptUpload(rule): size limit enforced
+// while the file streams in, type checked by magic bytes, filename cleaned up.
+// Refusals are answered as { error, code, ...details } so the UI can show the
+// message and react to the code.
+
+class UploadRejectedError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = 'UploadRejectedError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function sendUploadError(res, err) {
+    return res.status(err.status).json({ error: err.message, code: err.code, ...err.details });
+}
+
+const formatMb = bytes => (bytes < 1024 * 1024
+    ? `${Math.ceil(bytes / 1024)} KB`
+    : `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`);
+
+// Browsers send UTF-8 filenames but busboy decodes them as latin1; undo that,
+// drop any path, control and reserved characters, and cap the length while
+// keeping the extension.
+function sanitizeFilename(name) {
+    let clean = String(name || '');
+    const utf8 = Buffer.from(clean, 'latin1').toString('utf8');
+    if (!utf8.includes('\uFFFD') && Buffer.from(utf8, 'utf8').toString('latin1') === clean) clean = utf8;
+
+    clean = clean.split(/[\\/]/).pop()
+        .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+
+    const extension = path.extname(clean).slice(0, 16);
+    const base = clean.slice(0, clean.length - path.extname(clean).length).slice(0, 150 - extension.length);
+    return (base || 'file') + extension.toLowerCase();
+}
+
+// Middleware accepting one file in `rule.field` (multer memory storage), or
+// up to `rule.maxCount` files in req.files when that is set. On success each
+// file's originalname is sanitised and its mimetype is the detected type
+// rather than whatever the client claimed.
+function acceptUpload(rule) {
+    const maxCount = rule.maxCount || 1;
+    const multi = !!rule.maxCount;
+    const limits = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: rule.maxBytes, files: maxCount }
+    });
+    const parse = multi ? limits.array(rule.field, maxCount) : limits.single(rule.field);
+
+    return (req, res, next) => {
+        parse(req, res, err => {
+            if (err) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return sendUploadError(res, new UploadRejectedError(413, 'FILE_TOO_LARGE',
+                        `File is too large. The limit is ${formatMb(rule.maxBytes)}.`, { maxBytes: rule.maxBytes }));
+                }
+                if (err instanceof multer.MulterError) {
+                    const expected = multi ? `up to ${maxCount} files` : 'one file';
+                    return sendUploadError(res, new UploadRejectedError(400, 'INVALID_UPLOAD',
+                        `Upload rejected: ${err.message}. Send ${expected} in the "${rule.field}" field.`));
+                }
+                return next(err);
+            }
+
+            const received = multi ? (req.files || []) : (req.file ? [req.file] : []);
+            for (const file of received) {
+                file.originalname = sanitizeFilename(file.originalname);
+                if (!file.size) {
+                    return sendUploadError(res, new UploadRejectedError(400, 'EMPTY_FILE', `${file.originalname} is empty`));
+                }
+
+                const detected = detectFileType(file.buffer, file.originalname, rule.types);
+                if (detected.error) {
+                    return sendUploadError(res, new UploadRejectedError(415, detected.code, detected.error,
+                        { allowedExtensions: extensionsFor(rule.types) }));
+                }
+                file.mimetype = detected.mime;
+            }
+            next();
+        });
+    };
+}
+
+// Bytes of uploads that passed the quota check but have no record in
+// 'uploads' yet, per teacher, and the queue their checks go through.
+const reservations = new Map();
+
+function reservationsOf(teacherId) {
+    const key = String(teacherId);
+    if (!reservations.has(key)) reservations.set(key, { bytes: 0, queue: Promise.resolve() });
+    return reservations.get(key);
+}
+
+// What the teacher's files take up: stored uploads plus chunked uploads still
+// in progress (their session holds the announced size until it completes or
+// expires). Records from before sizes were kept count as 0.
+async function usedBytes(store, teacherId, exceptSessionId) {
+    const [uploads, sessions] = await Promise.all([store.getCollectionData('uploads'), store.getCollectionData('uploadSessions')]);
+    const now = Date.now();
+    const stored = uploads
+        .filter(upload => String(upload.teacherId) === String(teacherId))
+        .reduce((total, upload) => total + (Number(upload.size) || 0), 0);
+    const inProgress = sessions
+        .filter(s => String(s.teacherId) === String(teacherId) && s.id !== exceptSessionId && Date.parse(s.expiresAt) > now)
+        .reduce((total, s) => total + (Number(s.size) || 0), 0);
+    return stored + inProgress;
+}
+
+// Rejects an upload that would take the teacher past their storage quota, and
+// otherwise holds its bytes against the quota until the returned release() is
+// called, once the upload's record is written or the upload failed. Checks for
+// one teacher run one at a time, so concurrent uploads can't each pass against
+// the same usage. A quota of 0 means unlimited. `exceptSessionId` leaves out
+// the chunked upload being completed, whose session already counts.
+function reserveQuota(store, teacherId, incomingBytes, quotaBytes, { exceptSessionId } = {}) {
+    if (!quotaBytes) return Promise.resolve(() => {});
+    const entry = reservationsOf(teacherId);
+    const result = entry.queue.then(async () => {
+        // Taken before the usage is read: bytes released meanwhile are in 'uploads' by then
+        const held = entry.bytes;
+        const used = held + await usedBytes(store, teacherId, exceptSessionId);
+        if (used + incomingBytes > quotaBytes) {
+            throw new UploadRejectedError(413, 'QUOTA_EXCEEDED',
+                `This upload would exceed your storage quota of ${formatMb(quotaBytes)} (${formatMb(used)} used).`,
+                { quotaBytes, usedBytes: used });
+        }
+        entry.bytes += incomingBytes;
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            entry.bytes -= incomingBytes;
+        };
+    });
+    entry.queue = result.catch(() => {});
+    return result;
+}
+
+module.exports = { UploadRejectedError, sendUploadError, sanitizeFilename, acceptUpload, reserveQuota };
@@ -1,10 +1,16 @@
 // ---------- Config ----------
 const SCHOOL_NAME = "Trio";                   // School name
 const SCHOOL_LOGO = "logos/trio.jpg";        // Path to logo inside public/
-const BASE_URL = window.location.origin;     // Dynamic base URL
+const BASE_URL = `${window.location.origin}/api`; // API is served from the same origin
 
 let role = '';
 let teacherId = ''; // currently logged-in teacher
+let sessionToken = ''; // issued by /api/login, sent with every write
+
+// Headers for requests that need the logged-in teacher
+function authHeaders(extra = {}) {
+    return sessionToken ? { ...extra, 'Authorization': `Bearer ${sessionToken}` } : extra;
+}
 let isAdmin = true; // only admins can add teachers
 
 // ---------- DOM Updates ----------
@@ -24,6 +30,16 @@ document.addEventListener('DOMContentLoaded', () => {
     populateGradeClass();
     populateAnnouncementGrades();
 
+    // Students sign in with their class code and PIN
+    const studentForm = document.getElementById('studentForm');
+    for (const [id, placeholder] of [['studentClassCode', 'Class code'], ['studentPin', 'PIN']]) {
+        const input = document.createElement('input');
+        input.id = id;
+        input.placeholder = placeholder;
+        if (id === 'studentPin') { input.type = 'password'; input.inputMode = 'numeric'; }
+        studentForm.prepend(input);
+    }
+
     // Add student logout button dynamically
     const studentLogoutBtn = document.createElement('button');
     studentLogoutBtn.id = 'studentLogoutBtn';
@@ -128,6 +144,7 @@ function loginTeacher() {
         if(data.error) { alert(data.error); return; }
 
         teacherId = data.user.id;
+        sessionToken = data.token;
         role = 'teacher';
 
         document.getElementById('currentUser').innerText = `Logged in as Teacher: ${data.user.name}`;
@@ -145,6 +162,8 @@ function loginTeacher() {
 }
 
 function logoutTeacher() {
+    if (sessionToken) fetch(`${BASE_URL}/logout`, { method: 'POST', headers: authHeaders() }).catch(() => {});
+    sessionToken = '';
     teacherId = '';
     role = '';
 
@@ -162,18 +181,33 @@ function logoutTeacher() {
 function loginAdmin() {
     const email = document.getElementById("adminEmail").value;
     const password = document.getElementById("adminPassword").value;
-    if (email === "admin@school.com" && password === "admin123") {
+
+    // Admin accounts live on the server; only users with the admin role get in
+    fetch(`${BASE_URL}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+    })
+    .then(res => res.json())
+    .then(data => {
+        if (data.error || data.user.role !== 'admin') { alert("Invalid admin credentials!"); return; }
+
+        sessionToken = data.token;
         role = 'admin';
         document.getElementById("app").style.display = "block";
         document.getElementById("adminControls").style.display = "block";
-        document.getElementById("currentUser").innerText = "Logged in as Admin";
+        document.getElementById("currentUser").innerText = `Logged in as Admin: ${data.user.name}`;
         document.getElementById("adminForm").style.display = "none";
-    } else {
-        alert("Invalid admin credentials!");
-    }
+    })
+    .catch(err => {
+        console.error('Failed to login:', err);
+        alert('Error connecting to server.');
+    });
 }
 
 function logoutAdmin() {
+    if (sessionToken) fetch(`${BASE_URL}/logout`, { method: 'POST', headers: authHeaders() }).catch(() => {});
+    sessionToken = '';
     role = '';
     document.getElementById("app").style.display = "none";
     document.getElementById("adminControls").style.display = "none";
@@ -197,7 +231,7 @@ async function addTask() {
 
     const res = await fetch(`${BASE_URL}/task`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ grade, classLetter, subject, description, dueDate })
     });
     const data = await res.json();
@@ -211,7 +245,10 @@ async function addTask() {
 }
 
 async function fetchTasks() {
-    const res = await fetch(`${BASE_URL}/tasks`);
+    // Students get only their class's tasks, with their own done state
+    const res = role === 'student'
+        ? await fetch(`${BASE_URL}/tasks/student`, { headers: authHeaders() })
+        : await fetch(`${BASE_URL}/tasks`);
     const allTasks = await res.json();
     const list = document.getElementById('taskList');
     list.innerHTML = '';
@@ -224,39 +261,98 @@ async function fetchTasks() {
     }
 
     allTasks.forEach(t => {
-        if(role === 'teacher' && t.teacher && t.teacher.id === teacherId){
+        if(role === 'student'){
             const li = document.createElement('li');
-            li.innerHTML = `[Grade ${t.grade}${t.classLetter}] [${t.subject}] ${t.description} - ${t.dueDate}`;
+            li.innerText = `[${t.teacher.name}] [${t.subject}] ${t.description} - ${t.dueDate}${t.updated ? ' (updated)' : ''}`;
             const btnDone = document.createElement('button');
             btnDone.innerText = t.done ? 'Undo' : 'Done';
-            btnDone.onclick = () => toggleDone(t.id);
+            btnDone.onclick = () => toggleDone(t.id, !t.done);
+            const btnSubmit = document.createElement('button');
+            btnSubmit.innerText = 'Hand in';
+            btnSubmit.onclick = () => submitWork(t.id);
+            li.appendChild(btnDone);
+            li.appendChild(btnSubmit);
+            if(t.done) li.classList.add('done');
+            list.appendChild(li);
+        } else if(role === 'teacher' && t.teacher && t.teacher.id === teacherId){
+            const li = document.createElement('li');
+            li.innerHTML = `[${t.targetLabel || `Grade ${t.grade}${t.classLetter}`}] [${t.subject}] ${t.description} - ${t.dueDate}${t.series ? ' (repeats)' : ''}`;
+            const btnProgress = document.createElement('button');
+            btnProgress.innerText = 'Progress';
+            btnProgress.onclick = () => showCompletions(t.id);
             const btnDelete = document.createElement('button');
             btnDelete.innerText = 'Delete';
             btnDelete.onclick = () => deleteTask(t.id);
-            li.appendChild(btnDone);
+            const btnEdit = document.createElement('button');
+            btnEdit.innerText = 'Edit';
+            btnEdit.onclick = () => editTask(t);
+            const btnSubmissions = document.createElement('button');
+            btnSubmissions.innerText = 'Submissions';
+            btnSubmissions.onclick = () => showSubmissions(t.id);
+            li.appendChild(btnEdit);
+            li.appendChild(btnProgress);
+            li.appendChild(btnSubmissions);
             li.appendChild(btnDelete);
-            if(t.done) li.classList.add('done');
             list.appendChild(li);
-        } else if(role === 'student'){
-            const studentGrade = document.getElementById('studentGrade').value;
-            const studentClass = document.getElementById('studentClass').value;
-            if(t.grade == studentGrade && t.classLetter == studentClass){
-                const li = document.createElement('li');
-                li.innerText = `[${t.teacher.name}] [${t.subject}] ${t.description} - ${t.dueDate}`;
-                list.appendChild(li);
-            }
         }
     });
 }
 
-async function toggleDone(taskId){
-    await fetch(`${BASE_URL}/task/${taskId}/done`, { method: 'PUT' });
+async function toggleDone(taskId, done){
+    await fetch(`${BASE_URL}/task/${taskId}/done`, {
+        method: 'PUT',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ done })
+    });
     fetchTasks();
 }
 
+async function editTask(task){
+    const description = prompt('Description:', task.description);
+    if(description === null) return;
+    const dueDate = prompt('Due date (YYYY-MM-DD):', task.dueDate);
+    if(dueDate === null) return;
+    const res = await fetch(`${BASE_URL}/task/${task.id}`, {
+        method: 'PATCH',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ description, dueDate })
+    });
+    const data = await res.json();
+    if(data.error) { alert(data.error); return; }
+    fetchTasks();
+}
+
+async function submitWork(taskId){
+    const text = prompt('Your answer:');
+    if(!text) return;
+    const res = await fetch(`${BASE_URL}/task/${taskId}/submission`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ text })
+    });
+    const data = await res.json();
+    alert(data.error || (data.submission.late ? `${data.message} (late)` : data.message));
+}
+
+async function showSubmissions(taskId){
+    const res = await fetch(`${BASE_URL}/task/${taskId}/submissions`, { headers: authHeaders() });
+    const data = await res.json();
+    if(data.error) { alert(data.error); return; }
+    const lines = data.submissions.map(s => `${s.studentName}${s.late ? ' (late)' : ''} - ${s.files.length} file(s)`);
+    alert(`${data.count} submission(s), ${data.lateCount} late\n\n${lines.join('\n')}`);
+}
+
+async function showCompletions(taskId){
+    const res = await fetch(`${BASE_URL}/task/${taskId}/completions`, { headers: authHeaders() });
+    const data = await res.json();
+    if(data.error) { alert(data.error); return; }
+    const names = list => list.map(s => s.name).join(', ') || '-';
+    alert(`Completed ${data.completedCount}/${data.totalStudents}\n\nDone: ${names(data.completed)}\nNot done: ${names(data.notCompleted)}`);
+}
+
 async function deleteTask(taskId){
     if(!confirm('Delete this task?')) return;
-    await fetch(`${BASE_URL}/task/${taskId}`, { method: 'DELETE' });
+    await fetch(`${BASE_URL}/task/${taskId}`, { method: 'DELETE', headers: authHeaders() });
     fetchTasks();
 }
 
@@ -266,22 +362,38 @@ async function addAnnouncement() {
     const grade = document.getElementById('announcementGrade').value;
     const classLetter = document.getElementById('announcementClass') ? document.getElementById('announcementClass').value : 'all';
 
+    // datetime-local has no time zone; the browser's own is meant
+    const publishInput = document.getElementById('announcementPublishAt');
+    const expiresInput = document.getElementById('announcementExpiresAt');
+    const publishAt = publishInput && publishInput.value ? new Date(publishInput.value).toISOString() : undefined;
+    const expiresAt = expiresInput && expiresInput.value ? new Date(expiresInput.value).toISOString() : undefined;
+    const priorityInput = document.getElementById('announcementPriority');
+    const pinnedInput = document.getElementById('announcementPinned');
+    const priority = priorityInput ? priorityInput.value : 'normal';
+    const pinned = pinnedInput ? pinnedInput.checked : false;
+
     if(!message){ alert('Write an announcement!'); return; }
 
     const res = await fetch(`${BASE_URL}/announcement`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message, grade, classLetter })
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ message, grade, classLetter, publishAt, expiresAt, priority, pinned })
     });
     const data = await res.json();
     if(data.error) { alert(data.error); return; }
 
     document.getElementById('announcementMsg').value = '';
+    if(publishInput) publishInput.value = '';
+    if(expiresInput) expiresInput.value = '';
+    if(priorityInput) priorityInput.value = 'normal';
+    if(pinnedInput) pinnedInput.checked = false;
     fetchAnnouncements();
 }
 
 async function fetchAnnouncements() {
-    const res = await fetch(`${BASE_URL}/announcements`);
+    const res = role === 'student'
+        ? await fetch(`${BASE_URL}/announcements/student`, { headers: authHeaders() })
+        : await fetch(`${BASE_URL}/announcements`, { headers: authHeaders() });
     const data = await res.json();
 
     const teacherList = document.getElementById('announcementList');
@@ -293,44 +405,130 @@ async function fetchAnnouncements() {
     data.forEach(a => {
         const gradeText = a.grade === "all" ? "All Grades" : `Grade ${a.grade}`;
         const classText = a.classLetter === "all" ? "All Classes" : a.classLetter;
-        const liText = `[${gradeText}${classText !== "All Classes" ? a.classLetter : ""}] ${a.message}`;
+        // The server already sorts: pinned, then priority, then newest
+        const badges = `${a.pinned ? '📌 ' : ''}${a.priority === 'urgent' ? 'URGENT: ' : a.priority === 'important' ? 'Important: ' : ''}`;
+        const liText = `${badges}[${a.targetLabel || `${gradeText}${classText !== "All Classes" ? a.classLetter : ""}`}] ${a.message}`;
 
         if(role === 'teacher' && a.teacher.id === teacherId && teacherList){
             const li = document.createElement('li');
             li.innerText = liText;
+            if(a.state === 'scheduled') li.innerText += ` (scheduled for ${new Date(a.publishAt).toLocaleString()})`;
+            if(a.state === 'expired') li.innerText += ' (expired)';
+            const readsBtn = document.createElement('button');
+            readsBtn.innerText = 'Read by';
+            readsBtn.onclick = () => showAnnouncementReads(a.id);
+            const pinBtn = document.createElement('button');
+            pinBtn.innerText = a.pinned ? 'Unpin' : 'Pin';
+            pinBtn.onclick = () => setAnnouncementPinned(a.id, !a.pinned);
             const delBtn = document.createElement('button');
             delBtn.innerText = 'Delete';
             delBtn.onclick = () => deleteAnnouncement(a.id);
+            li.appendChild(readsBtn);
+            li.appendChild(pinBtn);
             li.appendChild(delBtn);
             teacherList.appendChild(li);
         }
 
         if(role === 'student' && studentList){
-            const studentGrade = document.getElementById('studentGrade').value;
-            const studentClass = document.getElementById('studentClass').value;
-
-            if((a.grade === 'all' || a.grade == studentGrade) &&
-               (a.classLetter === 'all' || a.classLetter == studentClass)){
-                const li = document.createElement('li');
-                li.innerText = liText;
-                studentList.appendChild(li);
+            const li = document.createElement('li');
+            li.innerText = liText;
+            if(!a.read){
+                const readBtn = document.createElement('button');
+                readBtn.innerText = 'Mark as read';
+                readBtn.onclick = () => markAnnouncementRead(a.id);
+                li.appendChild(readBtn);
             }
+            studentList.appendChild(li);
         }
     });
 }
 
+async function markAnnouncementRead(id){
+    await fetch(`${BASE_URL}/announcement/${id}/read`, { method: 'PUT', headers: authHeaders() });
+    fetchAnnouncements();
+}
+
+async function setAnnouncementPinned(id, pinned){
+    const res = await fetch(`${BASE_URL}/announcement/${id}`, {
+        method: 'PATCH',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ pinned })
+    });
+    const data = await res.json();
+    if(data.error) { alert(data.error); return; }
+    fetchAnnouncements();
+}
+
+async function showAnnouncementReads(id){
+    const res = await fetch(`${BASE_URL}/announcement/${id}/reads`, { headers: authHeaders() });
+    const data = await res.json();
+    if(data.error) { alert(data.error); return; }
+    if(!data.classes.length) { alert('No students are enrolled in the classes this announcement reaches.'); return; }
+    const names = list => list.map(s => s.name).join(', ') || '-';
+    alert(data.classes.map(c => `${c.class}: ${c.readCount}/${c.totalStudents} read (${c.share}%)\nNot read yet: ${names(c.unread)}`).join('\n\n'));
+}
+
 async function deleteAnnouncement(id){
     if(!confirm('Delete this announcement?')) return;
-    await fetch(`${BASE_URL}/announcement/${id}`, { method: 'DELETE' });
+    await fetch(`${BASE_URL}/announcement/${id}`, { method: 'DELETE', headers: authHeaders() });
     fetchAnnouncements();
 }
 
+// ---------- Search ----------
+async function runSearch(){
+    const q = document.getElementById('searchQuery').value.trim();
+    const type = document.getElementById('searchType').value;
+    const mine = document.getElementById('searchMine').checked;
+    const params = new URLSearchParams({ q });
+    if(type) params.set('type', type);
+    if(mine) params.set('teacherId', teacherId);
+
+    const res = await fetch(`${BASE_URL}/search?${params}`, { headers: authHeaders() });
+    const data = await res.json();
+    if(data.error) { alert(data.error); return; }
+
+    const list = document.getElementById('searchResults');
+    list.innerHTML = '';
+    if(!data.results.length){
+        list.innerHTML = '<li class="text-gray-500">Nothing found.</li>';
+        return;
+    }
+    const labels = { task: 'Task', announcement: 'Announcement', upload: 'File' };
+    data.results.forEach(r => {
+        const li = document.createElement('li');
+        const date = r.date ? new Date(r.date).toLocaleDateString() : '';
+        li.innerText = `[${labels[r.type]}] ${r.title}${r.snippet && r.snippet !== r.title ? ` - ${r.snippet}` : ''} (${date})`;
+        if(r.type === 'upload'){
+            const open = document.createElement('a');
+            open.href = r.item.filename;
+            open.target = '_blank';
+            open.innerText = ' Open';
+            li.appendChild(open);
+        }
+        list.appendChild(li);
+    });
+}
+
 // ---------- Student Functions ----------
-function loginStudent(){
+let liveUpdates = null; // EventSource on /api/events while a student is signed in
+
+async function loginStudent(){
+    const classCode = document.getElementById('studentClassCode').value.trim();
+    const pin = document.getElementById('studentPin').value.trim();
+    if(!classCode || !pin){ alert('Enter your class code and PIN!'); return; }
+
+    const res = await fetch(`${BASE_URL}/students/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ classCode, pin })
+    });
+    const data = await res.json();
+    if(data.error){ alert(data.error); return; }
+
     role = 'student';
-    const grade = document.getElementById('studentGrade').value;
-    const classLetter = document.getElementById('studentClass').value;
-    document.getElementById('currentUser').innerText = `Viewing tasks for Grade ${grade}${classLetter}`;
+    sessionToken = data.token;
+    const { name, grade, classLetter } = data.student;
+    document.getElementById('currentUser').innerText = `${name} - Grade ${grade}${classLetter}`;
 
     document.getElementById('studentForm').style.display = 'none';
     document.getElementById('app').style.display = 'block';
@@ -340,19 +538,26 @@ function loginStudent(){
     fetchTasks();
     fetchAnnouncements();
 
-    setInterval(fetchAnnouncements, 30000);
+    // Refresh only when something changed for this class
+    liveUpdates = new EventSource(`${BASE_URL}/events?token=${encodeURIComponent(sessionToken)}`);
+    liveUpdates.addEventListener('task', fetchTasks);
+    liveUpdates.addEventListener('announcement', fetchAnnouncements);
+    liveUpdates.addEventListener('reset', () => { fetchTasks(); fetchAnnouncements(); });
 }
 
 function logoutStudent(){
+    if(sessionToken) fetch(`${BASE_URL}/logout`, { method: 'POST', headers: authHeaders() });
+    sessionToken = '';
+    if(liveUpdates) liveUpdates.close();
+    liveUpdates = null;
     role = '';
     document.getElementById('app').style.display = 'none';
     document.getElementById('studentForm').style.display = 'block';
     document.getElementById('currentUser').innerText = '';
     document.getElementById('studentLogoutBtn').style.display = 'none';
 
-    // Clear student selection
-    document.getElementById('studentGrade').selectedIndex = 0;
-    document.getElementById('studentClass').selectedIndex = 0;
+    // Clear the PIN but keep the class code for the next student
+    document.getElementById('studentPin').value = '';
 }
 
 // ---------- Reset Teacher Password (Update Re-added) ----------
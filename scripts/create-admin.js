@@ -0,0 +1,31 @@
+// Creates an admin account in the configured store, e.g. for the first admin
+// of a self-hosted install:
+//
+//   npm run create-admin -- "Jane Smith" jane@school.com 's3cret-pass'
+
+const { createStore } = require('../lib/stores');
+const { loadConfig } = require('../lib/config');
+const { createAccount } = require('../lib/accounts');
+
+async function main() {
+    const [name, email, password] = process.argv.slice(2);
+    if (!name || !email || !password) {
+        console.error('Usage: npm run create-admin -- "<name>" <email> <password>');
+        process.exit(1);
+    }
+
+    const store = createStore(loadConfig());
+    const { user, error } = await createAccount(store, { name, email, password, role: 'admin' });
+    await store.close();
+
+    if (error) {
+        console.error(`Could not create admin: ${error}`);
+        process.exit(1);
+    }
+    console.log(`Admin ${user.email} created (id ${user.id}).`);
+}
+
+main().catch(e => {
+    console.error('Creating admin failed:', e);
+    process.exit(1);
+});
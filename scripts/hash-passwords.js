@@ -0,0 +1,28 @@
+// One-shot migration: replaces every plaintext teacher password in the
+// configured store with a salted scrypt hash. Safe to run more than once.
+//
+//   STORAGE_DRIVER=json npm run migrate:passwords
+
+const { createStore } = require('../lib/stores');
+const { loadConfig } = require('../lib/config');
+const { hashPassword, isHashed } = require('../lib/passwords');
+
+async function main() {
+    const store = createStore(loadConfig());
+    const teachers = await store.getCollectionData('teachers');
+    let upgraded = 0;
+
+    for (const teacher of teachers) {
+        if (!teacher.password || isHashed(teacher.password)) continue;
+        await store.updateCollectionItem('teachers', teacher.id, { password: await hashPassword(teacher.password) });
+        upgraded++;
+    }
+
+    await store.close();
+    console.log(`Hashed ${upgraded} of ${teachers.length} teacher passwords.`);
+}
+
+main().catch(e => {
+    console.error('Password migration failed:', e);
+    process.exit(1);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultData } = require('../lib/stores');
+const { startTestApp } = require('./helpers');
+
+test('a fresh store has no built-in accounts', () => {
+    assert.deepStrictEqual(defaultData.teachers, []);
+});
+
+test('registration only ever creates teachers', async t => {
+    const { store, request } = await startTestApp(t);
+
+    const res = await request('POST', '/api/register', { body: { name: 'Ann', email: 'ann@school.com', password: 'ann-pass', role: 'admin' } });
+    assert.deepStrictEqual(res.body, { message: 'Teacher registered!' });
+    const teacher = await store.getTeacherByEmail('ann@school.com');
+    assert.strictEqual(teacher.role, 'teacher');
+
+    const again = await request('POST', '/api/register', { body: { name: 'Ann', email: 'ann@school.com', password: 'ann-pass' } });
+    assert.ok(again.body.error);
+});
+
+test('the first admin comes from ADMIN_EMAIL/ADMIN_PASSWORD', async t => {
+    const { request } = await startTestApp(t, {
+        env: { ADMIN_EMAIL: 'head@school.com', ADMIN_PASSWORD: 'head-pass' }
+    });
+    const res = await request('POST', '/api/login', { body: { email: 'head@school.com', password: 'head-pass' } });
+    assert.strictEqual(res.body.user.role, 'admin');
+});
+
+test('a store failure during registration is a server error', async t => {
+    // A record the store can't read makes every lookup throw
+    const { request } = await startTestApp(t, { data: { teachers: [null] } });
+    const originalError = console.error;
+    console.error = () => {};
+    t.after(() => { console.error = originalError; });
+
+    const res = await request('POST', '/api/register', { body: { name: 'Ann', email: 'ann@school.com', password: 'ann-pass' } });
+    assert.strictEqual(res.status, 500);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { announcementState, parseSchedule, sortAnnouncements, parseDisplay } = require('../lib/announcements');
+const { startTestApp, staffData, login, enrolStudent } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const inHours = hours => new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+const announcement = (id, extra = {}) => ({
+    id, grade: '4', classLetter: 'A', message: `Notice ${id}`, priority: 'normal', pinned: false,
+    teacher: { id: 't1', name: 'Ann' }, createdAt: '2030-01-01T08:00:00.000Z', ...extra
+});
+
+test('an announcement is scheduled, published, then expired', () => {
+    const window = { publishAt: '2030-01-01T08:00:00.000Z', expiresAt: '2030-01-02T08:00:00.000Z' };
+    assert.strictEqual(announcementState(window, Date.parse('2030-01-01T07:59:00Z')), 'scheduled');
+    assert.strictEqual(announcementState(window, Date.parse('2030-01-01T08:00:00Z')), 'published');
+    assert.strictEqual(announcementState(window, Date.parse('2030-01-02T08:00:00Z')), 'expired');
+    assert.strictEqual(announcementState({}), 'published');
+
+    assert.match(parseSchedule({ publishAt: 'soon' }).error, /publishAt/);
+    assert.match(parseSchedule({ expiresAt: window.publishAt }, { publishAt: window.expiresAt }).error, /after publishAt/);
+    // Cleared with null; unchanged fields are left out
+    assert.deepStrictEqual(parseSchedule({ expiresAt: null, publishAt: window.publishAt }, window).updates, { expiresAt: null });
+});
+
+test('students only see announcements inside their window, staff see every state', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const ann = await login(request, 'ann');
+    const ada = await enrolStudent(request, await login(request, 'admin'), { name: 'Ada', grade: '4', classLetter: 'A' });
+    const post = body => request('POST', '/api/announcement', { token: ann, body: { grade: '4', classLetter: 'A', ...body } });
+
+    assert.strictEqual((await post({ message: 'Now' })).body.message, 'Announcement added!');
+    assert.strictEqual((await post({ message: 'Later', publishAt: inHours(2) })).body.message, 'Announcement scheduled!');
+    assert.strictEqual((await post({ message: 'Until soon', expiresAt: inHours(1) })).status, 200);
+    assert.strictEqual((await post({ message: 'Bad', publishAt: inHours(2), expiresAt: inHours(1) })).status, 400);
+
+    const messages = list => list.map(a => a.message).sort();
+    const forStudent = await request('GET', '/api/announcements/student', { token: ada.token });
+    assert.deepStrictEqual(messages(forStudent.body), ['Now', 'Until soon']);
+    assert.deepStrictEqual(messages((await request('GET', '/api/announcements')).body), ['Now', 'Until soon']);
+
+    const forStaff = (await request('GET', '/api/announcements', { token: ann })).body;
+    assert.deepStrictEqual(Object.fromEntries(forStaff.map(a => [a.message, a.state])), { Now: 'published', Later: 'scheduled', 'Until soon': 'published' });
+});
+
+test('pinned come first, then the higher priority, then the newest', () => {
+    const sorted = sortAnnouncements([
+        announcement('old', { createdAt: '2030-01-01T08:00:00.000Z' }),
+        announcement('new', { createdAt: '2030-01-03T08:00:00.000Z' }),
+        announcement('urgent', { priority: 'urgent' }),
+        announcement('important', { priority: 'important', createdAt: '2030-01-05T08:00:00.000Z' }),
+        announcement('pinned', { pinned: true, createdAt: '2029-12-01T08:00:00.000Z' }),
+        // Scheduled ones count from when they go out
+        announcement('scheduled', { publishAt: '2030-01-04T08:00:00.000Z' })
+    ]);
+    assert.deepStrictEqual(sorted.map(a => a.id), ['pinned', 'urgent', 'important', 'scheduled', 'new', 'old']);
+
+    assert.deepStrictEqual(parseDisplay({ priority: 'urgent', pinned: false }, {}).updates, { priority: 'urgent' });
+    assert.match(parseDisplay({ priority: 'high' }).error, /priority must be one of/);
+    assert.match(parseDisplay({ pinned: 'yes' }).error, /true or false/);
+});
+
+test('pinning an announcement moves it to the top of the class list', async t => {
+    const announcements = [
+        announcement('n1', { createdAt: '2030-01-01T08:00:00.000Z' }),
+        announcement('n2', { priority: 'important', createdAt: '2030-01-02T08:00:00.000Z' })
+    ];
+    const { request } = await startTestApp(t, { data: { ...await staffData(), announcements } });
+    const ann = await login(request, 'ann');
+    const ids = async () => (await request('GET', '/api/announcements/student?grade=4&classLetter=A', { token: ann })).body.map(a => a.id);
+
+    assert.deepStrictEqual(await ids(), ['n2', 'n1']);
+    const pinned = await request('PATCH', '/api/announcement/n1', { token: ann, body: { pinned: true } });
+    assert.strictEqual(pinned.status, 200);
+    assert.strictEqual(pinned.body.announcement.pinned, true);
+    assert.deepStrictEqual(await ids(), ['n1', 'n2']);
+
+    assert.strictEqual((await request('PATCH', '/api/announcement/n1', { token: ann, body: { priority: 'loud' } })).status, 400);
+    assert.strictEqual((await request('PATCH', '/api/announcement/n2', { token: await login(request, 'bob'), body: { pinned: true } })).status, 403);
+});
+
+test('a student marks an announcement read once, and its teacher sees who has', async t => {
+    const announcements = [announcement('n1'), announcement('later', { publishAt: inHours(2) }), announcement('4b', { classLetter: 'B' })];
+    const { request } = await startTestApp(t, { data: { ...await staffData(), announcements } });
+    const admin = await login(request, 'admin');
+    const ann = await login(request, 'ann');
+    const ada = await enrolStudent(request, admin, { name: 'Ada', grade: '4', classLetter: 'A' });
+    await enrolStudent(request, admin, { name: 'Ben', grade: '4', classLetter: 'A' });
+
+    const first = await request('PUT', '/api/announcement/n1/read', { token: ada.token });
+    assert.strictEqual(first.status, 200);
+    const again = await request('PUT', '/api/announcement/n1/read', { token: ada.token });
+    assert.strictEqual(again.body.readAt, first.body.readAt);
+    // Not out yet, or for another class
+    assert.strictEqual((await request('PUT', '/api/announcement/later/read', { token: ada.token })).status, 404);
+    assert.strictEqual((await request('PUT', '/api/announcement/4b/read', { token: ada.token })).status, 404);
+    // Staff have nothing to mark
+    assert.strictEqual((await request('PUT', '/api/announcement/n1/read', { token: ann })).status, 403);
+
+    const listed = (await request('GET', '/api/announcements/student', { token: ada.token })).body;
+    assert.deepStrictEqual(listed.map(a => [a.id, a.read]), [['n1', true]]);
+
+    const report = await request('GET', '/api/announcement/n1/reads', { token: ann });
+    assert.strictEqual(report.status, 200);
+    assert.deepStrictEqual([report.body.totalStudents, report.body.readCount, report.body.share], [2, 1, 50]);
+    assert.deepStrictEqual(report.body.classes.map(c => [c.class, c.read.map(s => s.name), c.unread.map(s => s.name)]), [['4A', ['Ada'], ['Ben']]]);
+    assert.strictEqual((await request('GET', '/api/announcement/n1/reads', { token: await login(request, 'bob') })).status, 403);
+});
+
+test('store errors while listing announcements are answered with a 500', async t => {
+    const { request, store } = await startTestApp(t, { data: { ...await staffData(), announcements: [announcement('n1')] } });
+    const ann = await login(request, 'ann');
+    // A record the routes can't read
+    (await store.getCollectionData('announcements')).push(null);
+    const originalError = console.error;
+    console.error = () => {};
+    t.after(() => { console.error = originalError; });
+
+    for (const route of ['/api/announcements', '/api/announcements/student?grade=4&classLetter=A']) {
+        const res = await request('GET', route, { token: ann });
+        assert.strictEqual(res.status, 500, route);
+        assert.deepStrictEqual(res.body, { error: 'Failed to load announcements' });
+    }
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../lib/config');
+const { hashPassword } = require('../lib/passwords');
+const { startTestApp } = require('./helpers');
+
+async function staffData() {
+    return {
+        teachers: [
+            { id: 'a1', name: 'Admin', email: 'admin@school.com', role: 'admin', password: await hashPassword('admin-pass') },
+            { id: 't1', name: 'Ann', email: 'ann@school.com', role: 'teacher', password: await hashPassword('ann-pass') }
+        ]
+    };
+}
+
+async function login(request, email, password) {
+    const res = await request('POST', '/api/login', { body: { email, password } });
+    assert.ok(res.body.token, `login as ${email} failed: ${JSON.stringify(res.body)}`);
+    return res.body.token;
+}
+
+test('production refuses to start without SESSION_SECRET', t => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    t.after(() => { console.warn = originalWarn; });
+
+    assert.throws(() => loadConfig({ NODE_ENV: 'production' }), /SESSION_SECRET/);
+    assert.throws(() => loadConfig({ VERCEL: '1' }), /SESSION_SECRET/);
+    assert.strictEqual(loadConfig({ VERCEL: '1', SESSION_SECRET: 'shared' }).sessionSecret, 'shared');
+    assert.match(loadConfig({}).sessionSecret, /^[0-9a-f]{64}$/);
+});
+
+test('a session token works until logout', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const token = await login(request, 'ann@school.com', 'ann-pass');
+
+    const session = await request('GET', '/api/session', { token });
+    assert.strictEqual(session.status, 200);
+    assert.strictEqual(session.body.user.email, 'ann@school.com');
+    assert.strictEqual(session.body.user.role, 'teacher');
+
+    assert.strictEqual((await request('POST', '/api/logout', { token })).status, 200);
+    assert.strictEqual((await request('GET', '/api/session', { token })).status, 401);
+});
+
+test('a tampered or missing token is rejected', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const token = await login(request, 'ann@school.com', 'ann-pass');
+    const tampered = token.slice(0, -2) + (token.endsWith('AA') ? 'BB' : 'AA');
+
+    assert.strictEqual((await request('GET', '/api/session', { token: tampered })).status, 401);
+    assert.strictEqual((await request('GET', '/api/session')).status, 401);
+});
+
+test('refreshing swaps the token for a new one', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const token = await login(request, 'ann@school.com', 'ann-pass');
+
+    const refreshed = await request('POST', '/api/session/refresh', { token });
+    assert.strictEqual(refreshed.status, 200);
+    assert.strictEqual((await request('GET', '/api/session', { token })).status, 401);
+    assert.strictEqual((await request('GET', '/api/session', { token: refreshed.body.token })).status, 200);
+});
+
+test('resetting a password signs the teacher out everywhere', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const adminToken = await login(request, 'admin@school.com', 'admin-pass');
+    const phone = await login(request, 'ann@school.com', 'ann-pass');
+    const laptop = await login(request, 'ann@school.com', 'ann-pass');
+
+    const reset = await request('POST', '/api/admin/reset-teacher-password', {
+        token: adminToken,
+        body: { email: 'ann@school.com', newPassword: 'new-pass' }
+    });
+    assert.strictEqual(reset.status, 200);
+    assert.strictEqual((await request('GET', '/api/session', { token: phone })).status, 401);
+    assert.strictEqual((await request('GET', '/api/session', { token: laptop })).status, 401);
+    // Other accounts stay signed in
+    assert.strictEqual((await request('GET', '/api/session', { token: adminToken })).status, 200);
+
+    assert.ok(await login(request, 'ann@school.com', 'new-pass'));
+});
+
+test('admin routes need an admin', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const teacherToken = await login(request, 'ann@school.com', 'ann-pass');
+
+    assert.strictEqual((await request('GET', '/api/admin/jobs')).status, 401);
+    assert.strictEqual((await request('GET', '/api/admin/jobs', { token: teacherToken })).status, 403);
+});
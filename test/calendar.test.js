@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { homeworkCalendar, escapeText, foldLine } = require('../lib/calendar');
+const { startTestApp, staffData, login } = require('./helpers');
+
+test('text is escaped and long lines are folded at 75 octets', () => {
+    assert.strictEqual(escapeText('a,b;c\\d\r\ne'), 'a\\,b\\;c\\\\d\\ne');
+    assert.strictEqual(escapeText(undefined), '');
+
+    const folded = foldLine(`SUMMARY:${'x'.repeat(200)}`).split('\r\n');
+    assert.strictEqual(folded[0].length, 75);
+    assert.ok(folded.slice(1).every(line => line.startsWith(' ') && Buffer.byteLength(line) <= 75));
+    assert.strictEqual(folded.map((line, i) => (i ? line.slice(1) : line)).join(''), `SUMMARY:${'x'.repeat(200)}`);
+
+    // A multi-byte character is never split
+    const umlauts = foldLine(`SUMMARY:${'ü'.repeat(60)}`).split('\r\n');
+    assert.ok(umlauts.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(umlauts.every(line => !line.includes('�')));
+    assert.strictEqual(umlauts.map((line, i) => (i ? line.slice(1) : line)).join(''), `SUMMARY:${'ü'.repeat(60)}`);
+});
+
+test('each task is an all-day event on its due date', () => {
+    const ics = homeworkCalendar({
+        name: 'Hill School - 4A',
+        tasks: [
+            { id: 'k1', subject: 'Maths, page 12', description: 'Odd numbers;\nshow working', dueDate: '2030-01-31', teacher: { name: 'Ann' }, createdAt: '2030-01-01T08:00:00.000Z' },
+            { id: 'k2', subject: 'No date', description: 'Skipped', dueDate: 'soon' }
+        ]
+    });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('X-WR-CALNAME:Hill School - 4A'));
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+    assert.ok(lines.includes('UID:task-k1@homework'));
+    assert.ok(lines.includes('DTSTAMP:20300101T080000Z'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20300131'));
+    // The next day, across the month end
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20300201'));
+    assert.ok(lines.includes('SUMMARY:Maths\\, page 12'));
+    assert.ok(lines.includes('DESCRIPTION:Odd numbers\\;\\nshow working\\n\\nAnn'));
+});
+
+test('the feed token shows its own class\'s homework until it is replaced', async t => {
+    const { request } = await startTestApp(t, {
+        data: {
+            ...await staffData(),
+            school: { schoolName: 'Hill School' },
+            tasks: [
+                { id: 'k1', grade: '4', classLetter: 'A', subject: 'Maths', description: 'Page 12', dueDate: '2030-01-10' },
+                { id: 'k2', grade: '4', classLetter: 'B', subject: 'Art', description: 'Draw', dueDate: '2030-01-11' }
+            ]
+        }
+    });
+    const ann = await login(request, 'ann');
+
+    const link = await request('GET', '/api/calendar/feed?grade=4&classLetter=A', { token: ann });
+    assert.strictEqual(link.status, 200);
+    assert.match(link.body.webcalUrl, /^webcal:\/\//);
+    const route = new URL(link.body.url).pathname;
+
+    const feed = await request('GET', route);
+    assert.strictEqual(feed.status, 200);
+    assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+    assert.match(feed.body, /X-WR-CALNAME:Hill School - 4A/);
+    assert.match(feed.body, /UID:task-k1@homework/);
+    assert.doesNotMatch(feed.body, /task-k2/);
+
+    // The same link every time until an admin replaces it
+    assert.strictEqual((await request('GET', '/api/calendar/feed?grade=4&classLetter=A', { token: ann })).body.url, link.body.url);
+    assert.strictEqual((await request('GET', '/api/calendar/feed?grade=4&classLetter=all', { token: ann })).status, 400);
+    assert.strictEqual((await request('GET', '/api/calendar/not-a-token.ics')).status, 404);
+
+    const classId = (await request('GET', '/api/admin/classes', { token: await login(request, 'admin') })).body[0].id;
+    const rotated = await request('POST', `/api/admin/classes/${classId}/feed-token`, { token: await login(request, 'admin') });
+    assert.strictEqual(rotated.status, 200);
+    assert.strictEqual((await request('GET', route)).status, 404);
+    assert.strictEqual((await request('GET', new URL(rotated.body.url).pathname)).status, 200);
+});
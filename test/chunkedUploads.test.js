@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { startTestApp, staffData, login } = require('./helpers');
+
+const FILE = Buffer.from('%PDF-1.4\nA worksheet for class 4A, page one and two.\n');
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+async function startUploading(t) {
+    const context = await startTestApp(t, { data: await staffData() });
+    const token = await login(context.request, 'ann');
+    const { url } = context;
+
+    // Chunks are raw bytes, not JSON
+    async function putChunk(uploadId, offset, bytes) {
+        const res = await fetch(`${url}/api/uploads/chunked/${uploadId}?offset=${offset}`, {
+            method: 'PUT',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/octet-stream' },
+            body: bytes
+        });
+        return { status: res.status, body: await res.json() };
+    }
+    const start = (body = {}) => context.request('POST', '/api/uploads/chunked', {
+        token,
+        body: { filename: 'worksheet.pdf', size: FILE.length, grade: '4', classLetter: 'A', ...body }
+    });
+    const partialPath = uploadId => path.join(context.config.uploadDir, '.partial', uploadId);
+    return { ...context, token, putChunk, start, partialPath };
+}
+
+test('a file sent in chunks becomes a normal upload', async t => {
+    const { request, store, token, putChunk, start, partialPath } = await startUploading(t);
+
+    const started = await start({ sha256: sha256(FILE) });
+    assert.strictEqual(started.status, 201);
+    const { uploadId } = started.body;
+    assert.strictEqual(started.body.receivedBytes, 0);
+
+    assert.deepStrictEqual((await putChunk(uploadId, 0, FILE.subarray(0, 20))).body, { receivedBytes: 20, size: FILE.length });
+    // Completing early is refused
+    const early = await request('POST', `/api/uploads/chunked/${uploadId}/complete`, { token, body: {} });
+    assert.strictEqual(early.status, 409);
+    assert.strictEqual(early.body.code, 'UPLOAD_INCOMPLETE');
+
+    assert.strictEqual((await putChunk(uploadId, 20, FILE.subarray(20))).body.receivedBytes, FILE.length);
+    const done = await request('POST', `/api/uploads/chunked/${uploadId}/complete`, { token, body: {} });
+    assert.strictEqual(done.status, 200, JSON.stringify(done.body));
+    assert.strictEqual(done.body.file.mimeType, 'application/pdf');
+    assert.strictEqual(done.body.file.sha256, sha256(FILE));
+
+    const download = await request('GET', `/api/files/${done.body.file.id}`);
+    assert.strictEqual(download.body, FILE.toString());
+    assert.deepStrictEqual(await store.getCollectionData('uploadSessions'), []);
+    assert.ok(!fs.existsSync(partialPath(uploadId)));
+});
+
+test('a dropped upload resumes where the server says, never after it', async t => {
+    const { request, token, putChunk, start } = await startUploading(t);
+    const { uploadId } = (await start()).body;
+    await putChunk(uploadId, 0, FILE.subarray(0, 30));
+
+    const gap = await putChunk(uploadId, 40, FILE.subarray(40));
+    assert.strictEqual(gap.status, 409);
+    assert.deepStrictEqual([gap.body.code, gap.body.receivedBytes], ['OFFSET_MISMATCH', 30]);
+
+    const status = await request('GET', `/api/uploads/chunked/${uploadId}`, { token });
+    assert.strictEqual(status.body.receivedBytes, 30);
+    // Re-sending an overlap rewrites it
+    assert.strictEqual((await putChunk(uploadId, 25, FILE.subarray(25))).body.receivedBytes, FILE.length);
+
+    const wrongHash = await request('POST', `/api/uploads/chunked/${uploadId}/complete`, { token, body: { sha256: sha256(Buffer.from('other')) } });
+    assert.strictEqual(wrongHash.status, 422);
+    // A corrupted upload is discarded
+    assert.strictEqual((await request('GET', `/api/uploads/chunked/${uploadId}`, { token })).status, 404);
+});
+
+test('other teachers cannot see or touch an upload', async t => {
+    const { request, start } = await startUploading(t);
+    const { uploadId } = (await start()).body;
+    const bob = await login(request, 'bob');
+    assert.strictEqual((await request('GET', `/api/uploads/chunked/${uploadId}`, { token: bob })).status, 404);
+    assert.strictEqual((await request('DELETE', `/api/uploads/chunked/${uploadId}`, { token: bob })).status, 404);
+    assert.strictEqual((await request('POST', '/api/uploads/chunked', { body: { filename: 'a.pdf', size: 10 } })).status, 401);
+});
+
+test('an expired upload is cleaned up when it is next touched', async t => {
+    const { request, store, token, putChunk, start, partialPath } = await startUploading(t);
+    const { uploadId } = (await start()).body;
+    await putChunk(uploadId, 0, FILE.subarray(0, 10));
+    await store.updateCollectionItem('uploadSessions', uploadId, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const expired = await putChunk(uploadId, 10, FILE.subarray(10));
+    assert.strictEqual(expired.status, 410);
+    assert.strictEqual(expired.body.code, 'UPLOAD_EXPIRED');
+    assert.strictEqual(await store.getCollectionItem('uploadSessions', uploadId), undefined);
+    assert.ok(!fs.existsSync(partialPath(uploadId)));
+    assert.strictEqual((await request('GET', `/api/uploads/chunked/${uploadId}`, { token })).status, 404);
+});
+
+test('a failing status lookup is answered with a 500', async t => {
+    const { request, config, token, start } = await startUploading(t);
+    const { uploadId } = (await start()).body;
+    // The partial file can no longer be read
+    const partialDir = path.join(config.uploadDir, '.partial');
+    fs.rmSync(partialDir, { recursive: true });
+    fs.writeFileSync(partialDir, '');
+    const originalError = console.error;
+    console.error = () => {};
+    t.after(() => { console.error = originalError; });
+
+    const res = await request('GET', `/api/uploads/chunked/${uploadId}`, { token });
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(res.body, { error: 'Failed to read upload status.' });
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestApp, staffData, login, enrolStudent } = require('./helpers');
+
+const task = (id, classLetter) => ({
+    id, grade: '4', classLetter, subject: 'Maths', description: 'Page 12', dueDate: '2030-01-10', teacher: { id: 't1', name: 'Ann' }
+});
+
+async function startWithStudents(t) {
+    const context = await startTestApp(t, {
+        data: { ...await staffData(), tasks: [{ ...task('k1', 'A'), done: true }, task('k2', 'B')] }
+    });
+    const adminToken = await login(context.request, 'admin');
+    const enrol = (name, classLetter) => enrolStudent(context.request, adminToken, { name, grade: '4', classLetter });
+    return { ...context, ada: await enrol('Ada', 'A'), alan: await enrol('Alan', 'A') };
+}
+
+test('each student ticks a task off for themselves only', async t => {
+    const { request, ada, alan } = await startWithStudents(t);
+    const doneFlags = async token => (await request('GET', '/api/tasks/student', { token })).body.map(k => [k.id, k.done]);
+
+    // The old task-wide flag counts for nobody
+    assert.deepStrictEqual(await doneFlags(ada.token), [['k1', false]]);
+
+    const ticked = await request('PUT', '/api/task/k1/done', { token: ada.token, body: { done: true } });
+    assert.deepStrictEqual(ticked.body, { message: 'Task updated!', done: true });
+    // Setting it again changes nothing
+    assert.strictEqual((await request('PUT', '/api/task/k1/done', { token: ada.token, body: { done: true } })).body.done, true);
+    assert.deepStrictEqual(await doneFlags(ada.token), [['k1', true]]);
+    assert.deepStrictEqual(await doneFlags(alan.token), [['k1', false]]);
+
+    // Without a body it toggles
+    assert.strictEqual((await request('PUT', '/api/task/k1/done', { token: ada.token })).body.done, false);
+    assert.deepStrictEqual(await doneFlags(ada.token), [['k1', false]]);
+});
+
+test('students cannot tick off another class\'s task', async t => {
+    const { request, store, ada } = await startWithStudents(t);
+    assert.strictEqual((await request('PUT', '/api/task/k2/done', { token: ada.token, body: { done: true } })).status, 404);
+    assert.strictEqual((await request('PUT', '/api/task/k1/done', { token: await login(request, 'ann'), body: { done: true } })).status, 403);
+    assert.deepStrictEqual(await store.getCollectionData('completions'), []);
+});
+
+test('the task\'s teacher sees who has completed it', async t => {
+    const { request, ada, alan } = await startWithStudents(t);
+    await request('PUT', '/api/task/k1/done', { token: ada.token, body: { done: true } });
+
+    const report = await request('GET', '/api/task/k1/completions', { token: await login(request, 'ann') });
+    assert.strictEqual(report.status, 200);
+    assert.strictEqual(report.body.totalStudents, 2);
+    assert.deepStrictEqual(report.body.completed.map(s => s.id), [ada.student.id]);
+    assert.deepStrictEqual(report.body.notCompleted.map(s => s.id), [alan.student.id]);
+
+    assert.strictEqual((await request('GET', '/api/task/k1/completions', { token: await login(request, 'bob') })).status, 403);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEventBus } = require('../lib/events');
+const { startTestApp, staffData, login, enrolStudent } = require('./helpers');
+
+// Reads GET /api/events as parsed messages: { id, event, data }
+async function openStream(t, url, { token, query = '', lastEventId } = {}) {
+    const controller = new AbortController();
+    const headers = { Authorization: `Bearer ${token}` };
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+    const res = await fetch(`${url}/api/events${query}`, { headers, signal: controller.signal });
+    assert.strictEqual(res.status, 200);
+    t.after(() => controller.abort());
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let ended = false;
+
+    // The next message, or null once the server ends the stream
+    async function next() {
+        for (;;) {
+            const boundary = buffered.indexOf('\n\n');
+            if (boundary !== -1) {
+                const block = buffered.slice(0, boundary);
+                buffered = buffered.slice(boundary + 2);
+                const message = {};
+                for (const line of block.split('\n')) {
+                    const [, field, value] = line.match(/^(\w+): ?(.*)$/) || [];
+                    if (field) message[field] = field === 'data' ? JSON.parse(value) : value;
+                }
+                if (message.event) return message;
+                continue;
+            }
+            if (ended) return null;
+            const { value, done } = await reader.read();
+            if (done) ended = true;
+            else buffered += decoder.decode(value, { stream: true });
+        }
+    }
+    return { next };
+}
+
+async function startWithStreams(t) {
+    const context = await startTestApp(t, { data: await staffData() });
+    const { request } = context;
+    const admin = await login(request, 'admin');
+    return {
+        ...context,
+        ann: await login(request, 'ann'),
+        bob: await login(request, 'bob'),
+        ada: await enrolStudent(request, admin, { name: 'Ada', grade: '4', classLetter: 'A' })
+    };
+}
+
+const postTask = (request, token, classLetter, subject) => request('POST', '/api/task', {
+    token, body: { grade: '4', classLetter, subject, description: 'Read', dueDate: '2030-01-10' }
+});
+
+test('the bus replays what a client missed, or asks it to reload', () => {
+    const bus = createEventBus({ bufferSize: 2 });
+    const published = [];
+    bus.subscribe(event => published.push(event));
+    for (const id of ['a', 'b', 'c']) bus.publish('task', 'created', { id, grade: '4', classLetter: 'A' });
+    const [a, b, c] = published.map(event => event.id);
+    const ids = events => events.map(event => event.data.id);
+
+    assert.deepStrictEqual(ids(bus.since(b)), ['c']);
+    assert.deepStrictEqual(ids(bus.since(a)), ['b', 'c']);
+    assert.deepStrictEqual(bus.since(c), []);
+    // 'a' itself has dropped out of the buffer
+    assert.strictEqual(bus.since(`${a.split('-')[0]}-0`), null);
+    // IDs from before a restart
+    assert.strictEqual(bus.since('0000-1'), null);
+    assert.strictEqual(bus.since('garbage'), null);
+});
+
+test('students hear about their own class only, teachers about their own items', async t => {
+    const { request, url, ann, bob, ada } = await startWithStreams(t);
+    const student = await openStream(t, url, { token: ada.token });
+    const teacher = await openStream(t, url, { token: bob });
+    const classView = await openStream(t, url, { token: bob, query: '?grade=4&classLetter=B' });
+
+    await postTask(request, ann, 'B', 'Art');
+    await postTask(request, ann, 'A', 'Maths');
+    await postTask(request, bob, 'B', 'Music');
+
+    const studentEvent = await student.next();
+    assert.strictEqual(studentEvent.event, 'task');
+    assert.deepStrictEqual([studentEvent.data.action, studentEvent.data.data.subject], ['created', 'Maths']);
+
+    assert.strictEqual((await teacher.next()).data.data.subject, 'Music');
+    assert.strictEqual((await classView.next()).data.data.subject, 'Art');
+    assert.strictEqual((await classView.next()).data.data.subject, 'Music');
+});
+
+test('a reconnecting client gets what it missed in its scope', async t => {
+    const { request, url, ann, ada } = await startWithStreams(t);
+    const first = await openStream(t, url, { token: ada.token });
+    await postTask(request, ann, 'A', 'Maths');
+    const seen = await first.next();
+
+    // While disconnected
+    await postTask(request, ann, 'B', 'Art');
+    await postTask(request, ann, 'A', 'Science');
+
+    const resumed = await openStream(t, url, { token: ada.token, lastEventId: seen.id });
+    const replayed = await resumed.next();
+    assert.strictEqual(replayed.data.data.subject, 'Science');
+    assert.ok(Number(replayed.id.split('-')[1]) > Number(seen.id.split('-')[1]));
+
+    const unknown = await openStream(t, url, { token: ada.token, lastEventId: 'restarted-7' });
+    assert.strictEqual((await unknown.next()).event, 'reset');
+});
+
+test('students never see a scheduled announcement early', async t => {
+    const { request, url, ann, ada } = await startWithStreams(t);
+    const student = await openStream(t, url, { token: ada.token });
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await request('POST', '/api/announcement', { token: ann, body: { grade: '4', classLetter: 'A', message: 'Trip', publishAt } });
+
+    const event = await student.next();
+    assert.strictEqual(event.data.action, 'deleted');
+    assert.deepStrictEqual(Object.keys(event.data.data), ['id']);
+});
+
+test('a stream ends when its session is revoked', async t => {
+    const { request, url, ann, ada } = await startWithStreams(t);
+    const teacher = await openStream(t, url, { token: ann });
+    const student = await openStream(t, url, { token: ada.token });
+
+    assert.strictEqual((await request('POST', '/api/logout', { token: ann })).status, 200);
+    assert.strictEqual(await teacher.next(), null);
+
+    const admin = await login(request, 'admin');
+    assert.strictEqual((await request('POST', `/api/admin/students/${ada.student.id}/pin`, { token: admin, body: {} })).status, 200);
+    assert.strictEqual(await student.next(), null);
+
+    // ?token= is checked like the header
+    const res = await fetch(`${url}/api/events?token=${encodeURIComponent(ann)}`);
+    assert.strictEqual(res.status, 401);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildGradebook, gradebookCsv } = require('../lib/gradebook');
+const { parseMark } = require('../lib/submissions');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { defaultData } = require('../lib/stores');
+const { startTestApp, staffData, login, enrolStudent } = require('./helpers');
+
+const ann = { id: 't1', name: 'Ann', role: 'teacher' };
+const task = (id, dueDate, extra = {}) => ({
+    id, grade: '4', classLetter: 'A', subject: 'Maths', description: `Sheet ${id}`, dueDate, teacher: { id: 't1', name: 'Ann' }, ...extra
+});
+const student = (id, name) => ({ id, name, grade: '4', classLetter: 'A' });
+const marked = (taskId, studentId, percentage, extra = {}) => ({
+    id: `${taskId}:${studentId}`, taskId, studentId, late: false, mark: { type: 'numeric', score: percentage, maxScore: 100, percentage }, ...extra
+});
+
+function schoolStore() {
+    return createMemoryStore({
+        data: {
+            ...JSON.parse(JSON.stringify(defaultData)),
+            students: [student('s1', 'Ada'), student('s2', '=Bob'), { ...student('s3', 'Cy'), classLetter: 'B' }],
+            tasks: [
+                task('k1', '2020-01-10'),
+                task('k2', '2020-02-10', { description: 'Essay, "part 1"' }),
+                task('k3', '2099-01-10'),
+                task('k4', '2020-01-10', { subject: 'Art' }),
+                task('k5', '2020-01-10', { teacher: { id: 't2', name: 'Bob' } })
+            ],
+            submissions: [
+                marked('k1', 's1', 80),
+                marked('k2', 's1', 60, { late: true }),
+                marked('k1', 's2', 50),
+                // Handed in, not marked yet
+                { id: 'k3:s2', taskId: 'k3', studentId: 's2', late: false, mark: null }
+            ]
+        }
+    });
+}
+
+test('marks are numeric or rubric totals on a common percentage', () => {
+    assert.deepStrictEqual(parseMark({ score: 7, maxScore: 8 }).mark.percentage, 87.5);
+    const rubric = parseMark({ rubric: [{ criterion: 'Method', score: 3, maxScore: 4 }, { criterion: 'Answer', score: 1, maxScore: 2 }] }).mark;
+    assert.deepStrictEqual([rubric.score, rubric.maxScore, rubric.percentage], [4, 6, 66.7]);
+    assert.strictEqual(parseMark({ feedback: 'Good effort' }).mark.percentage, null);
+    assert.match(parseMark({ score: 9, maxScore: 8 }).error, /from 0 to 8/);
+});
+
+test('the gradebook averages marks and counts missing and late work', async () => {
+    const book = await buildGradebook(schoolStore(), { grade: '4', classLetter: 'a', subject: 'maths', user: ann, now: new Date('2025-01-01') });
+
+    // Only Ann's Maths tasks, by due date; only 4A's students, by name
+    assert.deepStrictEqual(book.tasks.map(t => t.id), ['k1', 'k2', 'k3']);
+    assert.deepStrictEqual(book.students.map(row => row.student.name), ['=Bob', 'Ada']);
+
+    const [bob, ada] = book.students;
+    assert.deepStrictEqual(ada.cells.map(c => c.status), ['marked', 'marked', 'pending']);
+    assert.deepStrictEqual([ada.averagePercentage, ada.missingCount, ada.lateCount], [70, 0, 1]);
+    assert.deepStrictEqual(bob.cells.map(c => c.status), ['marked', 'missing', 'submitted']);
+    assert.deepStrictEqual([bob.averagePercentage, bob.missingCount, bob.lateCount], [50, 1, 0]);
+
+    assert.deepStrictEqual(book.tasks.map(t => t.averagePercentage), [65, 60, null]);
+    assert.strictEqual(book.classAverage, 63.3);
+    assert.strictEqual(book.missingTotal, 1);
+
+    // Admins get every teacher's tasks
+    const all = await buildGradebook(schoolStore(), { grade: '4', classLetter: 'A', subject: 'Maths', user: { id: 'a1', role: 'admin' } });
+    assert.deepStrictEqual(all.tasks.map(t => t.id), ['k1', 'k5', 'k2', 'k3']);
+});
+
+test('the CSV escapes text and never starts a formula', async () => {
+    const book = await buildGradebook(schoolStore(), { grade: '4', classLetter: 'A', subject: 'Maths', user: ann, now: new Date('2025-01-01') });
+    assert.strictEqual(gradebookCsv(book), [
+        'Student,Sheet k1 (due 2020-01-10),"Essay, ""part 1"" (due 2020-02-10)",Sheet k3 (due 2099-01-10),Average %,Missing,Late',
+        '\'=Bob,50,missing,submitted,50,1,0',
+        'Ada,80,60,,70,0,1',
+        'Class average,65,60,,63.3,1,',
+        ''
+    ].join('\r\n'));
+});
+
+test('a mark given through the routes shows up in the CSV download', async t => {
+    const { request, store } = await startTestApp(t, { data: { ...await staffData(), tasks: [task('k1', '2030-01-10')] } });
+    const ada = await enrolStudent(request, await login(request, 'admin'), { name: 'Ada', grade: '4', classLetter: 'A' });
+    const teacher = await login(request, 'ann');
+    const submitted = await request('POST', '/api/task/k1/submission', { token: ada.token, body: { text: 'Done' } });
+
+    const mark = await request('PUT', `/api/submissions/${encodeURIComponent(submitted.body.submission.id)}/mark`, { token: teacher, body: { score: 9, maxScore: 10, feedback: 'Nice' } });
+    assert.strictEqual(mark.status, 200);
+    assert.strictEqual(mark.body.mark.attempt, 1);
+    assert.strictEqual((await store.getCollectionItem('submissions', submitted.body.submission.id)).mark.percentage, 90);
+
+    const csv = await request('GET', '/api/gradebook?grade=4&classLetter=A&subject=Maths&format=csv', { token: teacher });
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.headers.get('content-disposition'), /gradebook-4A-Maths\.csv/);
+    assert.strictEqual(csv.body.split('\r\n')[1], 'Ada,90,90,0,0');
+    assert.strictEqual((await request('GET', '/api/gradebook?grade=4&classLetter=all&subject=Maths', { token: teacher })).status, 400);
+});
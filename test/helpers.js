@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../lib/app');
+const { loadConfig } = require('../lib/config');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { defaultData } = require('../lib/stores');
+const { hashPassword } = require('../lib/passwords');
+
+// ---------------- TEST HELPERS ----------------
+// Shared by the *.test.js files: a temp directory removed after the test,
+// the whole app over a memory store listening on a free port, and the
+// accounts most route tests need.
+
+function tempDir(t, prefix = 'portal-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Resolves to { store, app, config, url, request(method, path, { body, token }) }.
+// `data` is merged over the default collections; `env` over the test settings.
+async function startTestApp(t, { data = {}, env = {} } = {}) {
+    const dir = tempDir(t);
+    const config = loadConfig({
+        SESSION_SECRET: 'test-secret',
+        JOBS: 'off',
+        MAIL_TRANSPORT: 'outbox',
+        MAIL_OUTBOX_DIR: path.join(dir, 'outbox'),
+        UPLOAD_DIR: path.join(dir, 'uploads'),
+        ...env
+    });
+    const store = createMemoryStore({ data: { ...JSON.parse(JSON.stringify(defaultData)), ...data } });
+    const app = createApp({ store, config });
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(async () => {
+        app.locals.events.close();
+        await app.locals.scheduler.stop();
+        await app.locals.notifier.stop();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    async function request(method, route, { body, token } = {}) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const res = await fetch(url + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const type = res.headers.get('content-type') || '';
+        return { status: res.status, headers: res.headers, body: type.includes('json') ? await res.json() : await res.text() };
+    }
+
+    return { store, app, config, url, request };
+}
+
+// An admin and two teachers; each signs in with `<name>-pass`, e.g.
+// ann@school.com / ann-pass
+async function staffData() {
+    return {
+        teachers: [
+            { id: 'a1', name: 'Admin', email: 'admin@school.com', role: 'admin', password: await hashPassword('admin-pass') },
+            { id: 't1', name: 'Ann', email: 'ann@school.com', role: 'teacher', password: await hashPassword('ann-pass') },
+            { id: 't2', name: 'Bob', email: 'bob@school.com', role: 'teacher', password: await hashPassword('bob-pass') }
+        ]
+    };
+}
+
+// Resolves to the session token of a staffData() account ('admin', 'ann', 'bob')
+async function login(request, name) {
+    const res = await request('POST', '/api/login', { body: { email: `${name}@school.com`, password: `${name}-pass` } });
+    if (!res.body.token) throw new Error(`login as ${name} failed: ${JSON.stringify(res.body)}`);
+    return res.body.token;
+}
+
+// Enrols a student as the admin and signs them in; resolves to
+// { student, pin, classCode, token }
+async function enrolStudent(request, adminToken, { name, grade, classLetter }) {
+    const enrolled = await request('POST', '/api/admin/students', { token: adminToken, body: { name, grade, classLetter } });
+    if (enrolled.status !== 200) throw new Error(`enrolling ${name} failed: ${JSON.stringify(enrolled.body)}`);
+    const { classCode, pin } = enrolled.body;
+    const signedIn = await request('POST', '/api/students/login', { body: { classCode, pin } });
+    return { ...enrolled.body, token: signedIn.body.token };
+}
+
+module.exports = { tempDir, startTestApp, staffData, login, enrolStudent };
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { purgeOrphanedFiles, expireAnnouncements } = require('../lib/jobs');
+const { createScheduler } = require('../lib/scheduler');
+const { createFileService } = require('../lib/fileStorage');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { defaultData } = require('../lib/stores');
+const { hashPassword } = require('../lib/passwords');
+const { loadConfig } = require('../lib/config');
+const { tempDir, startTestApp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function storeWith(data = {}) {
+    return createMemoryStore({ data: { ...defaultData, ...data } });
+}
+
+// An upload directory with a file at each key, all two hours old unless given
+function uploadDirWith(t, keys, { fresh = [] } = {}) {
+    const dir = tempDir(t);
+    const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    for (const key of [...keys, ...fresh]) {
+        const filePath = path.join(dir, key);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, 'bytes');
+        if (!fresh.includes(key)) fs.utimesSync(filePath, old, old);
+    }
+    return dir;
+}
+
+test('the purge only deletes orphans in the folders the portal writes', async t => {
+    const now = new Date();
+    const store = storeWith({
+        uploads: [{ id: 'u1', storageKey: 'files/1-a-kept.pdf' }, { id: 'u2', filename: '1759594038677-old.pdf' }],
+        uploadSessions: [
+            { id: 'live', expiresAt: new Date(now.getTime() + DAY_MS).toISOString() },
+            { id: 'gone', expiresAt: new Date(now.getTime() - DAY_MS).toISOString() }
+        ]
+    });
+    const uploadDir = uploadDirWith(t, [
+        'files/1-a-kept.pdf',
+        'files/2-b-orphan.pdf',
+        'logos/3-c-orphan.png',
+        '.partial/live',
+        '.partial/gone',
+        // Left by the old local server, referenced or not
+        '1759594038677-old.pdf',
+        '1759594038678-untracked.png',
+        'notes/readme.txt'
+    ], { fresh: ['submissions/4-d-in-progress.pdf'] });
+    const files = createFileService({ store, config: { uploadDir } });
+    const exists = key => fs.existsSync(path.join(uploadDir, key));
+
+    const preview = await purgeOrphanedFiles({ store, files, uploadDir, now, dryRun: true });
+    assert.deepStrictEqual(preview.wouldDelete.sort(), ['.partial/gone', 'files/2-b-orphan.pdf', 'logos/3-c-orphan.png']);
+    assert.ok(exists('files/2-b-orphan.pdf'));
+    assert.strictEqual((await store.getCollectionData('uploadSessions')).length, 2);
+
+    assert.deepStrictEqual(await purgeOrphanedFiles({ store, files, uploadDir, now }), { deleted: 3, bytes: 15 });
+    for (const key of preview.wouldDelete) assert.ok(!exists(key), key);
+    for (const key of ['files/1-a-kept.pdf', '.partial/live', '1759594038677-old.pdf', '1759594038678-untracked.png', 'notes/readme.txt', 'submissions/4-d-in-progress.pdf']) {
+        assert.ok(exists(key), key);
+    }
+    assert.deepStrictEqual((await store.getCollectionData('uploadSessions')).map(s => s.id), ['live']);
+});
+
+test('only announcements with an expiry date are expired', async () => {
+    const now = new Date();
+    const longAgo = new Date(now.getTime() - 100 * DAY_MS).toISOString();
+    const store = storeWith({
+        announcements: [
+            { id: 'expired', text: 'Trip', createdAt: longAgo, expiresAt: longAgo },
+            { id: 'recent', text: 'Fair', createdAt: longAgo, expiresAt: new Date(now.getTime() - DAY_MS).toISOString() },
+            { id: 'standing', text: 'Term dates', createdAt: longAgo, pinned: true }
+        ]
+    });
+
+    assert.deepStrictEqual(await expireAnnouncements({ store, ttlDays: 90, now }), { deleted: 1 });
+    assert.deepStrictEqual((await store.getCollectionData('announcements')).map(a => a.id).sort(), ['recent', 'standing']);
+    assert.deepStrictEqual(await expireAnnouncements({ store, ttlDays: 0, now }), { deleted: 0, disabled: true });
+});
+
+test('the scheduler records runs and waits until a job is due again', async () => {
+    const store = storeWith();
+    const calls = [];
+    const scheduler = createScheduler({
+        store,
+        jobs: [{ name: 'count', description: 'Counts', intervalMs: DAY_MS, dryRun: true, run: async options => { calls.push(options.dryRun); return { n: calls.length }; } }]
+    });
+
+    // A dry run leaves the schedule alone
+    const preview = await scheduler.runJob('count', { dryRun: true });
+    assert.strictEqual(preview.dryRun, true);
+    assert.strictEqual(await store.getCollectionItem('jobs', 'count'), undefined);
+
+    const run = await scheduler.runJob('count');
+    assert.strictEqual(run.status, 'ok');
+    assert.deepStrictEqual(run.result, { n: 2 });
+    assert.deepStrictEqual(await scheduler.runJob('count'), { skipped: 'not due' });
+    assert.strictEqual((await scheduler.runJob('count', { force: true })).status, 'ok');
+
+    assert.deepStrictEqual(calls, [true, false, false]);
+    assert.strictEqual((await store.getCollectionData('jobRuns')).length, 3);
+});
+
+test('a job runs on one instance at a time', async () => {
+    const store = storeWith();
+    let finish;
+    const job = { name: 'slow', description: 'Slow', intervalMs: DAY_MS, run: () => new Promise(resolve => { finish = resolve; }) };
+    // Shared leases, like the sqlite and firestore drivers have
+    const leases = new Map();
+    Object.assign(store, {
+        async acquireLease(name, owner) {
+            if (leases.has(name) && leases.get(name) !== owner) return false;
+            leases.set(name, owner);
+            return true;
+        },
+        async releaseLease(name, owner) {
+            if (leases.get(name) === owner) leases.delete(name);
+        }
+    });
+    const first = createScheduler({ store, jobs: [job] });
+    const second = createScheduler({ store, jobs: [job] });
+
+    const running = first.runJob('slow', { force: true });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(await second.runJob('slow', { force: true }), { skipped: 'running elsewhere' });
+    finish({});
+    assert.strictEqual((await running).status, 'ok');
+});
+
+test('a long run keeps its lease', async () => {
+    const store = storeWith();
+    const renewals = [];
+    Object.assign(store, {
+        async acquireLease(name, owner, ttlMs) {
+            renewals.push(ttlMs);
+            return true;
+        },
+        async releaseLease() {}
+    });
+    const job = { name: 'slow', description: 'Slow', intervalMs: DAY_MS, run: () => new Promise(resolve => setTimeout(resolve, 100)) };
+    const scheduler = createScheduler({ store, jobs: [job], leaseMs: 30 });
+
+    assert.strictEqual((await scheduler.runJob('slow', { force: true })).status, 'ok');
+    // Taken once, then renewed every 10ms until the run ended
+    assert.ok(renewals.length >= 4, `lease taken ${renewals.length} times`);
+    assert.ok(renewals.every(ttl => ttl === 30));
+    const count = renewals.length;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(renewals.length, count);
+});
+
+test('jobs are off by default on Vercel', () => {
+    const jobsEnabled = env => loadConfig({ SESSION_SECRET: 'x', SMTP_URL: 'smtp://mail.school.com', ...env }).jobsEnabled;
+    assert.strictEqual(jobsEnabled({}), true);
+    assert.strictEqual(jobsEnabled({ JOBS: 'off' }), false);
+    assert.strictEqual(jobsEnabled({ VERCEL: '1' }), false);
+    assert.strictEqual(jobsEnabled({ VERCEL: '1', JOBS: 'on' }), true);
+});
+
+test('admins can dry-run the jobs that support it', async t => {
+    const { request } = await startTestApp(t, {
+        data: { teachers: [{ id: 'a1', name: 'Admin', email: 'admin@school.com', role: 'admin', password: await hashPassword('admin-pass') }] }
+    });
+    const token = (await request('POST', '/api/login', { body: { email: 'admin@school.com', password: 'admin-pass' } })).body.token;
+
+    const preview = await request('POST', '/api/admin/jobs/purgeOrphanedFiles/run?dryRun=1', { token });
+    assert.strictEqual(preview.status, 200, JSON.stringify(preview.body));
+    assert.strictEqual(preview.body.message, 'Dry run finished');
+    assert.deepStrictEqual(preview.body.run.result, { dryRun: true, wouldDelete: [], bytes: 0 });
+
+    const unsupported = await request('POST', '/api/admin/jobs/expireAnnouncements/run?dryRun=1', { token });
+    assert.strictEqual(unsupported.status, 400);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { createJsonFile, createJsonFileStore } = require('../lib/stores/jsonFile');
+
+const defaults = { teachers: [], tasks: [], school: { schoolName: 'Test School' } };
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('a new file is created from the defaults', t => {
+    const file = path.join(tempDir(t), 'nested', 'db.json');
+    const data = createJsonFile(file, defaults).load();
+    assert.deepStrictEqual(data, defaults);
+    assert.deepStrictEqual(readJson(file), defaults);
+});
+
+test('a new file starts as a copy of the seed file', t => {
+    const dir = tempDir(t);
+    const seed = path.join(dir, 'legacy.json');
+    fs.writeFileSync(seed, JSON.stringify({ teachers: [{ id: '1', email: 'a@b.c' }] }));
+    const file = path.join(dir, 'data', 'db.json');
+
+    const data = createJsonFile(file, defaults, seed).load();
+    assert.strictEqual(data.teachers[0].email, 'a@b.c');
+    assert.deepStrictEqual(data.tasks, []);
+    assert.deepStrictEqual(readJson(file), data);
+    // The seed itself is left alone
+    assert.strictEqual(readJson(seed).tasks, undefined);
+});
+
+test('missing collections are filled in from the defaults', t => {
+    const file = path.join(tempDir(t), 'db.json');
+    fs.writeFileSync(file, JSON.stringify({ teachers: [{ id: '1' }] }));
+    const data = createJsonFile(file, defaults).load();
+    assert.deepStrictEqual(data.teachers, [{ id: '1' }]);
+    assert.deepStrictEqual(data.tasks, []);
+});
+
+test('a file that is not valid JSON is never replaced by the defaults', t => {
+    const file = path.join(tempDir(t), 'db.json');
+    fs.writeFileSync(file, '{"teachers": [');
+    assert.throws(() => createJsonFile(file, defaults).load(), /not valid JSON/);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"teachers": [');
+});
+
+test('a temp file left by a crash mid-write is discarded and the data file kept', t => {
+    const file = path.join(tempDir(t), 'db.json');
+    fs.writeFileSync(file, JSON.stringify({ ...defaults, tasks: [{ id: 'kept' }] }));
+    fs.writeFileSync(`${file}.tmp`, '{"tasks": [{"id": "half-wri');
+
+    const data = createJsonFile(file, defaults).load();
+    assert.deepStrictEqual(data.tasks, [{ id: 'kept' }]);
+    assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+});
+
+test('a write that fails before the rename leaves the previous copy intact', async t => {
+    const file = path.join(tempDir(t), 'db.json');
+    const jsonFile = createJsonFile(file, defaults);
+    const data = jsonFile.load();
+    data.tasks.push({ id: 'first' });
+    await jsonFile.save(data);
+
+    // The temp path can't be opened as a file, so the write fails early
+    fs.mkdirSync(`${file}.tmp`);
+    data.tasks.push({ id: 'second' });
+    await assert.rejects(jsonFile.save(data));
+    assert.deepStrictEqual(readJson(file).tasks, [{ id: 'first' }]);
+
+    // The queue recovers once the path is usable again
+    fs.rmdirSync(`${file}.tmp`);
+    await jsonFile.save(data);
+    assert.deepStrictEqual(readJson(file).tasks, [{ id: 'first' }, { id: 'second' }]);
+});
+
+test('saves made while a write is in flight are coalesced into one follow-up write', async t => {
+    const file = path.join(tempDir(t), 'db.json');
+    const jsonFile = createJsonFile(file, defaults);
+    const data = jsonFile.load();
+
+    const renames = [];
+    const rename = fs.promises.rename;
+    fs.promises.rename = async (...args) => {
+        renames.push(args);
+        return rename(...args);
+    };
+    t.after(() => { fs.promises.rename = rename; });
+
+    const saves = [];
+    for (let i = 0; i < 5; i++) {
+        data.tasks.push({ id: String(i) });
+        saves.push(jsonFile.save(data));
+    }
+    await Promise.all(saves);
+    await jsonFile.flush();
+
+    assert.strictEqual(renames.length, 2);
+    assert.strictEqual(readJson(file).tasks.length, 5);
+});
+
+test('the store persists every change and survives a reopen', async t => {
+    const file = path.join(tempDir(t), 'db.json');
+    const store = createJsonFileStore({ file, defaults });
+    await store.addToCollection('tasks', { id: 't1', subject: 'Maths', grade: '4', classLetter: 'A' });
+    await store.updateCollectionItem('tasks', 't1', { subject: 'Science' });
+    await store.close();
+
+    const reopened = createJsonFileStore({ file, defaults });
+    assert.deepStrictEqual(await reopened.getCollectionItem('tasks', 't1'), { id: 't1', subject: 'Science', grade: '4', classLetter: 'A' });
+    await reopened.close();
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { hashPassword } = require('../lib/passwords');
+const { findContactByToken } = require('../lib/notifications');
+const { createTransport } = require('../lib/mail');
+const { loadConfig } = require('../lib/config');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { startTestApp } = require('./helpers');
+
+// A teacher and an admin who subscribed a parent to class 4A
+async function startWithContact(t, { env = {}, frequency = 'instant' } = {}) {
+    const context = await startTestApp(t, {
+        env,
+        data: {
+            teachers: [
+                { id: 'a1', name: 'Admin', email: 'admin@school.com', role: 'admin', password: await hashPassword('admin-pass') },
+                { id: 't1', name: 'Ann', email: 'ann@school.com', role: 'teacher', password: await hashPassword('ann-pass') }
+            ]
+        }
+    });
+    const { request, store } = context;
+    const login = async (email, password) => (await request('POST', '/api/login', { body: { email, password } })).body.token;
+    const adminToken = await login('admin@school.com', 'admin-pass');
+    const teacherToken = await login('ann@school.com', 'ann-pass');
+
+    const added = await request('POST', '/api/admin/contacts', {
+        token: adminToken,
+        body: { email: 'parent@example.com', grade: '4', classLetter: 'A', frequency }
+    });
+    assert.strictEqual(added.status, 201);
+    const contact = await store.getCollectionItem('contacts', added.body.contact.id);
+    const notifier = context.app.locals.notifier;
+    const outbox = () => (fs.existsSync(context.config.mailOutboxDir) ? fs.readdirSync(context.config.mailOutboxDir) : []);
+    return { ...context, adminToken, teacherToken, contact, notifier, outbox };
+}
+
+test('production needs SMTP; the outbox is for development', () => {
+    const transport = env => loadConfig({ SESSION_SECRET: 'x', ...env }).mailTransport;
+    assert.strictEqual(transport({}), 'outbox');
+    assert.strictEqual(transport({ SMTP_URL: 'smtp://mail.school.com' }), 'smtp');
+    assert.strictEqual(transport({ NODE_ENV: 'production', SMTP_URL: 'smtp://mail.school.com' }), 'smtp');
+    // Only when asked for
+    assert.strictEqual(transport({ VERCEL: '1', MAIL_TRANSPORT: 'outbox' }), 'outbox');
+
+    for (const env of [{ NODE_ENV: 'production' }, { VERCEL: '1' }]) {
+        assert.throws(() => createTransport(loadConfig({ SESSION_SECRET: 'x', ...env })), /SMTP_URL/);
+    }
+});
+
+test('a new task emails the class contacts once', async t => {
+    const { request, store, teacherToken, notifier, outbox } = await startWithContact(t);
+    const res = await request('POST', '/api/task', {
+        token: teacherToken,
+        body: { grade: '4', classLetter: 'A', subject: 'Maths', description: 'Page 12', dueDate: '2030-01-10' }
+    });
+    assert.strictEqual(res.status, 200);
+    await notifier.idle();
+
+    const notifications = await store.getCollectionData('notifications');
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(notifications[0].subject, 'New homework: Maths');
+    assert.strictEqual(notifications[0].status, 'sent');
+    assert.strictEqual(outbox().length, 1);
+});
+
+test('a recurring task queues one email for the series, none per occurrence', async t => {
+    const { request, store, teacherToken, notifier, outbox } = await startWithContact(t);
+    const res = await request('POST', '/api/task-series', {
+        token: teacherToken,
+        body: { grade: '4', classLetter: 'A', subject: 'Spelling', description: 'Ten words', rule: { type: 'weekly', weekdays: ['mon'] } }
+    });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.ok((await store.getCollectionData('tasks')).length >= 4);
+
+    // Listing tasks tops the expansion up; that sends nothing either
+    await request('GET', '/api/tasks', { token: teacherToken });
+    await notifier.idle();
+
+    const notifications = await store.getCollectionData('notifications');
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(notifications[0].kind, 'series');
+    assert.strictEqual(notifications[0].subject, 'New recurring homework: Spelling');
+    assert.match(notifications[0].text, /Due every Monday from \d{4}-\d{2}-\d{2}/);
+    assert.strictEqual(outbox().length, 1);
+});
+
+test('an announcement published in the past is emailed once', async t => {
+    const { request, store, app, teacherToken, notifier, outbox } = await startWithContact(t);
+    const publishAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const created = await request('POST', '/api/announcement', {
+        token: teacherToken,
+        body: { grade: '4', classLetter: 'A', message: 'Sports day moved', publishAt }
+    });
+    assert.strictEqual(created.status, 200);
+    const plain = await request('POST', '/api/announcement', {
+        token: teacherToken,
+        body: { grade: '4', classLetter: 'A', message: 'Bring a coat' }
+    });
+    // Backdating one that already went out doesn't send it again
+    const backdated = await request('PATCH', `/api/announcement/${plain.body.announcement.id}`, { token: teacherToken, body: { publishAt } });
+    assert.strictEqual(backdated.status, 200);
+    await notifier.idle();
+
+    await app.locals.scheduler.runJob('announcementWindows', { force: true });
+    await notifier.idle();
+    assert.strictEqual((await store.getCollectionData('notifications')).length, 2);
+    assert.strictEqual(outbox().length, 2);
+});
+
+test('the unsubscribe link asks first and only POST unsubscribes', async t => {
+    const { request, store, contact } = await startWithContact(t);
+    const route = `/api/notifications/unsubscribe?token=${encodeURIComponent(contact.unsubscribeToken)}`;
+
+    const confirm = await request('GET', route);
+    assert.strictEqual(confirm.status, 200);
+    assert.match(confirm.body, /<form method="post"/);
+    assert.strictEqual((await store.getCollectionItem('contacts', contact.id)).unsubscribedAt, null);
+
+    const done = await request('POST', route);
+    assert.strictEqual(done.status, 200);
+    assert.match(done.body, /will no longer receive emails/);
+    assert.ok((await store.getCollectionItem('contacts', contact.id)).unsubscribedAt);
+
+    assert.strictEqual((await request('GET', '/api/notifications/unsubscribe?token=nope')).status, 404);
+    assert.strictEqual((await request('POST', '/api/notifications/unsubscribe')).status, 404);
+});
+
+test('contacts are found by their exact token only', async () => {
+    const store = createMemoryStore({ data: { contacts: [{ id: 'c1', unsubscribeToken: 'abc123' }, { id: 'c2' }] } });
+    assert.strictEqual((await findContactByToken(store, 'abc123')).id, 'c1');
+    assert.strictEqual(await findContactByToken(store, 'abc12'), undefined);
+    assert.strictEqual(await findContactByToken(store, 'abc1234'), undefined);
+    assert.strictEqual(await findContactByToken(store, ''), undefined);
+});
+
+test('daily contacts get one digest of everything pending', async t => {
+    const { request, store, teacherToken, contact, notifier, outbox } = await startWithContact(t, { env: { DIGEST_HOUR: '0' } });
+    const saved = await request('PATCH', '/api/notifications/preferences', { body: { token: contact.unsubscribeToken, frequency: 'daily' } });
+    assert.strictEqual(saved.status, 200);
+
+    for (const subject of ['Maths', 'Science']) {
+        await request('POST', '/api/task', {
+            token: teacherToken,
+            body: { grade: '4', classLetter: 'A', subject, description: 'Read', dueDate: '2030-01-10' }
+        });
+    }
+    await notifier.idle();
+    assert.strictEqual(outbox().length, 0);
+
+    assert.deepStrictEqual(await notifier.run(), { instant: 0, digests: 1 });
+    assert.strictEqual(outbox().length, 1);
+    assert.ok((await store.getCollectionData('notifications')).every(n => n.status === 'sent'));
+    // Once a day
+    assert.deepStrictEqual(await notifier.run(), { instant: 0, digests: 0 });
+});
+
+test('store errors in the contact routes are answered with a 500', async t => {
+    const { request, store, adminToken } = await startWithContact(t);
+    (await store.getCollectionData('contacts')).push(null);
+    const originalError = console.error;
+    console.error = () => {};
+    t.after(() => { console.error = originalError; });
+
+    const res = await request('GET', '/api/admin/contacts?grade=4', { token: adminToken });
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(res.body, { error: 'Failed to load contacts' });
+});
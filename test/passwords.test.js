@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { validatePassword, hashPassword, verifyPassword, isHashed } = require('../lib/passwords');
+const { startTestApp } = require('./helpers');
+
+test('passwords are validated before hashing', () => {
+    assert.match(validatePassword('short'), /at least 6/);
+    assert.match(validatePassword('x'.repeat(129)), /at most 128/);
+    assert.match(validatePassword('       '), /only spaces/);
+    assert.strictEqual(validatePassword('correct horse'), null);
+});
+
+test('a hash verifies only its own password', async () => {
+    const stored = await hashPassword('correct horse');
+    assert.ok(isHashed(stored));
+    assert.deepStrictEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: false });
+    assert.deepStrictEqual(await verifyPassword('wrong horse', stored), { valid: false, needsRehash: false });
+    assert.notStrictEqual(await hashPassword('correct horse'), stored);
+});
+
+test('plaintext and outdated hashes ask to be rehashed', async () => {
+    assert.deepStrictEqual(await verifyPassword('secret1', 'secret1'), { valid: true, needsRehash: true });
+    assert.deepStrictEqual(await verifyPassword('secret2', 'secret1'), { valid: false, needsRehash: false });
+
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync('secret1', salt, 64, { N: 1024, r: 8, p: 1 });
+    const weaker = ['scrypt', 1024, 8, 1, salt.toString('base64'), hash.toString('base64')].join('$');
+    assert.deepStrictEqual(await verifyPassword('secret1', weaker), { valid: true, needsRehash: true });
+});
+
+test('logging in upgrades a plaintext password', async t => {
+    const { store, request } = await startTestApp(t, {
+        data: { teachers: [{ id: 't1', name: 'Ann', email: 'ann@school.com', password: 'plain-old' }] }
+    });
+
+    const res = await request('POST', '/api/login', { body: { email: 'ann@school.com', password: 'plain-old' } });
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.token);
+    assert.strictEqual(res.body.user.password, undefined);
+
+    const stored = (await store.getTeacherByEmail('ann@school.com')).password;
+    assert.ok(isHashed(stored));
+    assert.strictEqual((await verifyPassword('plain-old', stored)).valid, true);
+});
+
+test('a broken stored hash fails the login with a server error', async t => {
+    const { request } = await startTestApp(t, {
+        data: { teachers: [{ id: 't1', name: 'Ann', email: 'ann@school.com', password: 'scrypt$broken' }] }
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    t.after(() => { console.error = originalError; });
+
+    const res = await request('POST', '/api/login', { body: { email: 'ann@school.com', password: 'whatever' } });
+    assert.strictEqual(res.status, 500);
+    assert.match(res.body.error, /server error/);
+});
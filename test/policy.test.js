@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canMutate } = require('../lib/policy');
+const { startTestApp, staffData, login } = require('./helpers');
+
+const annTask = { id: 'k1', grade: '4', classLetter: 'A', subject: 'Maths', description: 'Page 12', dueDate: '2030-01-10', teacher: { id: 't1', name: 'Ann' } };
+
+test('teachers may only change what they created, admins anything', () => {
+    const ann = { id: 't1', role: 'teacher' };
+    const bob = { id: 't2', role: 'teacher' };
+    assert.strictEqual(canMutate(ann, 'tasks', annTask), true);
+    assert.strictEqual(canMutate(bob, 'tasks', annTask), false);
+    assert.strictEqual(canMutate({ id: 'a1', role: 'admin' }, 'tasks', annTask), true);
+    assert.strictEqual(canMutate({ id: 't1', role: 'student' }, 'tasks', annTask), false);
+    assert.strictEqual(canMutate(undefined, 'tasks', annTask), false);
+    // Records without an owner belong to no teacher
+    assert.strictEqual(canMutate(ann, 'tasks', { id: 'k2' }), false);
+    assert.strictEqual(canMutate(ann, 'uploads', { id: 'u1', teacherId: 't1' }), true);
+    assert.throws(() => canMutate(ann, 'teachers', {}), /No authorization policy/);
+});
+
+test('another teacher gets a 403, a missing record a 404', async t => {
+    const { request, store } = await startTestApp(t, {
+        data: {
+            ...await staffData(),
+            tasks: [annTask],
+            announcements: [{ id: 'n1', grade: '4', classLetter: 'A', message: 'Trip', teacher: { id: 't1', name: 'Ann' } }],
+            uploads: [{ id: 'u1', grade: '4', classLetter: 'A', filename: 'notes.pdf', teacherId: 't1' }]
+        }
+    });
+    const bob = await login(request, 'bob');
+
+    const patched = await request('PATCH', '/api/task/k1', { token: bob, body: { subject: 'Art' } });
+    assert.strictEqual(patched.status, 403);
+    assert.deepStrictEqual(patched.body, { error: 'You can only change tasks you created' });
+    assert.strictEqual((await request('DELETE', '/api/task/k1', { token: bob })).status, 403);
+    assert.strictEqual((await request('DELETE', '/api/announcement/n1', { token: bob })).status, 403);
+    assert.strictEqual((await request('DELETE', '/api/upload/u1', { token: bob })).status, 403);
+    assert.strictEqual((await request('DELETE', '/api/task/nope', { token: bob })).status, 404);
+    assert.strictEqual((await request('DELETE', '/api/task/k1')).status, 401);
+
+    assert.strictEqual((await store.getCollectionItem('tasks', 'k1')).subject, 'Maths');
+    assert.ok(await store.getCollectionItem('announcements', 'n1'));
+    assert.ok(await store.getCollectionItem('uploads', 'u1'));
+});
+
+test('the owner and admins can change the record', async t => {
+    const { request, store } = await startTestApp(t, { data: { ...await staffData(), tasks: [annTask] } });
+
+    const edited = await request('PATCH', '/api/task/k1', { token: await login(request, 'ann'), body: { subject: 'Algebra' } });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual((await store.getCollectionItem('tasks', 'k1')).subject, 'Algebra');
+
+    assert.strictEqual((await request('DELETE', '/api/task/k1', { token: await login(request, 'admin') })).status, 200);
+    assert.strictEqual(await store.getCollectionItem('tasks', 'k1'), undefined);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSearchIndex, tokenize } = require('../lib/search');
+const { createEventBus } = require('../lib/events');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { defaultData } = require('../lib/stores');
+const { startTestApp, staffData, login, enrolStudent } = require('./helpers');
+
+const task = (id, subject, description, extra = {}) => ({
+    id, grade: '4', classLetter: 'A', subject, description, dueDate: '2030-01-10',
+    teacher: { id: 't1', name: 'Ann' }, createdAt: `2030-01-0${id.slice(1)}T08:00:00.000Z`, ...extra
+});
+
+function indexWith(data) {
+    const store = createMemoryStore({ data: { ...JSON.parse(JSON.stringify(defaultData)), ...data } });
+    const events = createEventBus();
+    return { store, events, index: createSearchIndex({ store, events }) };
+}
+
+const ids = async (index, query, filters) => (await index.search(query, filters)).results.map(r => r.id);
+
+test('words are lower-cased, without accents, split on punctuation', () => {
+    assert.deepStrictEqual(tokenize('Révision: Fractions_worksheet-2.PDF'), ['revision', 'fractions', 'worksheet', '2', 'pdf']);
+    assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('subject matches outrank body text, exact words outrank prefixes', async () => {
+    const { index } = indexWith({
+        tasks: [
+            task('k1', 'Art', 'Draw fractions of a pizza'),
+            task('k2', 'Fractions', 'Page 12'),
+            task('k3', 'Maths', 'Fractional parts'),
+            task('k4', 'Maths', 'Long division'),
+            task('k5', 'Maths', 'Part one', { createdAt: '2029-12-01T08:00:00.000Z' })
+        ],
+        uploads: [{ id: 'u1', originalName: 'fractions-worksheet.pdf', grade: '4', classLetter: 'A', teacherId: 't1', uploadedAt: '2030-01-05T08:00:00.000Z' }]
+    });
+
+    // Subject and file name tie, so the newer comes first; the description is last
+    assert.deepStrictEqual(await ids(index, 'fractions'), ['u1', 'k2', 'k1']);
+    assert.deepStrictEqual((await ids(index, 'fraction')).sort(), ['k1', 'k2', 'k3', 'u1']);
+    // "part" itself beats "parts", however old
+    assert.deepStrictEqual(await ids(index, 'part'), ['k5', 'k3']);
+    // Every word must match
+    assert.deepStrictEqual(await ids(index, 'fractions pizza'), ['k1']);
+    assert.deepStrictEqual(await ids(index, 'fractions volcano'), []);
+    // No query: everything, newest first
+    assert.deepStrictEqual(await ids(index, '', { types: ['task'] }), ['k4', 'k3', 'k2', 'k1', 'k5']);
+});
+
+test('the index follows writes on the event bus', async () => {
+    const { index, events } = indexWith({ tasks: [task('k1', 'Maths', 'Page 12')] });
+    assert.deepStrictEqual(await ids(index, 'volcano'), []);
+
+    events.publish('task', 'created', task('k2', 'Science', 'Build a volcano'));
+    events.publish('task', 'updated', task('k1', 'Maths', 'Volcano heights'));
+    assert.deepStrictEqual((await ids(index, 'volcano')).sort(), ['k1', 'k2']);
+
+    events.publish('task', 'deleted', { id: 'k2' });
+    assert.deepStrictEqual(await ids(index, 'volcano'), ['k1']);
+});
+
+test('students only find their own class and published announcements', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const ann = await login(request, 'ann');
+    const ada = await enrolStudent(request, await login(request, 'admin'), { name: 'Ada', grade: '4', classLetter: 'A' });
+    const post = (route, body) => request('POST', route, { token: ann, body: { grade: '4', ...body } });
+
+    await post('/api/task', { classLetter: 'A', subject: 'Science', description: 'Volcano model', dueDate: '2030-01-10' });
+    await post('/api/task', { classLetter: 'B', subject: 'Science', description: 'Volcano poster', dueDate: '2030-01-10' });
+    await post('/api/task', { classLetter: 'all', subject: 'Geography', description: 'Volcano map', dueDate: '2030-01-10' });
+    await post('/api/announcement', { classLetter: 'A', message: 'Volcano trip', publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+    const titles = res => res.body.results.map(r => `${r.type}:${r.snippet}`).sort();
+    // ?grade= and ?classLetter= are ignored for students
+    const student = await request('GET', '/api/search?q=volcano&grade=4&classLetter=B', { token: ada.token });
+    assert.strictEqual(student.status, 200);
+    assert.deepStrictEqual(titles(student), ['task:Volcano map', 'task:Volcano model']);
+
+    const staff = await request('GET', '/api/search?q=volcano&grade=4&classLetter=B', { token: ann });
+    assert.deepStrictEqual(titles(staff), ['task:Volcano map', 'task:Volcano poster']);
+    const everything = await request('GET', '/api/search?q=volcano', { token: ann });
+    assert.strictEqual(everything.body.total, 4);
+    assert.strictEqual(everything.body.results.find(r => r.type === 'announcement').item.state, 'scheduled');
+
+    assert.strictEqual((await request('GET', '/api/search?q=volcano')).status, 401);
+    assert.strictEqual((await request('GET', '/api/search?q=volcano&type=poem', { token: ann })).status, 400);
+});
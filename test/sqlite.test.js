@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+let Database;
+try {
+    Database = require('better-sqlite3');
+} catch (e) {
+    Database = null;
+}
+const skip = !Database && 'better-sqlite3 is not installed';
+const { createSqliteStore, MIGRATIONS } = require('../lib/stores/sqlite');
+
+const defaults = { teachers: [], tasks: [], school: { schoolName: 'Test School' } };
+const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const appliedVersions = db => db.prepare('SELECT version FROM schema_migrations ORDER BY version').all().map(row => row.version);
+
+test('migration versions are unique and ascending', () => {
+    MIGRATIONS.forEach((migration, i) => assert.strictEqual(migration.version, i + 1));
+});
+
+test('a new database gets every migration and the defaults', { skip }, async t => {
+    const store = createSqliteStore({ file: path.join(tempDir(t), 'portal.sqlite'), defaults });
+    t.after(() => store.close());
+    assert.deepStrictEqual(appliedVersions(store.db), MIGRATIONS.map(m => m.version));
+    assert.strictEqual((await store.getSchoolData()).schoolName, 'Test School');
+});
+
+test('reopening a database applies nothing twice', { skip }, async t => {
+    const file = path.join(tempDir(t), 'portal.sqlite');
+    const first = createSqliteStore({ file, defaults });
+    await first.addToCollection('tasks', { id: 't1', subject: 'Maths', grade: '4', classLetter: 'a' });
+    await first.close();
+
+    const second = createSqliteStore({ file, defaults });
+    t.after(() => second.close());
+    assert.strictEqual(appliedVersions(second.db).length, latest);
+    assert.strictEqual((await second.getCollectionData('tasks')).length, 1);
+});
+
+test('an older database is brought up to date and keeps its rows', { skip }, async t => {
+    const file = path.join(tempDir(t), 'portal.sqlite');
+    const db = new Database(file);
+    db.exec('CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+    for (const migration of MIGRATIONS.slice(0, 3)) {
+        migration.up(db);
+        db.prepare('INSERT INTO schema_migrations VALUES (?, ?, ?)').run(migration.version, migration.name, new Date().toISOString());
+    }
+    db.prepare("INSERT INTO tasks (id, grade, class_letter, teacher_id, data) VALUES ('t1', '4', 'A', '1', ?)")
+        .run(JSON.stringify({ id: 't1', subject: 'Maths', grade: '4', classLetter: 'A', teacher: { id: '1' } }));
+    db.close();
+
+    const store = createSqliteStore({ file, defaults });
+    t.after(() => store.close());
+    assert.deepStrictEqual(appliedVersions(store.db), MIGRATIONS.map(m => m.version));
+    assert.deepStrictEqual((await store.getStudentCollectionData('tasks', '4', 'a')).map(task => task.id), ['t1']);
+    // Tables from the later migrations are usable
+    await store.addToCollection('announcementReads', { id: 'r1', announcementId: 'a1', studentId: 's1' });
+    assert.ok(await store.getCollectionItem('announcementReads', 'r1'));
+});
+
+test('db.json is imported once into an empty database', { skip }, async t => {
+    const dir = tempDir(t);
+    const jsonFile = path.join(dir, 'db.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({
+        teachers: [{ id: '1', email: 'a@school.com' }, { id: '2', email: 'a@school.com' }],
+        tasks: [{ id: 't1', grade: '4', classLetter: 'A' }, { id: 't1', grade: '4', classLetter: 'A' }],
+        school: { schoolName: 'Imported School' }
+    }));
+    const file = path.join(dir, 'portal.sqlite');
+
+    const store = createSqliteStore({ file, importFrom: jsonFile, defaults });
+    assert.strictEqual((await store.getCollectionData('teachers')).length, 1);
+    assert.strictEqual((await store.getCollectionData('tasks')).length, 1);
+    assert.strictEqual((await store.getSchoolData()).schoolName, 'Imported School');
+    await store.deleteCollectionItem('tasks', 't1');
+    await store.close();
+
+    const reopened = createSqliteStore({ file, importFrom: jsonFile, defaults });
+    t.after(() => reopened.close());
+    assert.deepStrictEqual(await reopened.getCollectionData('tasks'), []);
+});
+
+test('only one connection gets a lease until it is released or expires', { skip }, async t => {
+    const file = path.join(tempDir(t), 'portal.sqlite');
+    const a = createSqliteStore({ file, defaults });
+    const b = createSqliteStore({ file, defaults });
+    t.after(() => Promise.all([a.close(), b.close()]));
+
+    assert.strictEqual(await a.acquireLease('job:x', 'a', 60000), true);
+    assert.strictEqual(await b.acquireLease('job:x', 'b', 60000), false);
+    assert.strictEqual(await a.acquireLease('job:x', 'a', 60000), true);
+    await a.releaseLease('job:x', 'a');
+    assert.strictEqual(await b.acquireLease('job:x', 'b', 1), true);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(await a.acquireLease('job:x', 'a', 60000), true);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../lib/config');
+const { hashPassword } = require('../lib/passwords');
+const { createAttemptLimiter } = require('../lib/students');
+const { startTestApp } = require('./helpers');
+
+async function startWithClasses(t, options = {}) {
+    const context = await startTestApp(t, {
+        ...options,
+        data: { teachers: [{ id: 'a1', name: 'Admin', email: 'admin@school.com', role: 'admin', password: await hashPassword('admin-pass') }] }
+    });
+    const { request } = context;
+    const adminToken = (await request('POST', '/api/login', { body: { email: 'admin@school.com', password: 'admin-pass' } })).body.token;
+
+    const enrol = async (classLetter, name) => {
+        const res = await request('POST', '/api/admin/students', { token: adminToken, body: { name, grade: '4', classLetter } });
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+        return res.body;
+    };
+    return { ...context, adminToken, a: await enrol('A', 'Ada'), b: await enrol('B', 'Ben') };
+}
+
+const signIn = (request, classCode, pin) => request('POST', '/api/students/login', { body: { classCode, pin } });
+
+test('TRUST_PROXY is read as a hop count, a flag or addresses', () => {
+    const config = env => loadConfig({ SESSION_SECRET: 'x', ...env }).trustProxy;
+    assert.strictEqual(config({}), false);
+    assert.strictEqual(config({ VERCEL: '1' }), 1);
+    assert.strictEqual(config({ TRUST_PROXY: '2' }), 2);
+    assert.strictEqual(config({ TRUST_PROXY: 'true' }), true);
+    assert.strictEqual(config({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }), 'loopback, 10.0.0.0/8');
+});
+
+test('the attempt limiter only remembers recent failures', async () => {
+    const limiter = createAttemptLimiter({ max: 2, windowMs: 50 });
+    // Asking about a key doesn't track it
+    for (let i = 0; i < 100; i++) assert.strictEqual(limiter.retryAfter(`code:GUESS${i}`), 0);
+    assert.strictEqual(limiter.size(), 0);
+
+    limiter.fail('code:ABC');
+    limiter.fail('code:ABC');
+    assert.ok(limiter.retryAfter('code:ABC') > 0);
+    limiter.fail('code:OTHER');
+    assert.strictEqual(limiter.size(), 2);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(limiter.retryAfter('code:ABC'), 0);
+    // The next failure sweeps out everything that expired
+    limiter.fail('code:NEW');
+    assert.strictEqual(limiter.size(), 1);
+});
+
+test('PINs have at least six digits', async t => {
+    const { request, adminToken, a } = await startWithClasses(t);
+    const short = await request('POST', `/api/admin/students/${a.student.id}/pin`, { token: adminToken, body: { pin: '1234' } });
+    assert.strictEqual(short.status, 400);
+    assert.deepStrictEqual(short.body, { error: 'PIN must be 6 to 8 digits' });
+    assert.strictEqual((await request('POST', `/api/admin/students/${a.student.id}/pin`, { token: adminToken, body: { pin: '482913' } })).status, 200);
+});
+
+test('typos in one class lock out neither that class nor the school', async t => {
+    const { request, a, b } = await startWithClasses(t);
+    const wrongPin = a.pin === '000000' ? '111111' : '000000';
+
+    // Everyone here shares one address, like a school behind NAT
+    for (let i = 0; i < 15; i++) assert.strictEqual((await signIn(request, a.classCode, wrongPin)).status, 401);
+
+    assert.strictEqual((await signIn(request, a.classCode, a.pin)).status, 200);
+    assert.strictEqual((await signIn(request, b.classCode, b.pin)).status, 200);
+});
+
+test('guessing PINs for one class is slowed down', async t => {
+    const { request, a } = await startWithClasses(t);
+    const wrongPin = a.pin === '000000' ? '111111' : '000000';
+
+    let res;
+    for (let i = 0; i < 51; i++) res = await signIn(request, a.classCode, wrongPin);
+    assert.strictEqual(res.status, 429);
+    assert.ok(Number(res.headers.get('retry-after')) > 0);
+    assert.strictEqual((await signIn(request, a.classCode, a.pin)).status, 429);
+});
+
+test('a new PIN signs the student out', async t => {
+    const { request, adminToken, a } = await startWithClasses(t);
+    const { token } = (await signIn(request, a.classCode, a.pin)).body;
+    assert.strictEqual((await request('GET', '/api/session', { token })).status, 200);
+
+    const reset = await request('POST', `/api/admin/students/${a.student.id}/pin`, { token: adminToken, body: {} });
+    assert.strictEqual(reset.status, 200);
+    assert.strictEqual((await request('GET', '/api/session', { token })).status, 401);
+    assert.strictEqual((await signIn(request, a.classCode, reset.body.pin)).status, 200);
+});
+
+test('store errors in the admin routes are answered with a 500', async t => {
+    const { request, adminToken, store } = await startWithClasses(t);
+    // A record the routes can't read
+    (await store.getCollectionData('students')).push(null);
+    const originalError = console.error;
+    console.error = () => {};
+    t.after(() => { console.error = originalError; });
+
+    const res = await request('GET', '/api/admin/students', { token: adminToken });
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(res.body, { error: 'Failed to load students' });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isLate, dueDeadline } = require('../lib/submissions');
+const { startTestApp, staffData, login, enrolStudent } = require('./helpers');
+
+const task = (id, dueDate, extra = {}) => ({
+    id, grade: '4', classLetter: 'A', subject: 'Maths', description: 'Page 12', dueDate, teacher: { id: 't1', name: 'Ann' }, ...extra
+});
+
+async function startWithStudent(t, tasks) {
+    const context = await startTestApp(t, { data: { ...await staffData(), tasks } });
+    const ada = await enrolStudent(context.request, await login(context.request, 'admin'), { name: 'Ada', grade: '4', classLetter: 'A' });
+    return { ...context, ada, ann: await login(context.request, 'ann') };
+}
+
+test('work is late after the end of its due date', () => {
+    const due = task('k1', '2030-01-10');
+    assert.strictEqual(dueDeadline(due).getTime(), new Date('2030-01-10T23:59:59.999').getTime());
+    assert.strictEqual(isLate(due, new Date('2030-01-10T23:00:00')), false);
+    assert.strictEqual(isLate(due, new Date('2030-01-11T00:00:01')), true);
+    assert.strictEqual(isLate(task('k2', ''), new Date()), false);
+});
+
+test('a student hands work in, resubmits and the teacher sees it', async t => {
+    const { request, url, ada, ann } = await startWithStudent(t, [task('k1', '2030-01-10')]);
+
+    const first = await request('POST', '/api/task/k1/submission', { token: ada.token, body: { text: 'My answers' } });
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.message, 'Work submitted!');
+    assert.strictEqual(first.body.submission.attempts, 1);
+    assert.strictEqual(first.body.submission.late, false);
+
+    // A file this time, replacing the text
+    const form = new FormData();
+    form.append('files', new Blob(['%PDF-1.4\nworking\n'], { type: 'application/pdf' }), 'working.pdf');
+    const second = await fetch(`${url}/api/task/k1/submission`, { method: 'POST', headers: { Authorization: `Bearer ${ada.token}` }, body: form });
+    const resubmitted = (await second.json()).submission;
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(resubmitted.attempts, 2);
+    assert.strictEqual(resubmitted.firstSubmittedAt, first.body.submission.firstSubmittedAt);
+    assert.strictEqual(resubmitted.text, '');
+    assert.deepStrictEqual(resubmitted.files.map(f => f.originalName), ['working.pdf']);
+
+    const download = await request('GET', resubmitted.files[0].url, { token: ann });
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(download.body, '%PDF-1.4\nworking\n');
+
+    const list = await request('GET', '/api/task/k1/submissions', { token: ann });
+    assert.strictEqual(list.body.count, 1);
+    assert.strictEqual(list.body.submissions[0].studentName, 'Ada');
+    assert.strictEqual((await request('GET', '/api/task/k1/submissions', { token: await login(request, 'bob') })).status, 403);
+    assert.strictEqual((await request('GET', resubmitted.files[0].url, { token: await login(request, 'bob') })).status, 403);
+});
+
+test('late work is flagged, and re-checked when the due date moves', async t => {
+    const { request, store, ada, ann } = await startWithStudent(t, [task('k1', '2020-01-10')]);
+
+    const submitted = await request('POST', '/api/task/k1/submission', { token: ada.token, body: { text: 'Sorry' } });
+    assert.strictEqual(submitted.body.submission.late, true);
+    assert.strictEqual((await request('GET', '/api/task/k1/submissions', { token: ann })).body.lateCount, 1);
+
+    assert.strictEqual((await request('PATCH', '/api/task/k1', { token: ann, body: { dueDate: '2030-01-10' } })).status, 200);
+    assert.strictEqual((await store.getCollectionItem('submissions', submitted.body.submission.id)).late, false);
+});
+
+test('nothing can be handed in after the cutoff', async t => {
+    const { request, ada, ann } = await startWithStudent(t, [task('k1', '2030-01-10'), task('k2', '2030-01-10', { classLetter: 'B' })]);
+    const cutoff = await request('PUT', '/api/task/k1/cutoff', { token: ann, body: { cutoff: '2020-01-01T00:00:00Z' } });
+    assert.strictEqual(cutoff.status, 200);
+
+    const closed = await request('POST', '/api/task/k1/submission', { token: ada.token, body: { text: 'Too late' } });
+    assert.strictEqual(closed.status, 403);
+    assert.strictEqual((await request('GET', '/api/task/k1/submission', { token: ada.token })).body.closed, true);
+    // Another class's task doesn't exist for this student
+    assert.strictEqual((await request('POST', '/api/task/k2/submission', { token: ada.token, body: { text: 'Hi' } })).status, 404);
+});
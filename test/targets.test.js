@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTargets } = require('../lib/targets');
+const { startTestApp, staffData, login, enrolStudent } = require('./helpers');
+
+const CLASSES = [['3', 'A'], ['4', 'A'], ['4', 'B'], ['4', 'C'], ['5', 'A'], ['5', 'C']];
+
+test('several targets become one record with a label', () => {
+    assert.deepStrictEqual(parseTargets({ grade: '4', classLetter: 'a' }), { grade: '4', classLetter: 'a', targets: null, targetLabel: null });
+    assert.deepStrictEqual(parseTargets({ targets: [{ grade: '4', classLetter: 'a' }, { grade: '4', classLetter: 'A' }, { grade: '5', classLetter: 'all', except: ['c'] }] }), {
+        grade: 'multi',
+        classLetter: 'multi',
+        targets: [{ grade: '4', classLetter: 'A' }, { grade: '5', classLetter: 'all', except: ['C'] }],
+        targetLabel: '4A, Grade 5 except C'
+    });
+    assert.match(parseTargets({ targets: [{ grade: '4', classLetter: 'B', except: ['C'] }] }).error, /whole grade/);
+    assert.match(parseTargets({ targets: [{ grade: 'multi', classLetter: 'A' }] }).error, /not a grade/);
+    assert.deepStrictEqual(parseTargets({ grade: '4' }), { missing: true });
+});
+
+test('every targeted class sees the item, and no other class does', async t => {
+    const { request } = await startTestApp(t, { data: await staffData() });
+    const admin = await login(request, 'admin');
+    const ann = await login(request, 'ann');
+    const targets = [{ grade: '4', classLetter: 'A' }, { grade: '4', classLetter: 'B' }, { grade: '5', classLetter: 'all', except: ['C'] }];
+
+    const task = await request('POST', '/api/task', { token: ann, body: { targets, subject: 'Science', description: 'Plant a seed', dueDate: '2030-01-10' } });
+    assert.strictEqual(task.status, 200, JSON.stringify(task.body));
+    const announcement = await request('POST', '/api/announcement', { token: ann, body: { targets, message: 'Science fair on Friday' } });
+    assert.strictEqual(announcement.body.announcement.targetLabel, '4A, 4B, Grade 5 except C');
+
+    const seen = {};
+    for (const [grade, classLetter] of CLASSES) {
+        const { token } = await enrolStudent(request, admin, { name: `Pupil ${grade}${classLetter}`, grade, classLetter });
+        const tasks = (await request('GET', '/api/tasks/student', { token })).body;
+        const announcements = (await request('GET', '/api/announcements/student', { token })).body;
+        seen[`${grade}${classLetter}`] = [tasks.length, announcements.length];
+    }
+    assert.deepStrictEqual(seen, { '3A': [0, 0], '4A': [1, 1], '4B': [1, 1], '4C': [0, 0], '5A': [1, 1], '5C': [0, 0] });
+});
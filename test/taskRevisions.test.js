@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { taskChanges } = require('../lib/taskRevisions');
+const { startTestApp, staffData, login } = require('./helpers');
+
+const annTask = { id: 'k1', grade: '4', classLetter: 'A', subject: 'Maths', description: 'Page 12', dueDate: '2030-01-10', teacher: { id: 't1', name: 'Ann' } };
+
+test('only fields that differ count as changes', () => {
+    assert.deepStrictEqual(taskChanges(annTask, { subject: ' Maths ', description: 'Page 13' }), {
+        changes: { description: { from: 'Page 12', to: 'Page 13' } },
+        updates: { description: 'Page 13' }
+    });
+    // Half a class move keeps the other half
+    assert.deepStrictEqual(taskChanges(annTask, { classLetter: 'B' }).updates, { classLetter: 'B' });
+    assert.deepStrictEqual(taskChanges(annTask, { subject: '' }), { error: 'subject cannot be empty' });
+    assert.deepStrictEqual(taskChanges(annTask, { dueDate: 'someday' }), { error: 'dueDate must be a valid date' });
+});
+
+test('an edit is recorded with who made it, and moves the due date visibly', async t => {
+    const { request, store } = await startTestApp(t, { data: { ...await staffData(), tasks: [{ ...annTask }] } });
+    const ann = await login(request, 'ann');
+
+    const edited = await request('PATCH', '/api/task/k1', { token: ann, body: { dueDate: '2030-01-12', description: 'Page 13' } });
+    assert.strictEqual(edited.status, 200);
+    assert.deepStrictEqual(edited.body.revision.changes, {
+        description: { from: 'Page 12', to: 'Page 13' },
+        dueDate: { from: '2030-01-10', to: '2030-01-12' }
+    });
+    assert.deepStrictEqual(edited.body.revision.editedBy, { id: 't1', name: 'Ann', role: 'teacher' });
+
+    const saved = await store.getCollectionItem('tasks', 'k1');
+    assert.strictEqual(saved.previousDueDate, '2030-01-10');
+    assert.ok(saved.dueDateChangedAt);
+    const listed = await request('GET', '/api/tasks/student?grade=4&classLetter=A', { token: ann });
+    assert.strictEqual(listed.body[0].updated, true);
+
+    // No change, no revision
+    assert.strictEqual((await request('PATCH', '/api/task/k1', { token: ann, body: { subject: 'Maths' } })).body.message, 'Nothing changed');
+    await request('PATCH', '/api/task/k1', { token: ann, body: { subject: 'Algebra' } });
+
+    const history = await request('GET', '/api/task/k1/revisions', { token: ann });
+    assert.deepStrictEqual(history.body.revisions.map(r => Object.keys(r.changes)), [['description', 'dueDate'], ['subject']]);
+});
+
+test('another teacher can neither edit a task nor read its history', async t => {
+    const { request, store } = await startTestApp(t, { data: { ...await staffData(), tasks: [{ ...annTask }] } });
+    const bob = await login(request, 'bob');
+
+    assert.strictEqual((await request('PATCH', '/api/task/k1', { token: bob, body: { dueDate: '2030-02-01' } })).status, 403);
+    assert.strictEqual((await request('GET', '/api/task/k1/revisions', { token: bob })).status, 403);
+    assert.deepStrictEqual(await store.getCollectionData('taskRevisions'), []);
+    assert.strictEqual((await store.getCollectionItem('tasks', 'k1')).previousDueDate, undefined);
+});
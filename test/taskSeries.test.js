@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    SERIES_HORIZON_DAYS, DAY_MS, today, formatDay, parseRule, validateSeries, occurrencesBetween, newSeries, expandSeries
+} = require('../lib/taskSeries');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { defaultData } = require('../lib/stores');
+const { startTestApp, staffData, login } = require('./helpers');
+
+const day = value => Date.parse(`${value}T00:00:00Z`);
+const series = (rule, extra = {}) => ({ id: 's1', rule: parseRule(rule).rule, startDate: '2030-03-01', endDate: null, ...extra });
+const fields = { subject: 'Spelling', description: 'Ten words', grade: '4', classLetter: 'A' };
+
+test('weekly rules fall on their weekdays, interval rules count from the start', () => {
+    // 2030-03-01 is a Friday; the clocks change in most of Europe on the 31st
+    assert.deepStrictEqual(
+        occurrencesBetween(series({ type: 'weekly', weekdays: ['fri', 1] }), day('2030-03-01'), day('2030-03-14')),
+        ['2030-03-01', '2030-03-04', '2030-03-08', '2030-03-11']
+    );
+    assert.deepStrictEqual(
+        occurrencesBetween(series({ type: 'weekly', weekdays: ['sun'] }), day('2030-03-25'), day('2030-04-10')),
+        ['2030-03-31', '2030-04-07']
+    );
+    assert.deepStrictEqual(
+        occurrencesBetween(series({ type: 'interval', everyDays: 3 }), day('2030-03-02'), day('2030-03-10')),
+        ['2030-03-04', '2030-03-07', '2030-03-10']
+    );
+    // Nothing before the start, the end date is included
+    assert.deepStrictEqual(
+        occurrencesBetween(series({ type: 'interval', everyDays: 1 }, { endDate: '2030-03-02' }), day('2030-02-27'), day('2030-03-05')),
+        ['2030-03-01', '2030-03-02']
+    );
+    // Month and leap day boundaries
+    assert.deepStrictEqual(
+        occurrencesBetween(series({ type: 'interval', everyDays: 1 }, { startDate: '2028-02-28' }), day('2028-02-28'), day('2028-03-01')),
+        ['2028-02-28', '2028-02-29', '2028-03-01']
+    );
+});
+
+test('rules and dates are validated', () => {
+    assert.deepStrictEqual(parseRule({ type: 'weekly', weekdays: ['Friday', 'mon', 5] }), { rule: { type: 'weekly', weekdays: [1, 5] } });
+    assert.match(parseRule({ type: 'weekly', weekdays: ['someday'] }).error, /Unknown weekday/);
+    assert.match(parseRule({ type: 'interval', everyDays: 0 }).error, /everyDays/);
+    const now = new Date(2030, 2, 1, 12);
+    assert.strictEqual(validateSeries({ ...fields, rule: { type: 'interval', everyDays: 1 } }, { now }).fields.startDate, '2030-03-01');
+    assert.match(validateSeries({ ...fields, rule: { type: 'interval', everyDays: 1 }, startDate: '2030-02-30' }, { now }).error, /startDate/);
+    assert.match(validateSeries({ ...fields, rule: { type: 'interval', everyDays: 1 }, startDate: '2030-03-05', endDate: '2030-03-04' }, { now }).error, /endDate/);
+    assert.match(validateSeries({ ...fields, rule: { type: 'interval', everyDays: 1 }, startDate: '2029-12-01' }, { now }).error, /in the past/);
+});
+
+test('expansion runs to the horizon once, and tops up as days pass', async () => {
+    const store = createMemoryStore({ data: JSON.parse(JSON.stringify(defaultData)) });
+    const record = newSeries({ ...fields, rule: { type: 'weekly', weekdays: [1] }, startDate: '2030-03-01', endDate: null }, { id: 't1', name: 'Ann' });
+    await store.addToCollection('taskSeries', record);
+    const now = new Date(2030, 2, 1, 12);
+
+    // Four Mondays from March 1st to the horizon (March 29th)
+    assert.strictEqual(await expandSeries(store, record, { now }), 4);
+    const saved = await store.getCollectionItem('taskSeries', record.id);
+    assert.strictEqual(saved.expandedUntil, formatDay(today(now) + SERIES_HORIZON_DAYS * DAY_MS));
+    assert.strictEqual(await expandSeries(store, saved, { now }), 0);
+
+    const tasks = await store.getCollectionData('tasks');
+    assert.deepStrictEqual(tasks.map(task => task.dueDate), ['2030-03-04', '2030-03-11', '2030-03-18', '2030-03-25']);
+    assert.deepStrictEqual(tasks[0].series, { id: record.id, date: '2030-03-04' });
+    assert.strictEqual(tasks[0].id, `${record.id}-20300304`);
+
+    // A week later one more Monday is in range; cancelled dates are skipped
+    await store.updateCollectionItem('taskSeries', record.id, { cancelledDates: ['2030-04-08'] });
+    assert.strictEqual(await expandSeries(store, await store.getCollectionItem('taskSeries', record.id), { now: new Date(2030, 2, 8, 12) }), 1);
+    assert.strictEqual(await expandSeries(store, await store.getCollectionItem('taskSeries', record.id), { now: new Date(2030, 2, 15, 12) }), 0);
+    assert.deepStrictEqual((await store.getCollectionData('tasks')).map(task => task.dueDate).slice(-1), ['2030-04-01']);
+});
+
+test('a series can be created, edited, thinned out and cancelled', async t => {
+    const { request, store } = await startTestApp(t, { data: await staffData() });
+    const ann = await login(request, 'ann');
+    const startDate = formatDay(today());
+    const occurrences = async id => (await request('GET', `/api/task-series/${id}`, { token: ann })).body.occurrences;
+
+    const created = await request('POST', '/api/task-series', { token: ann, body: { ...fields, rule: { type: 'interval', everyDays: 1 }, startDate } });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    const { id } = created.body.series;
+    assert.strictEqual((await occurrences(id)).length, SERIES_HORIZON_DAYS + 1);
+    assert.strictEqual((await request('GET', `/api/task-series/${id}`, { token: await login(request, 'bob') })).status, 403);
+
+    // Every other day from now on; the rest go
+    const edited = await request('PATCH', `/api/task-series/${id}`, { token: ann, body: { rule: { type: 'interval', everyDays: 2 }, description: 'Twenty words' } });
+    assert.strictEqual(edited.status, 200, JSON.stringify(edited.body));
+    let current = await occurrences(id);
+    assert.strictEqual(current.length, SERIES_HORIZON_DAYS / 2 + 1);
+    assert.ok(current.every(task => task.description === 'Twenty words'));
+
+    // One date cancelled stays cancelled when tasks are listed again
+    const dropped = current[1];
+    assert.strictEqual((await request('DELETE', `/api/task/${dropped.id}`, { token: ann })).status, 200);
+    await request('GET', '/api/tasks');
+    current = await occurrences(id);
+    assert.strictEqual(current.length, SERIES_HORIZON_DAYS / 2);
+    assert.ok(!current.some(task => task.id === dropped.id));
+    assert.deepStrictEqual((await store.getCollectionItem('taskSeries', id)).cancelledDates, [dropped.series.date]);
+
+    const cancelled = await request('DELETE', `/api/task-series/${id}`, { token: ann });
+    assert.strictEqual(cancelled.status, 200);
+    assert.deepStrictEqual(await occurrences(id), []);
+    assert.strictEqual((await request('PATCH', `/api/task-series/${id}`, { token: ann, body: { description: 'Again' } })).status, 400);
+});
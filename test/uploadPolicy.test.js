@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { reserveQuota, UploadRejectedError } = require('../lib/uploadPolicy');
+const { createMemoryStore } = require('../lib/stores/memory');
+const { hashPassword } = require('../lib/passwords');
+const { startTestApp } = require('./helpers');
+
+const KB = 1024;
+
+function storeWith(data = {}) {
+    return createMemoryStore({ data: { uploads: [], uploadSessions: [], ...data } });
+}
+
+test('concurrent uploads cannot pass the quota together', async () => {
+    const store = storeWith({ uploads: [{ id: 'u1', teacherId: 't1', size: 40 }] });
+    const results = await Promise.allSettled([
+        reserveQuota(store, 't1', 40, 100),
+        reserveQuota(store, 't1', 40, 100)
+    ]);
+    assert.strictEqual(results[0].status, 'fulfilled');
+    assert.strictEqual(results[1].status, 'rejected');
+    assert.ok(results[1].reason instanceof UploadRejectedError);
+    assert.strictEqual(results[1].reason.details.usedBytes, 80);
+    results[0].value();
+});
+
+test('released bytes no longer count, recorded ones do', async () => {
+    const store = storeWith();
+    const release = await reserveQuota(store, 't2', 60, 100);
+    await assert.rejects(reserveQuota(store, 't2', 60, 100), { code: 'QUOTA_EXCEEDED' });
+
+    // A failed upload gives its bytes back
+    release();
+    release();
+    const second = await reserveQuota(store, 't2', 60, 100);
+
+    // A finished one is counted through its record instead
+    await store.addToCollection('uploads', { id: 'u2', teacherId: 't2', size: 60 });
+    second();
+    await assert.rejects(reserveQuota(store, 't2', 60, 100), { code: 'QUOTA_EXCEEDED' });
+    // Other teachers have their own quota
+    (await reserveQuota(store, 't3', 60, 100))();
+});
+
+test('open chunked uploads count until they expire', async () => {
+    const future = new Date(Date.now() + 60000).toISOString();
+    const past = new Date(Date.now() - 60000).toISOString();
+    const store = storeWith({
+        uploadSessions: [
+            { id: 's1', teacherId: 't4', size: 50, expiresAt: future },
+            { id: 's2', teacherId: 't4', size: 50, expiresAt: past }
+        ]
+    });
+    await assert.rejects(reserveQuota(store, 't4', 60, 100), { code: 'QUOTA_EXCEEDED' });
+    // Completing s1 doesn't count it twice
+    (await reserveQuota(store, 't4', 50, 100, { exceptSessionId: 's1' }))();
+});
+
+test('a quota of 0 is unlimited', async () => {
+    (await reserveQuota(storeWith(), 't5', Number.MAX_SAFE_INTEGER, 0))();
+});
+
+test('starting chunked uploads holds their size against the quota', async t => {
+    const { request } = await startTestApp(t, {
+        env: { TEACHER_QUOTA_MB: '1' },
+        data: { teachers: [{ id: 't1', name: 'Ann', email: 'ann@school.com', role: 'teacher', password: await hashPassword('ann-pass') }] }
+    });
+    const { token } = (await request('POST', '/api/login', { body: { email: 'ann@school.com', password: 'ann-pass' } })).body;
+    const start = () => request('POST', '/api/uploads/chunked', { token, body: { filename: 'lesson.mp4', size: 600 * KB } });
+
+    const [first, second] = await Promise.all([start(), start()]);
+    assert.deepStrictEqual([first.status, second.status].sort(), [201, 413]);
+
+    // Cancelling gives the space back
+    const uploadId = (first.status === 201 ? first : second).body.uploadId;
+    assert.strictEqual((await request('DELETE', `/api/uploads/chunked/${uploadId}`, { token })).status, 200);
+    assert.strictEqual((await start()).status, 201);
+});